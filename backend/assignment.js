@@ -0,0 +1,31 @@
+// assignment.js
+import { domainRoom } from "./permissions.js";
+
+// Agents with a live socket in the domain's room, one entry per user however
+// many tabs or devices they have open. Sorted so the rotation order is stable.
+export async function onlineAgentIds(io, domain) {
+  const sockets = await io.in(domainRoom(domain)).fetchSockets();
+  const ids = sockets.filter((s) => s.data.role === "agent").map((s) => String(s.data.userId));
+  return [...new Set(ids)].sort();
+}
+
+// Next agent in the domain's rotation, or null when nobody is online
+export async function pickRoundRobin(redis, domain, candidates) {
+  if (!candidates.length) return null;
+  const turn = await redis.incr(`assign-rr:${domain}`);
+  return candidates[(turn - 1) % candidates.length];
+}
+
+// Socket payload for assignment changes; `assignee` is a populated user or null
+export function assignmentEvent(csCase, { assignee, previousAssigneeId = null, assignedBy = null, reason }) {
+  return {
+    caseId: csCase._id,
+    ticketNumber: csCase.ticketNumber,
+    domain: csCase.domain,
+    assignee: assignee ? { _id: assignee._id, name: assignee.name } : null,
+    previousAssigneeId,
+    assignedBy,
+    reason,
+    timestamp: Date.now(),
+  };
+}
@@ -0,0 +1,142 @@
+// attachments.js
+import crypto from "crypto";
+import express from "express";
+import mongoose from "mongoose";
+import { getStorage } from "./storage.js";
+import { HttpError } from "./httpError.js";
+
+export const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_MB ?? 5) * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+// Uploads nobody sent within this long are deleted by the sweep
+const UNCLAIMED_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Uploaded first, then claimed by the chat message or agent reply that sends
+// it (caseId is null until then). Only the summary is copied onto messages.
+const attachmentSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", default: null },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  driver: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  attachedAt: { type: Date, default: null },
+});
+attachmentSchema.index({ caseId: 1, createdAt: 1 });
+
+export const Attachment = mongoose.models.Attachment || mongoose.model("Attachment", attachmentSchema);
+
+/* ------------------------------ Upload checks ------------------------------ */
+// What we accept, recognised by the file's leading bytes; the client's
+// Content-Type and file extension are never trusted
+const SIGNATURES = [
+  { mimeType: "image/jpeg", ext: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: "image/png", ext: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: "image/gif", ext: "gif", test: (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")) },
+  {
+    mimeType: "image/webp",
+    ext: "webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  { mimeType: "application/pdf", ext: "pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+export const ALLOWED_MIME_TYPES = SIGNATURES.map((s) => s.mimeType);
+
+export function sniffMimeType(buffer) {
+  return SIGNATURES.find((s) => buffer.length >= 12 && s.test(buffer)) || null;
+}
+
+// Keeps a display name safe for Content-Disposition and the UI
+export function sanitizeFileName(name, ext) {
+  const base = String(name ?? "")
+    .replace(/[\\/]/g, "_")
+    .replace(/[\x00-\x1f\x7f"]/g, "")
+    .trim()
+    .slice(0, 120);
+  if (!base) return `attachment.${ext}`;
+  return base.toLowerCase().endsWith(`.${ext}`) ? base : `${base}.${ext}`;
+}
+
+// express.raw with the size cap, answering 413 as JSON instead of falling
+// through to the default HTML error page
+const readRaw = express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES });
+export function uploadBody(req, res, next) {
+  readRaw(req, res, (err) => {
+    if (err?.type === "entity.too.large") {
+      return res.status(413).json({ error: `Files are limited to ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB` });
+    }
+    next(err);
+  });
+}
+
+export async function createAttachment({ buffer, name, uploadedBy }) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new HttpError("File is empty");
+  if (buffer.length > ATTACHMENT_MAX_BYTES) throw new HttpError("File is too large", 413);
+  const kind = sniffMimeType(buffer);
+  if (!kind) throw new HttpError("Only JPEG, PNG, GIF, WebP images and PDFs can be attached", 415);
+
+  const storage = getStorage();
+  const storageKey = `attachments/${new Date().toISOString().slice(0, 7)}/${crypto.randomUUID()}.${kind.ext}`;
+  await storage.put(storageKey, buffer, { contentType: kind.mimeType });
+  return Attachment.create({
+    uploadedBy,
+    name: sanitizeFileName(name, kind.ext),
+    mimeType: kind.mimeType,
+    size: buffer.length,
+    driver: storage.name,
+    storageKey,
+  });
+}
+
+/* --------------------------- Sending & reading --------------------------- */
+// What messages carry and clients render
+export const attachmentSummary = (a) => ({ _id: a._id, name: a.name, mimeType: a.mimeType, size: a.size });
+
+// The caller's own unsent uploads for `ids` (all of them, or an error)
+export async function loadUploads(ids, uploadedBy) {
+  if (ids === undefined || ids === null) return [];
+  if (!Array.isArray(ids)) throw new HttpError("attachmentIds must be an array");
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new HttpError(`At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`);
+  }
+  if (unique.some((id) => !mongoose.isValidObjectId(id))) throw new HttpError("Invalid attachment id");
+  const uploads = await Attachment.find({ _id: { $in: unique }, uploadedBy, caseId: null });
+  if (uploads.length !== unique.length) throw new HttpError("Attachment not found or already sent");
+  return unique.map((id) => uploads.find((u) => String(u._id) === id));
+}
+
+export async function attachToCase(uploads, caseId, at = new Date()) {
+  if (!uploads.length) return;
+  await Attachment.updateMany(
+    { _id: { $in: uploads.map((u) => u._id) }, caseId: null },
+    { $set: { caseId, attachedAt: at } }
+  );
+}
+
+// Stream for a stored attachment, or null if the object is missing
+export async function openAttachment(attachment) {
+  const storage = getStorage();
+  if (storage.name !== attachment.driver) {
+    console.warn(`Attachment ${attachment._id} is in ${attachment.driver} storage, current driver is ${storage.name}`);
+  }
+  return storage.get(attachment.storageKey);
+}
+
+// Deletes uploads that were never sent; returns how many went
+export async function sweepUnclaimedAttachments(now = Date.now()) {
+  const stale = await Attachment.find({ caseId: null, createdAt: { $lt: new Date(now - UNCLAIMED_TTL_MS) } })
+    .limit(500)
+    .lean();
+  const storage = getStorage();
+  for (const a of stale) {
+    try {
+      await storage.remove(a.storageKey);
+      await Attachment.deleteOne({ _id: a._id });
+    } catch (err) {
+      console.error(`Failed to delete unsent attachment ${a._id}:`, err.message);
+    }
+  }
+  return stale.length;
+}
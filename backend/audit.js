@@ -0,0 +1,34 @@
+// audit.js
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true }, // e.g. "role.change"
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = system/CLI
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now },
+});
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export const AuditLog =
+  mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
+
+// Append-only; a failed audit write is logged but never breaks the caller
+export async function recordAudit({ action, actorId = null, targetUserId = null, details = {} }) {
+  try {
+    return await new AuditLog({ action, actorId, targetUserId, details }).save();
+  } catch (err) {
+    console.error("Audit log error:", err?.message || err);
+    return null;
+  }
+}
+
+export async function recordRoleChange({ actorId = null, targetUserId, from = null, to, via }) {
+  return recordAudit({
+    action: "role.change",
+    actorId,
+    targetUserId,
+    details: { from, to, via },
+  });
+}
@@ -0,0 +1,103 @@
+// auth.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+export const ACCESS_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_MIN ?? 15) * 60;
+
+// Short-lived access token; jti identifies this token, sid the device session,
+// mfa records that the session passed a second factor
+export function signToken(user, sessionId, { mfa = false } = {}) {
+  return jwt.sign(
+    {
+      id: String(user._id),
+      role: user.role,
+      domains: user.domains?.length ? [...user.domains] : undefined,
+      sid: sessionId ? String(sessionId) : undefined,
+      mfa: mfa || undefined,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TTL_SEC, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Denylist entry lives only as long as the token itself would have
+export async function revokeToken(redis, payload) {
+  if (!payload?.jti) return;
+  const ttl = payload.exp
+    ? payload.exp - Math.floor(Date.now() / 1000)
+    : ACCESS_TTL_SEC;
+  if (ttl <= 0) return;
+  await redis.set(`revoked-token:${payload.jti}`, "1", { EX: ttl });
+}
+
+// Any access token minted for the session dies within ACCESS_TTL_SEC anyway
+export async function revokeSessionTokens(redis, sessionId) {
+  if (!sessionId) return;
+  await redis.set(`revoked-session:${sessionId}`, "1", { EX: ACCESS_TTL_SEC });
+}
+
+// After a role/scope change: older access tokens carry stale claims, so the
+// client has to refresh (which re-reads the user) before it can continue
+export async function invalidateUserTokens(redis, userId) {
+  const now = Math.floor(Date.now() / 1000);
+  await redis.set(`tokens-valid-after:${userId}`, String(now), { EX: ACCESS_TTL_SEC });
+}
+
+export async function isTokenRevoked(redis, payload) {
+  if (payload?.jti && (await redis.get(`revoked-token:${payload.jti}`))) return true;
+  if (payload?.sid && (await redis.get(`revoked-session:${payload.sid}`))) return true;
+  const validAfter = payload?.id && (await redis.get(`tokens-valid-after:${payload.id}`));
+  if (validAfter && payload.iat < Number(validAfter)) return true;
+  return false;
+}
+
+// Verify signature + expiry, then check the Redis denylist
+export async function verifyToken(redis, token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.purpose) throw new Error("Not an access token"); // email tokens share the secret
+  if (await isTokenRevoked(redis, payload)) {
+    throw new Error("Token revoked");
+  }
+  return payload;
+}
+
+/* -------- Single-use email tokens (verify-email, reset-password) -------- */
+const EMAIL_TOKEN_TTL = {
+  "verify-email": 24 * 60 * 60,
+  "reset-password": 60 * 60,
+};
+
+export function signEmailToken(user, purpose) {
+  return jwt.sign(
+    { id: String(user._id), email: user.email, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_TOKEN_TTL[purpose], jwtid: crypto.randomUUID() }
+  );
+}
+
+// Verifies signature + purpose and burns the jti; a second use throws
+export async function consumeEmailToken(redis, token, purpose) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.purpose !== purpose || !payload.jti) {
+    throw new Error("Wrong token purpose");
+  }
+  const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  const first = await redis.set(`used-email-token:${payload.jti}`, "1", { EX: ttl, NX: true });
+  if (!first) throw new Error("Token already used");
+  return payload;
+}
+
+/* -------- Pending-MFA login token (password ok, second factor outstanding) -------- */
+const MFA_TOKEN_TTL = 5 * 60;
+
+export function signMfaToken(user) {
+  return jwt.sign({ id: String(user._id), purpose: "mfa" }, process.env.JWT_SECRET, {
+    expiresIn: MFA_TOKEN_TTL,
+  });
+}
+
+export function verifyMfaToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.purpose !== "mfa") throw new Error("Wrong token purpose");
+  return payload;
+}
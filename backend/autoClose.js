@@ -0,0 +1,222 @@
+// autoClose.js
+import crypto from "crypto";
+import { DOMAINS } from "./permissions.js";
+import { recordAudit } from "./audit.js";
+import { recordCaseEvent } from "./caseEvents.js";
+import { getSetting } from "./settings.js";
+import { transitionCase } from "./caseLifecycle.js";
+
+const TICK_MS = Number(process.env.AUTO_CLOSE_TICK_SEC ?? 300) * 1000;
+const BATCH = 200;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOURS = 24 * 90;
+
+// Hours before each automatic step; 0 turns the step off.
+//   pendingReminderHours  waiting on the customer → one nudge in the chat
+//   pendingResolveHours   waiting on the customer → resolved
+//   botIdleCloseHours     bot-only chat, never escalated, customer gone quiet → closed
+export const AUTO_CLOSE_DEFAULTS = { pendingReminderHours: 48, pendingResolveHours: 168, botIdleCloseHours: 24 };
+const RULE_KEYS = Object.keys(AUTO_CLOSE_DEFAULTS);
+
+// Bad rules from the settings form; the route sends a 400
+export class AutoCloseRuleError extends Error {}
+
+function parseRule(raw = {}, { partial }) {
+  const rule = {};
+  for (const key of RULE_KEYS) {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === "") {
+      if (partial) continue;
+      rule[key] = AUTO_CLOSE_DEFAULTS[key];
+      continue;
+    }
+    const hours = Number(raw[key]);
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_HOURS) {
+      throw new AutoCloseRuleError(`${key} must be a whole number of hours (0-${MAX_HOURS})`);
+    }
+    rule[key] = hours;
+  }
+  return rule;
+}
+
+// { default: rule, domains: { [domain]: partial rule } }; a domain only
+// lists the steps it overrides
+export function parseAutoCloseRules({ default: base, domains = {} } = {}) {
+  const rules = { default: parseRule(base, { partial: false }), domains: {} };
+  for (const [domain, rule] of Object.entries(domains || {})) {
+    if (!DOMAINS.includes(domain)) throw new AutoCloseRuleError(`Unknown domain: ${domain}`);
+    const parsed = parseRule(rule, { partial: true });
+    if (Object.keys(parsed).length) rules.domains[domain] = parsed;
+  }
+  return rules;
+}
+
+export const rulesFor = (rules, domain) => ({
+  ...AUTO_CLOSE_DEFAULTS,
+  ...rules?.default,
+  ...rules?.domains?.[domain],
+});
+
+function reminderMessage(rule) {
+  const days = Math.round((rule.pendingResolveHours - rule.pendingReminderHours) / 24);
+  const when = !rule.pendingResolveHours
+    ? ""
+    : days >= 1
+    ? ` If we don't hear from you within ${days} day${days === 1 ? "" : "s"}, we'll mark it as resolved.`
+    : " If we don't hear from you soon, we'll mark it as resolved.";
+  return `Just checking in: we're waiting on your reply to continue with this case.${when}`;
+}
+
+const RESOLVED_MESSAGE =
+  "We haven't heard back from you, so we've marked this case as resolved. If you still need help, just reply here.";
+const CLOSED_MESSAGE =
+  "This conversation was closed after a period of inactivity. Send a message any time to start a new one.";
+
+const cutoff = (now, hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+// Cases waiting on the customer for `hours` or more. Timed from pendingSince,
+// not sla.pausedAt: the SLA clock may have stopped earlier, on-hold.
+export const waitingOnCustomerFilter = (domain, hours, now) => ({
+  domain,
+  status: "pending-customer",
+  pendingSince: { $lte: cutoff(now, hours) },
+});
+
+// One nudge per wait: a case that goes back to pending-customer later
+// (pendingSince moves on) gets a new one
+async function sweepReminders(Case, ctx, domain, rule, now) {
+  const hours = rule.pendingReminderHours;
+  // Pointless if the case resolves before the reminder would go out
+  if (!hours || (rule.pendingResolveHours && rule.pendingResolveHours <= hours)) return;
+  const filter = {
+    ...waitingOnCustomerFilter(domain, hours, now),
+    $or: [{ pendingReminderAt: null }, { $expr: { $lt: ["$pendingReminderAt", "$pendingSince"] } }],
+  };
+  const candidates = await Case.find(filter).select("_id").limit(BATCH).lean();
+  for (const { _id } of candidates) {
+    try {
+      const c = await Case.findOneAndUpdate({ ...filter, _id }, { $set: { pendingReminderAt: now } }, { new: true }).lean();
+      if (!c) continue;
+      await ctx.postSystemMessage(c, reminderMessage(rule));
+      await recordCaseEvent(ctx.io, c, { type: "case.reminder", data: { hours }, at: now });
+      await recordAudit({
+        action: "case.auto_remind",
+        targetUserId: c.userId,
+        details: { caseId: String(c._id), ticketNumber: c.ticketNumber, rule: "pendingReminderHours", hours },
+      });
+    } catch (err) {
+      console.error(`Auto-close reminder failed for case ${_id}:`, err?.message || err);
+    }
+  }
+}
+
+// Resolves or closes every case still matching `filter`, with the same
+// bookkeeping as a manual status change plus a last word to the customer
+async function sweepTransitions(Case, ctx, filter, { to, rule, hours, message, now }) {
+  const candidates = await Case.find(filter).select("_id").limit(BATCH).lean();
+  for (const { _id } of candidates) {
+    try {
+      // Re-checked on the document, so a customer reply since the query wins
+      const csCase = await Case.findOne({ ...filter, _id });
+      if (!csCase) continue;
+      const change = transitionCase(csCase, to, { reason: `No customer activity for ${hours}h`, at: now });
+      await csCase.save();
+      await ctx.publishStatusChange(csCase, change);
+      await recordAudit({
+        action: to === "closed" ? "case.auto_close" : "case.auto_resolve",
+        targetUserId: csCase.userId,
+        details: { caseId: String(csCase._id), ticketNumber: csCase.ticketNumber, rule, hours, from: change.from },
+      });
+      await ctx.postSystemMessage(csCase, message);
+    } catch (err) {
+      console.error(`Auto-close ${to} failed for case ${_id}:`, err?.message || err);
+    }
+  }
+}
+
+async function sweepDomain(Case, ctx, domain, rule, now) {
+  await sweepReminders(Case, ctx, domain, rule, now);
+
+  if (rule.pendingResolveHours) {
+    await sweepTransitions(
+      Case,
+      ctx,
+      waitingOnCustomerFilter(domain, rule.pendingResolveHours, now),
+      { to: "resolved", rule: "pendingResolveHours", hours: rule.pendingResolveHours, message: RESOLVED_MESSAGE, now }
+    );
+  }
+
+  if (rule.botIdleCloseHours) {
+    const quietSince = cutoff(now, rule.botIdleCloseHours);
+    await sweepTransitions(
+      Case,
+      ctx,
+      {
+        domain,
+        status: { $in: ["new", "open", "reopened"] },
+        firstAgentReplyAt: null,
+        "handoff.at": null,
+        "statusHistory.to": { $ne: "escalated" },
+        $or: [
+          { lastCustomerMessageAt: { $lte: quietSince } },
+          { lastCustomerMessageAt: null, createdAt: { $lte: quietSince } },
+        ],
+      },
+      { to: "closed", rule: "botIdleCloseHours", hours: rule.botIdleCloseHours, message: CLOSED_MESSAGE, now }
+    );
+  }
+}
+
+// Cases already waiting on the customer before pendingSince existed: the
+// last move to pending-customer, else their last update
+export async function backfillPendingSince(Case) {
+  const { modifiedCount } = await Case.updateMany({ status: "pending-customer", pendingSince: null }, [
+    {
+      $set: {
+        pendingSince: {
+          $ifNull: [
+            {
+              $max: {
+                $map: {
+                  input: { $filter: { input: "$statusHistory", cond: { $eq: ["$$this.to", "pending-customer"] } } },
+                  in: "$$this.at",
+                },
+              },
+            },
+            "$updatedAt",
+          ],
+        },
+      },
+    },
+  ]);
+  if (modifiedCount) console.log(`Set pendingSince on ${modifiedCount} cases waiting on the customer`);
+}
+
+// `ctx` carries the server's chat and status plumbing:
+//   { io, postSystemMessage(c, text), publishStatusChange(c, change) }
+export async function runAutoCloseSweep({ Case, redis, ctx, now = new Date() }) {
+  // Only one instance sweeps per tick
+  const lock = await redis.set("auto-close:lock", crypto.randomUUID(), {
+    NX: true,
+    PX: Math.max(TICK_MS - 1000, 1000),
+  });
+  if (!lock) return;
+
+  const rules = await getSetting("lifecycle.autoClose");
+  // A failing domain (or case, see the sweeps) doesn't hold up the rest
+  for (const domain of DOMAINS) {
+    try {
+      await sweepDomain(Case, ctx, domain, rulesFor(rules, domain), now);
+    } catch (err) {
+      console.error(`Auto-close sweep error in ${domain}:`, err?.message || err);
+    }
+  }
+}
+
+export function startAutoCloseScheduler({ Case, getRedis, ctx }) {
+  const tick = () =>
+    runAutoCloseSweep({ Case, redis: getRedis(), ctx }).catch((err) =>
+      console.error("Auto-close sweep error:", err?.message || err)
+    );
+  tick();
+  return setInterval(tick, TICK_MS);
+}
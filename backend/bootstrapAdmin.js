@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import dotenv from "dotenv";
+import { recordRoleChange } from "./audit.js";
+import { ROLES } from "./permissions.js";
+
+dotenv.config();
+
+// Usage:
+//   node bootstrapAdmin.js <email> <name> <password>
+//   ADMIN_EMAIL=... ADMIN_NAME=... ADMIN_PASSWORD=... node bootstrapAdmin.js
+// Refuses to run once an admin exists unless --force is passed.
+
+const requiredEnv = ["MONGO_URI"];
+requiredEnv.forEach((key) => {
+  if (!process.env[key]) {
+    console.error(`Missing environment variable: ${key}`);
+    process.exit(1);
+  }
+});
+
+// --- User Schema (auth fields only, see server.js) ---
+const userSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: { type: String, unique: true },
+    password: String,
+    role: { type: String, enum: ROLES, default: "user" },
+  },
+  { strict: false }
+);
+const User = mongoose.models.User || mongoose.model("User", userSchema);
+
+async function bootstrapAdmin() {
+  const args = process.argv.slice(2).filter((a) => a !== "--force");
+  const force = process.argv.includes("--force");
+
+  const email = (args[0] || process.env.ADMIN_EMAIL || "").trim().toLowerCase();
+  const name = args[1] || process.env.ADMIN_NAME || "Admin";
+  const password = args[2] || process.env.ADMIN_PASSWORD;
+
+  if (!email) {
+    console.error("An admin email is required");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  const adminCount = await User.countDocuments({ role: "admin" });
+  if (adminCount > 0 && !force) {
+    console.error(`${adminCount} admin(s) already exist; use an invite instead (or pass --force)`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+
+  let user = await User.findOne({ email });
+  if (user) {
+    const from = user.role;
+    user.role = "admin";
+    await user.save();
+    await recordRoleChange({ targetUserId: user._id, from, to: "admin", via: "bootstrap" });
+    console.log(`Promoted existing user ${email} to admin`);
+  } else {
+    if (!password || password.length < 6) {
+      console.error("A password of at least 6 characters is required for a new admin");
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+    user = await new User({
+      name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role: "admin",
+      emailVerified: true,
+      orders: [],
+    }).save();
+    await recordRoleChange({ targetUserId: user._id, to: "admin", via: "bootstrap" });
+    console.log(`Created admin ${email}`);
+  }
+
+  await mongoose.connection.close();
+}
+
+bootstrapAdmin().catch(async (err) => {
+  console.error("Bootstrap failed:", err);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// caseBulk.js
+import mongoose from "mongoose";
+import { HttpError } from "./httpError.js";
+
+export const BULK_ACTIONS = ["status", "assign", "tag", "priority", "reply"];
+export const BULK_MAX_CASES = 200;
+
+// Validates the envelope; per-action params are checked by the caller
+export function parseBulkRequest({ caseIds, action, params } = {}) {
+  if (!BULK_ACTIONS.includes(action)) return { error: `action must be one of: ${BULK_ACTIONS.join(", ")}` };
+  if (!Array.isArray(caseIds) || caseIds.length === 0) return { error: "caseIds must be a non-empty array" };
+  const ids = [...new Set(caseIds.map(String))];
+  if (ids.length > BULK_MAX_CASES) return { error: `At most ${BULK_MAX_CASES} cases per request` };
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) return { error: "caseIds contains an invalid id" };
+  return { caseIds: ids, action, params: params && typeof params === "object" ? params : {} };
+}
+
+// Runs `fn(csCase)` for each case, one at a time, and reports every outcome.
+// Cases that don't exist or are out of scope fail without calling `fn`.
+export async function runBulk(Case, caseIds, { canAccess, fn }) {
+  const found = await Case.find({ _id: { $in: caseIds } });
+  const byId = new Map(found.map((c) => [String(c._id), c]));
+  const results = [];
+  for (const id of caseIds) {
+    const csCase = byId.get(id);
+    if (!csCase || !canAccess(csCase)) {
+      results.push({ caseId: id, ok: false, error: "Case not found" });
+      continue;
+    }
+    try {
+      await fn(csCase);
+      results.push({ caseId: id, ticketNumber: csCase.ticketNumber, ok: true });
+    } catch (err) {
+      const known = err instanceof HttpError;
+      if (!known) console.error(`Bulk action error on case ${id}:`, err);
+      results.push({
+        caseId: id,
+        ticketNumber: csCase.ticketNumber,
+        ok: false,
+        error: known ? err.message : "Server error",
+        ...(known && err.code && { code: err.code }),
+      });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,81 @@
+// caseEvents.js
+import mongoose from "mongoose";
+import { domainRoom } from "./permissions.js";
+
+// Append-only activity log per case. `data` holds the type-specific details:
+//   case.created      { priority, status, via }
+//   case.status       { from, to, reason }
+//   case.assigned     { from, to, reason }
+//   case.priority     { from, to, reason }
+//   case.product      { changeId, kind, status, before, after } (orderChanges.js)
+//   case.remedy       { remedyId, kind, amount, status, approval, reason? } (remedies.js)
+//   case.tags         { added, removed, via: "faq" | "macro" | undefined }
+//   case.fields       { changes: { key: { from, to } } }
+//   case.duplicate    { of: [{ _id, ticketNumber }] }
+//   case.merged       { into | from: { _id, ticketNumber } }
+//   case.linked       { case: { _id, ticketNumber }, removed? }
+//   case.reminder     { hours } (autoClose.js)
+//   sla.breach        { kind, dueAt }
+//   sentiment.escalated { reason, score, frustration }
+//   handoff           { mode: "agent" | "bot", reason, position }
+//   bot.reply         { source: "faq" | "case-memory" | "llm" | "remedy" }
+//   csat              { rating, hasComment } (csat.js)
+const caseEventSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", required: true },
+  type: { type: String, required: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = system
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  at: { type: Date, default: Date.now },
+});
+caseEventSchema.index({ caseId: 1, at: 1 });
+
+export const CaseEvent = mongoose.models.CaseEvent || mongoose.model("CaseEvent", caseEventSchema);
+
+// What the customer's own timeline shows; the rest is internal
+export const CUSTOMER_EVENT_TYPES = ["case.created", "case.status", "handoff", "case.merged"];
+
+// Writes the event and pushes it to the case's agents (and to the customer
+// for the types they can see). Like recordAudit, a failed write is logged but
+// never breaks the caller.
+export async function recordCaseEvent(io, csCase, { type, actorId = null, data = {}, at = new Date() }) {
+  try {
+    const event = await new CaseEvent({ caseId: csCase._id, type, actorId, data, at }).save();
+    if (io) {
+      const payload = event.toObject();
+      io.to(domainRoom(csCase.domain)).emit("case:event", payload);
+      if (CUSTOMER_EVENT_TYPES.includes(type)) {
+        io.to(`user:${csCase.userId}`).emit("case:event", customerView(payload));
+      }
+    }
+    return event;
+  } catch (err) {
+    console.error("Case event error:", err?.message || err);
+    return null;
+  }
+}
+
+// Customers see what happened, not which agent did it or internal reasons
+const customerView = ({ _id, caseId, type, data, at }) => ({
+  _id,
+  caseId,
+  type,
+  at,
+  data:
+    type === "case.status"
+      ? { from: data.from, to: data.to }
+      : type === "handoff"
+      ? { mode: data.mode, position: data.position }
+      : type === "case.merged"
+      ? { into: data.into && { ticketNumber: data.into.ticketNumber }, from: data.from && { ticketNumber: data.from.ticketNumber } }
+      : {},
+});
+
+export async function listCaseEvents(caseId, { customer = false } = {}) {
+  const filter = { caseId };
+  if (customer) filter.type = { $in: CUSTOMER_EVENT_TYPES };
+  const events = await CaseEvent.find(filter)
+    .sort({ at: 1, _id: 1 })
+    .populate("actorId", "name")
+    .lean();
+  return customer ? events.map(customerView) : events;
+}
@@ -0,0 +1,149 @@
+// caseFields.js
+import mongoose from "mongoose";
+import { DOMAINS } from "./permissions.js";
+
+/* -------------------------------- Tags -------------------------------- */
+export const TAG_MAX_LENGTH = 40;
+export const MAX_TAGS_PER_CASE = 20;
+
+// "Damaged  in Transit " -> "damaged in transit"
+export const normalizeTag = (tag) => String(tag ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Normalised, de-duplicated tags, or { error } for an over-long one
+export function parseTags(input) {
+  const tags = [...new Set((Array.isArray(input) ? input : []).map(normalizeTag).filter(Boolean))];
+  if (tags.some((t) => t.length > TAG_MAX_LENGTH)) {
+    return { error: `Tags must be ${TAG_MAX_LENGTH} characters or fewer` };
+  }
+  return { tags };
+}
+
+// Adds/removes on the (unsaved) case; returns what actually changed, or
+// { error } if the case would end up with too many tags
+export function applyTagChanges(csCase, { add = [], remove = [] }) {
+  const current = csCase.tags || [];
+  const removed = remove.filter((t) => current.includes(t) && !add.includes(t));
+  const kept = current.filter((t) => !removed.includes(t));
+  const added = add.filter((t) => !kept.includes(t));
+  if (kept.length + added.length > MAX_TAGS_PER_CASE) {
+    return { error: `A case can have at most ${MAX_TAGS_PER_CASE} tags` };
+  }
+  csCase.tags = [...kept, ...added];
+  return { added, removed };
+}
+
+/* ---------------------------- Custom fields ---------------------------- */
+export const CUSTOM_FIELD_TYPES = ["text", "number", "enum", "date"];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const TEXT_MAX_LENGTH = 500;
+
+// Admin-defined per domain; values live in Case.customFields[key]
+const customFieldSchema = new mongoose.Schema({
+  domain: { type: String, enum: DOMAINS, required: true },
+  key: { type: String, required: true, match: KEY_PATTERN },
+  label: { type: String, required: true, maxlength: 80 },
+  type: { type: String, enum: CUSTOM_FIELD_TYPES, required: true },
+  options: [String], // enum only
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+customFieldSchema.index({ domain: 1, key: 1 }, { unique: true });
+
+export const CustomField =
+  mongoose.models.CustomField || mongoose.model("CustomField", customFieldSchema);
+
+// Create payload; key and type are fixed once values may exist
+export function parseFieldDefinition({ domain, key, label, type, options }) {
+  if (!DOMAINS.includes(domain)) return { error: "Invalid domain" };
+  key = String(key ?? "").trim();
+  if (!KEY_PATTERN.test(key)) {
+    return { error: "Key must start with a letter and use only lowercase letters, digits and _ (max 40)" };
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(type)) return { error: "Invalid field type" };
+  const rest = parseFieldLabelAndOptions({ label, type, options });
+  return rest.error ? rest : { field: { domain, key, type, ...rest.field } };
+}
+
+// The editable part of a definition
+export function parseFieldLabelAndOptions({ label, type, options }) {
+  label = String(label ?? "").trim();
+  if (!label || label.length > 80) return { error: "Label is required (max 80 characters)" };
+  if (type !== "enum") return { field: { label, options: [] } };
+  options = [...new Set((Array.isArray(options) ? options : []).map((o) => String(o).trim()).filter(Boolean))];
+  if (options.length === 0) return { error: "Enum fields need at least one option" };
+  if (options.some((o) => o.length > 80)) return { error: "Options must be 80 characters or fewer" };
+  return { field: { label, options } };
+}
+
+// Typed value for a definition; "" or null clears the field
+export function coerceFieldValue(def, raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+  switch (def.type) {
+    case "text": {
+      const value = String(raw).trim();
+      if (value.length > TEXT_MAX_LENGTH) return { error: `${def.label} must be ${TEXT_MAX_LENGTH} characters or fewer` };
+      return { value: value || null };
+    }
+    case "number": {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return { error: `${def.label} must be a number` };
+      return { value };
+    }
+    case "enum": {
+      if (!def.options.includes(raw)) return { error: `${def.label} must be one of: ${def.options.join(", ")}` };
+      return { value: raw };
+    }
+    case "date": {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) return { error: `${def.label} must be a date` };
+      return { value };
+    }
+    default:
+      return { error: `Unknown field type for ${def.label}` };
+  }
+}
+
+// Validates { key: value } against the domain's definitions; returns the
+// typed values or the first error
+export function parseFieldValues(defs, input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "values must be an object" };
+  const values = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const def = defs.find((d) => d.key === key);
+    if (!def) return { error: `Unknown field: ${key}` };
+    const { value, error } = coerceFieldValue(def, raw);
+    if (error) return { error };
+    values[key] = value;
+  }
+  return { values };
+}
+
+// Inbox filter for ?cf.<key>=value. Text matches case-insensitively as a
+// substring, dates match the whole day, everything else exactly. A key can
+// exist in several domains, each with its own type.
+export function customFieldFilter(defs, key, raw) {
+  const matching = defs.filter((d) => d.key === key);
+  if (!matching.length) return { error: `Unknown custom field: ${key}` };
+  const or = [];
+  for (const def of matching) {
+    const path = `customFields.${key}`;
+    if (def.type === "text") {
+      const escaped = String(raw).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      or.push({ domain: def.domain, [path]: { $regex: escaped, $options: "i" } });
+      continue;
+    }
+    const { value, error } = coerceFieldValue(def, raw);
+    if (error && matching.length === 1) return { error };
+    if (error || value === null) continue; // the value fits another domain's field
+    if (def.type === "date") {
+      const start = new Date(value);
+      start.setUTCHours(0, 0, 0, 0);
+      const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+      or.push({ domain: def.domain, [path]: { $gte: start, $lt: end } });
+    } else {
+      or.push({ domain: def.domain, [path]: value });
+    }
+  }
+  if (!or.length) return { filter: null };
+  return { filter: or.length === 1 ? or[0] : { $or: or } };
+}
@@ -0,0 +1,270 @@
+// caseInbox.js
+import mongoose from "mongoose";
+import { DOMAINS, domainScope } from "./permissions.js";
+import { isTicketNumber } from "./caseTickets.js";
+import { slaAtRiskFilter } from "./sla.js";
+import { CASE_STATUSES, DONE_STATUSES } from "./caseLifecycle.js";
+import { normalizeTag, customFieldFilter } from "./caseFields.js";
+
+export const CASE_PRIORITIES = ["high", "low"];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Every sort ends on _id so the keyset is unique; "priority" keeps the old
+// dashboard order (high first, newest first within a priority)
+const SORTS = {
+  newest: [["createdAt", -1], ["_id", -1]],
+  oldest: [["createdAt", 1], ["_id", 1]],
+  updated: [["updatedAt", -1], ["_id", -1]],
+  priority: [["priority", 1], ["createdAt", -1], ["_id", -1]],
+  frustration: [["sentiment.frustration", -1], ["createdAt", -1], ["_id", -1]],
+};
+export const INBOX_SORTS = Object.keys(SORTS);
+
+const DATE_FIELDS = new Set(["createdAt", "updatedAt"]);
+const ACTIVE = { status: { $nin: DONE_STATUSES } };
+
+// Reads "a.b" style sort paths off a lean document
+const pathValue = (doc, path) => path.split(".").reduce((v, key) => v?.[key], doc);
+
+// Bad query-string input; routes turn it into a 400
+export class InboxQueryError extends Error {}
+
+/* ------------------------------ Cursors ------------------------------ */
+// Opaque to clients: base64url JSON of the last row's sort values
+export function encodeCursor(doc, sort) {
+  const values = SORTS[sort].map(([field]) => pathValue(doc, field) ?? null);
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new InboxQueryError("Invalid cursor");
+  }
+  const spec = SORTS[sort];
+  if (!Array.isArray(values) || values.length !== spec.length) {
+    throw new InboxQueryError("Invalid cursor");
+  }
+  return spec.map(([field], i) => {
+    if (field === "_id") {
+      if (!mongoose.isValidObjectId(values[i])) throw new InboxQueryError("Invalid cursor");
+      return new mongoose.Types.ObjectId(values[i]);
+    }
+    return DATE_FIELDS.has(field) ? new Date(values[i]) : values[i];
+  });
+}
+
+// Rows strictly after the cursor in sort order:
+// (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND c > z) ...
+function keysetFilter(sort, values) {
+  const spec = SORTS[sort];
+  return {
+    $or: spec.map(([field, dir], i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[spec[j][0]] = values[j];
+      clause[field] = { [dir > 0 ? "$gt" : "$lt"]: values[i] };
+      return clause;
+    }),
+  };
+}
+
+/* ------------------------------ Filters ------------------------------ */
+const list = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+function oneOf(value, allowed, label) {
+  const values = list(value);
+  const bad = values.find((v) => !allowed.includes(v));
+  if (bad) throw new InboxQueryError(`Invalid ${label}: ${bad}`);
+  return values;
+}
+
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new InboxQueryError(`Invalid ${label} date`);
+  return date;
+}
+
+// Translates inbox query-string filters into a Mongo filter, always narrowed
+// to the principal's domains. Shared by the list and the tab counters.
+// `fieldDefs` are the custom field definitions used to type ?cf.<key>= values.
+export function buildInboxFilter(query, principal, fieldDefs = []) {
+  const and = [];
+
+  const scope = domainScope(principal);
+  const domains = oneOf(query.domain, DOMAINS, "domain");
+  if (domains.length) {
+    and.push({ domain: { $in: scope === null ? domains : domains.filter((d) => scope.includes(d)) } });
+  } else if (scope !== null) {
+    and.push({ domain: { $in: scope } });
+  }
+
+  const statuses = oneOf(query.status, CASE_STATUSES, "status");
+  if (statuses.length) and.push({ status: { $in: statuses } });
+
+  const priorities = oneOf(query.priority, CASE_PRIORITIES, "priority");
+  if (priorities.length) and.push({ priority: { $in: priorities } });
+
+  // ObjectIds are built here because aggregate() doesn't cast like find()
+  if (query.assignee) {
+    const assignee = query.assignee === "me" ? String(principal.id) : query.assignee;
+    if (assignee === "unassigned") and.push({ assignee: null });
+    else if (mongoose.isValidObjectId(assignee)) {
+      and.push({ assignee: new mongoose.Types.ObjectId(assignee) });
+    } else throw new InboxQueryError("Invalid assignee");
+  }
+
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = parseDate(query.from, "from");
+    if (query.to) createdAt.$lte = parseDate(query.to, "to");
+    and.push({ createdAt });
+  }
+
+  // ?tag=a,b: cases carrying every listed tag
+  const tags = list(query.tag).map(normalizeTag).filter(Boolean);
+  if (tags.length) and.push({ tags: { $all: tags } });
+
+  for (const [param, value] of Object.entries(query)) {
+    if (!param.startsWith("cf.") || value === "") continue;
+    const { filter, error } = customFieldFilter(fieldDefs, param.slice(3), value);
+    if (error) throw new InboxQueryError(error);
+    if (filter) and.push(filter);
+  }
+
+  if (query.replied === "true") and.push({ firstAgentReplyAt: { $ne: null } });
+  else if (query.replied === "false") and.push({ firstAgentReplyAt: null });
+  else if (query.replied !== undefined) throw new InboxQueryError("Invalid replied flag");
+
+  if (query.sla === "at_risk") and.push(ACTIVE, slaAtRiskFilter());
+  else if (query.sla === "breached") {
+    and.push(ACTIVE, {
+      $or: [{ "sla.firstResponseBreachedAt": { $ne: null } }, { "sla.resolutionBreachedAt": { $ne: null } }],
+    });
+  } else if (query.sla !== undefined) throw new InboxQueryError("Invalid sla filter");
+
+  // A ticket number ("EC-10234") jumps straight to that case
+  const q = String(query.q ?? "").trim();
+  if (isTicketNumber(q)) and.push({ ticketNumber: q.toUpperCase() });
+  else if (q) and.push({ $text: { $search: q.slice(0, 200) } });
+
+  return and.length ? { $and: and } : {};
+}
+
+// One page of the inbox; fetches limit+1 rows to know whether more exist
+export async function findInboxPage(Case, query, principal, fieldDefs = []) {
+  const sort = query.sort ?? "newest";
+  if (!SORTS[sort]) throw new InboxQueryError("Invalid sort");
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const filter = buildInboxFilter(query, principal, fieldDefs);
+  if (query.cursor) {
+    const page = keysetFilter(sort, decodeCursor(query.cursor, sort));
+    if (filter.$and) filter.$and.push(page);
+    else Object.assign(filter, page);
+  }
+
+  const rows = await Case.find(filter)
+    .sort(Object.fromEntries(SORTS[sort]))
+    .limit(limit + 1)
+    .populate("userId", "name email")
+    .populate("assignee", "name email")
+    .populate("responses.adminId", "name")
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const cases = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    cases,
+    nextCursor: hasMore ? encodeCursor(cases[cases.length - 1], sort) : null,
+  };
+}
+
+/* ------------------------------ Counters ------------------------------ */
+// Tab counters (one per lifecycle status) and chart series for the console
+// header. Takes the same filters as the list (minus status/replied/sla,
+// which define the tabs).
+export async function inboxStats(Case, query, principal, fieldDefs = []) {
+  const rest = { ...query };
+  delete rest.status;
+  delete rest.replied;
+  delete rest.sla;
+  const match = buildInboxFilter(rest, principal, fieldDefs);
+
+  const [facets] = await Case.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              highPriority: { $sum: { $cond: [{ $eq: ["$priority", "high"] }, 1, 0] } },
+            },
+          },
+        ],
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        byDomain: [{ $group: { _id: "$domain", count: { $sum: 1 } } }],
+        createdByDay: [{ $group: { _id: { $dayOfWeek: "$createdAt" }, count: { $sum: 1 } } }],
+        resolvedByDay: [
+          { $match: { resolvedAt: { $ne: null } } },
+          { $group: { _id: { $dayOfWeek: "$resolvedAt" }, count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  // $dayOfWeek is 1 (Sunday) .. 7 (Saturday); return Sunday-first arrays
+  const byDay = (rows) => {
+    const out = new Array(7).fill(0);
+    rows.forEach((r) => (out[r._id - 1] = r.count));
+    return out;
+  };
+  const totals = facets.totals[0] || { total: 0, highPriority: 0 };
+  delete totals._id;
+  const byStatus = Object.fromEntries(CASE_STATUSES.map((s) => [s, 0]));
+  facets.byStatus.forEach((s) => (byStatus[s._id] = s.count));
+  const atRisk = await Case.countDocuments({ $and: [match, ACTIVE, slaAtRiskFilter()] });
+  return {
+    ...totals,
+    byStatus,
+    atRisk,
+    byDomain: Object.fromEntries(facets.byDomain.map((d) => [d._id, d.count])),
+    createdByDay: byDay(facets.createdByDay),
+    resolvedByDay: byDay(facets.resolvedByDay),
+  };
+}
+
+/* ------------------------------ Migration ------------------------------ */
+// Cases written before firstAgentReplyAt/lastAgentReplyAt existed get them
+// derived from their responses. Idempotent; only touches unset documents.
+export async function backfillAgentReplyTimes(Case) {
+  const agentReplyTimes = {
+    $map: {
+      input: {
+        $filter: { input: { $ifNull: ["$responses", []] }, cond: { $ne: ["$$this.adminId", null] } },
+      },
+      in: "$$this.timestamp",
+    },
+  };
+  const { modifiedCount } = await Case.updateMany(
+    { firstAgentReplyAt: { $exists: false } },
+    [
+      {
+        $set: {
+          firstAgentReplyAt: { $ifNull: [{ $min: agentReplyTimes }, null] },
+          lastAgentReplyAt: { $ifNull: [{ $max: agentReplyTimes }, null] },
+        },
+      },
+    ]
+  );
+  if (modifiedCount) console.log(`Backfilled agent reply times on ${modifiedCount} cases`);
+}
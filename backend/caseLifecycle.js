@@ -0,0 +1,99 @@
+// caseLifecycle.js
+import { pauseSla, resumeSla, restartResolutionClock } from "./sla.js";
+
+export const CASE_STATUSES = [
+  "new",
+  "open",
+  "pending-customer",
+  "on-hold",
+  "escalated",
+  "resolved",
+  "closed",
+  "reopened",
+];
+
+// Finished cases; chat starts a new case (or reopens a resolved one) instead
+export const DONE_STATUSES = ["resolved", "closed"];
+export const ACTIVE_STATUSES = CASE_STATUSES.filter((s) => !DONE_STATUSES.includes(s));
+export const isDone = (status) => DONE_STATUSES.includes(status);
+
+// The resolution clock doesn't run while we're waiting on someone else
+const PAUSED_STATUSES = ["pending-customer", "on-hold"];
+
+// Allowed moves; "new" is only ever a starting state and "closed" is final
+const WORKING = ["open", "pending-customer", "on-hold", "escalated", "resolved", "closed"];
+export const CASE_TRANSITIONS = {
+  new: WORKING,
+  open: WORKING.filter((s) => s !== "open"),
+  "pending-customer": WORKING.filter((s) => s !== "pending-customer"),
+  "on-hold": WORKING.filter((s) => s !== "on-hold"),
+  escalated: WORKING.filter((s) => s !== "escalated"),
+  reopened: WORKING,
+  resolved: ["reopened", "closed"],
+  closed: [],
+};
+
+// Staff must say why for these
+export const REASON_REQUIRED = ["on-hold", "escalated", "reopened"];
+
+export const canTransition = (from, to) => Boolean(CASE_TRANSITIONS[from]?.includes(to));
+
+// Invalid or incomplete transition; routes turn it into a 409/400
+export class TransitionError extends Error {
+  constructor(message, code = "INVALID_TRANSITION") {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Moves a case document to `to` and records who, when and why. Does not save.
+// `by` is the acting user's id, or null for automatic changes.
+export function transitionCase(csCase, to, { by = null, reason = "", at = new Date() } = {}) {
+  const from = csCase.status;
+  if (!CASE_STATUSES.includes(to)) throw new TransitionError(`Unknown status: ${to}`, "INVALID_STATUS");
+  if (!canTransition(from, to)) throw new TransitionError(`Can't move a case from ${from} to ${to}`);
+  reason = String(reason ?? "").trim().slice(0, 500);
+  if (by && REASON_REQUIRED.includes(to) && !reason) {
+    throw new TransitionError(`A reason is required to move a case to ${to}`, "REASON_REQUIRED");
+  }
+
+  if (isDone(from) && !isDone(to)) restartResolutionClock(csCase.sla, at);
+  else if (PAUSED_STATUSES.includes(to)) pauseSla(csCase.sla, at);
+  else if (!isDone(to)) resumeSla(csCase.sla, at);
+
+  // Auto-close times the wait from here; sla.pausedAt may predate it (on-hold)
+  csCase.pendingSince = to === "pending-customer" ? at : null;
+  if (to === "resolved") csCase.resolvedAt = at;
+  if (to === "closed") csCase.closedAt = at;
+  if (to === "reopened") {
+    csCase.resolvedAt = null;
+    csCase.reopenCount = (csCase.reopenCount || 0) + 1;
+  }
+
+  csCase.status = to;
+  csCase.statusHistory.push({ from, to, by, reason, at });
+  csCase.updatedAt = at;
+  return { from, to, reason, at };
+}
+
+/* ------------------------------ Migration ------------------------------ */
+// From open/in-progress/resolved: untouched cases become "new", ones an agent
+// has answered are waiting on the customer, and in-progress ones are "open".
+// Runs after backfillAgentReplyTimes. Legacy cases are the ones without a
+// statusHistory, which is then set so the next start leaves them alone.
+export async function migrateCaseStatuses(Case) {
+  const legacy = { statusHistory: { $exists: false } };
+  // Sequential: "in-progress" -> "open" must not be picked up by the first two
+  const steps = [
+    [{ status: "open", firstAgentReplyAt: null }, { status: "new" }],
+    [{ status: "open", firstAgentReplyAt: { $ne: null } }, { status: "pending-customer" }],
+    [{ status: "in-progress" }, { status: "open" }],
+  ];
+  let moved = 0;
+  for (const [filter, set] of steps) {
+    moved += (await Case.updateMany({ ...legacy, ...filter }, { $set: set })).modifiedCount;
+  }
+  await Case.updateMany({ ...legacy, status: "resolved" }, [{ $set: { resolvedAt: "$updatedAt" } }]);
+  await Case.updateMany(legacy, { $set: { statusHistory: [] } });
+  if (moved) console.log(`Moved ${moved} cases to the new lifecycle states`);
+}
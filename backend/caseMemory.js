@@ -108,4 +108,22 @@ export async function searchSimilarCases(text, domain = null, topK = 3) {
   }
 }
 
+// Scores stored embeddings of `candidateIds` against the one stored for
+// `caseId`, best first. No embedding call; both must already be indexed.
+export async function findSimilarAmong(caseId, candidateIds = []) {
+  try {
+    const [self, candidates] = await Promise.all([
+      CaseMemory.findOne({ caseId }).select("embedding").lean(),
+      CaseMemory.find({ caseId: { $in: candidateIds } }).select("caseId embedding").lean(),
+    ]);
+    if (!self?.embedding?.length) return [];
+    return candidates
+      .map((c) => ({ caseId: c.caseId, score: cosine(self.embedding, c.embedding || []) }))
+      .sort((a, b) => b.score - a.score);
+  } catch (err) {
+    console.error("Case memory compare error:", err?.message || err);
+    return [];
+  }
+}
+
 export default CaseMemory;
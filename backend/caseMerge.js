@@ -0,0 +1,95 @@
+// caseMerge.js
+import { caseChatKey } from "./caseTickets.js";
+import { DONE_STATUSES, transitionCase } from "./caseLifecycle.js";
+import { findSimilarAmong } from "./caseMemory.js";
+import { MAX_TAGS_PER_CASE } from "./caseFields.js";
+
+// How alike two descriptions must be to flag the newer case as a likely duplicate
+const DUPLICATE_THRESHOLD = Number(process.env.SIM_DUPLICATE_THRESHOLD ?? 0.85);
+
+// Bad merge/link request; routes turn it into a 409
+export class MergeError extends Error {}
+
+/* ------------------------------ Duplicates ------------------------------ */
+// Compares a freshly created (and indexed) case with the same customer's
+// other active cases. Stores matches on the case and returns them, best first.
+export async function flagDuplicates(Case, csCase) {
+  const others = await Case.find({
+    _id: { $ne: csCase._id },
+    userId: csCase.userId,
+    status: { $nin: DONE_STATUSES },
+  })
+    .select("_id")
+    .lean();
+  if (!others.length) return [];
+
+  const matches = (await findSimilarAmong(csCase._id, others.map((c) => c._id)))
+    .filter((m) => m.score >= DUPLICATE_THRESHOLD)
+    .map((m) => ({ caseId: m.caseId, score: Number(m.score.toFixed(3)), flaggedAt: new Date() }));
+  if (matches.length) {
+    await Case.updateOne({ _id: csCase._id }, { $set: { possibleDuplicates: matches } });
+  }
+  return matches;
+}
+
+/* -------------------------------- Merge -------------------------------- */
+export function assertMergeable(source, target) {
+  if (String(source._id) === String(target._id)) throw new MergeError("Can't merge a case into itself");
+  if (String(source.userId) !== String(target.userId)) {
+    throw new MergeError("Only cases from the same customer can be merged");
+  }
+  if (source.mergedInto) throw new MergeError(`${source.ticketNumber} was already merged`);
+  if (target.mergedInto) throw new MergeError(`${target.ticketNumber} was merged into another case`);
+  if (source.status === "closed") throw new MergeError(`${source.ticketNumber} is closed`);
+  if (target.status === "closed") throw new MergeError(`${target.ticketNumber} is closed`);
+}
+
+// Folds `source` into `target` (both documents, unsaved): replies, reply
+// times and tags move over, and the source is closed with a pointer to the
+// survivor. Returns the source's status change for publishing.
+export function mergeCaseDocuments(source, target, { by = null, at = new Date() } = {}) {
+  assertMergeable(source, target);
+
+  const replies = [...target.responses, ...source.responses].map((r) => (r.toObject ? r.toObject() : r));
+  replies.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  target.responses = replies;
+
+  const earliest = [target.firstAgentReplyAt, source.firstAgentReplyAt].filter(Boolean).sort((a, b) => a - b)[0];
+  const latest = [target.lastAgentReplyAt, source.lastAgentReplyAt].filter(Boolean).sort((a, b) => b - a)[0];
+  target.firstAgentReplyAt = earliest || null;
+  target.lastAgentReplyAt = latest || null;
+  target.tags = [...new Set([...(target.tags || []), ...(source.tags || [])])].slice(0, MAX_TAGS_PER_CASE);
+  target.mergedFrom.push(source._id);
+  target.relatedCases = target.relatedCases.filter((id) => String(id) !== String(source._id));
+  target.possibleDuplicates = target.possibleDuplicates.filter((d) => String(d.caseId) !== String(source._id));
+  target.updatedAt = at;
+
+  source.responses = [];
+  source.mergedInto = target._id;
+  source.possibleDuplicates = [];
+  return transitionCase(source, "closed", { by, reason: `Merged into ${target.ticketNumber}`, at });
+}
+
+// Moves the source's bot transcript onto the target's, keeping time order
+export async function mergeChatHistory(redis, source, target) {
+  const sourceKey = caseChatKey(source._id);
+  const targetKey = caseChatKey(target._id);
+  const [fromSource, fromTarget] = await Promise.all([
+    redis.lRange(sourceKey, 0, -1),
+    redis.lRange(targetKey, 0, -1),
+  ]);
+  if (!fromSource.length) return 0;
+
+  const timeOf = (entry) => JSON.parse(entry).timestamp || 0;
+  const merged = [...fromTarget, ...fromSource]
+    .map((entry) => JSON.stringify({ ...JSON.parse(entry), caseId: target._id }))
+    .sort((a, b) => timeOf(a) - timeOf(b));
+  await redis
+    .multi()
+    .del(targetKey)
+    .rPush(targetKey, merged)
+    .expire(targetKey, 86400)
+    .del(sourceKey)
+    .exec();
+  return fromSource.length;
+}
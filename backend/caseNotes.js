@@ -0,0 +1,24 @@
+// caseNotes.js
+import mongoose from "mongoose";
+
+export const NOTE_MAX_LENGTH = 5000;
+
+// Staff-only notes on a case. Kept out of the Case document so no
+// customer-facing case payload can ever carry them.
+const caseNoteSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  body: { type: String, required: true, maxlength: NOTE_MAX_LENGTH },
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  createdAt: { type: Date, default: Date.now },
+});
+caseNoteSchema.index({ caseId: 1, createdAt: 1 });
+
+export const CaseNote = mongoose.models.CaseNote || mongoose.model("CaseNote", caseNoteSchema);
+
+export const listCaseNotes = (caseId) =>
+  CaseNote.find({ caseId })
+    .sort({ createdAt: 1 })
+    .populate("authorId", "name")
+    .populate("mentions", "name")
+    .lean();
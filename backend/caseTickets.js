@@ -0,0 +1,64 @@
+// caseTickets.js
+import mongoose from "mongoose";
+
+// Human-readable ticket numbers, sequential per domain: EC-10001, TR-10001, ...
+export const TICKET_PREFIXES = {
+  "E-commerce": "EC",
+  Travel: "TR",
+  Telecommunications: "TC",
+  "Banking Services": "BK",
+};
+const TICKET_BASE = 10000;
+
+const counterSchema = new mongoose.Schema({
+  _id: String, // "ticket:<prefix>"
+  seq: { type: Number, default: 0 },
+});
+const Counter = mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+export async function nextTicketNumber(domain) {
+  const prefix = TICKET_PREFIXES[domain] || "CS";
+  const { seq } = await Counter.findOneAndUpdate(
+    { _id: `ticket:${prefix}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${prefix}-${TICKET_BASE + seq}`;
+}
+
+export const isTicketNumber = (value = "") => /^[A-Z]{2}-\d+$/i.test(String(value).trim());
+
+// Bot transcript for one case (used to be one list per product)
+export const caseChatKey = (caseId) => `chat:case:${caseId}`;
+const legacyChatKey = ({ userId, orderId, productIndex }) => `chat:${userId}:${orderId}:${productIndex}`;
+
+/* ------------------------------ Migration ------------------------------ */
+// From "one case per product" to many: drops the old unique index, numbers
+// existing cases in creation order and moves each product's transcript onto
+// its case. Idempotent; only cases without a ticket number are touched.
+export async function migrateToMultiCase(Case, redis) {
+  const indexes = await Case.collection.indexes().catch(() => []);
+  const legacy = indexes.find(
+    (i) => i.unique && Object.keys(i.key).join(",") === "userId,orderId,productIndex"
+  );
+  if (legacy) {
+    await Case.collection.dropIndex(legacy.name);
+    console.log(`Dropped unique case index ${legacy.name}`);
+  }
+
+  let migrated = 0;
+  const cursor = Case.find({ ticketNumber: { $in: [null, ""] } })
+    .select("userId orderId productIndex domain")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  for await (const c of cursor) {
+    const ticketNumber = await nextTicketNumber(c.domain);
+    await Case.updateOne({ _id: c._id }, { $set: { ticketNumber } });
+
+    const oldKey = legacyChatKey(c);
+    if (await redis.exists(oldKey)) await redis.rename(oldKey, caseChatKey(c._id));
+    migrated++;
+  }
+  if (migrated) console.log(`Assigned ticket numbers to ${migrated} existing cases`);
+}
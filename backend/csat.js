@@ -0,0 +1,142 @@
+// csat.js
+import mongoose from "mongoose";
+import { CaseEvent } from "./caseEvents.js";
+import { HttpError } from "./httpError.js";
+
+export const CSAT_COMMENT_MAX = 1000;
+const SATISFIED_MIN = 4; // 4 and 5 count as satisfied
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One survey per case, sent when an agent resolves it. `agentId` is who the
+// rating counts for; `botSource` is the bot's last answer source, if any.
+const csatResponseSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  domain: String,
+  botSource: { type: String, default: null }, // "faq" | "case-memory" | "llm" | "remedy"
+  rating: { type: Number, min: 1, max: 5, default: null }, // null until answered
+  comment: { type: String, maxlength: CSAT_COMMENT_MAX, default: "" },
+  requestedAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date, default: null },
+});
+csatResponseSchema.index({ respondedAt: 1, domain: 1 });
+
+export const CsatResponse =
+  mongoose.models.CsatResponse || mongoose.model("CsatResponse", csatResponseSchema);
+
+// What the customer sees (chat card and case card)
+export const csatView = (s) =>
+  s && {
+    caseId: s.caseId,
+    rating: s.rating,
+    comment: s.comment,
+    requestedAt: s.requestedAt,
+    respondedAt: s.respondedAt,
+  };
+
+// Opens (or re-sends) the case's survey. Returns null once it was answered:
+// a reopened and re-resolved case isn't asked twice.
+export async function requestCsat(csCase, { agentId = null } = {}) {
+  const existing = await CsatResponse.findOne({ caseId: csCase._id });
+  if (existing?.rating) return null;
+  const lastBotReply = await CaseEvent.findOne({ caseId: csCase._id, type: "bot.reply" }).sort({ at: -1 }).lean();
+  try {
+    return await CsatResponse.findOneAndUpdate(
+      { caseId: csCase._id, rating: null },
+      {
+        $set: {
+          userId: csCase.userId,
+          agentId,
+          domain: csCase.domain,
+          botSource: lastBotReply?.data?.source ?? null,
+          requestedAt: new Date(),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // answered between the check and the upsert
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+// { rating: 1-5, comment? } from the case's customer; answered once
+export async function submitCsat({ caseId, userId, rating, comment }) {
+  const score = Number(rating);
+  if (!Number.isInteger(score) || score < 1 || score > 5) throw new HttpError("Rating must be from 1 to 5");
+  const text = String(comment ?? "").trim();
+  if (text.length > CSAT_COMMENT_MAX) throw new HttpError(`Comment must be ${CSAT_COMMENT_MAX} characters or fewer`);
+
+  const answered = await CsatResponse.findOneAndUpdate(
+    { caseId, userId, rating: null },
+    { $set: { rating: score, comment: text, respondedAt: new Date() } },
+    { new: true }
+  );
+  if (answered) return answered;
+  const exists = await CsatResponse.exists({ caseId, userId });
+  throw exists ? new HttpError("You already rated this case", 409) : new HttpError("Survey not found", 404);
+}
+
+const summary = {
+  count: { $sum: 1 },
+  average: { $avg: "$rating" },
+  satisfied: { $sum: { $cond: [{ $gte: ["$rating", SATISFIED_MIN] }, 1, 0] } },
+};
+
+// count, average (1 decimal) and % satisfied for one group
+const summarize = ({ count = 0, average = null, satisfied = 0 } = {}) => ({
+  count,
+  average: average === null ? null : Math.round(average * 10) / 10,
+  satisfaction: count ? Math.round((satisfied / count) * 100) : null,
+});
+
+// Answered surveys in [from, to], limited to `domains` (null = all): overall,
+// by domain, agent and bot source, the 1-5 spread and a per-day trend.
+export async function csatAnalytics({ domains = null, from, to }) {
+  const until = to ? new Date(to) : new Date();
+  const since = from ? new Date(from) : new Date(until.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) throw new HttpError("Invalid date range");
+
+  const match = { rating: { $ne: null }, respondedAt: { $gte: since, $lte: until } };
+  if (domains) match.domain = { $in: domains };
+
+  const [facets] = await CsatResponse.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, ...summary } }],
+        byDomain: [{ $group: { _id: "$domain", ...summary } }, { $sort: { _id: 1 } }],
+        byAgent: [
+          { $group: { _id: "$agentId", ...summary } },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "agent" } },
+          { $sort: { count: -1 } },
+        ],
+        byBotSource: [{ $group: { _id: { $ifNull: ["$botSource", "none"] }, ...summary } }, { $sort: { count: -1 } }],
+        distribution: [{ $group: { _id: "$rating", count: { $sum: 1 } } }],
+        trend: [
+          { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$respondedAt" } }, ...summary } },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const distribution = [0, 0, 0, 0, 0];
+  facets.distribution.forEach((d) => (distribution[d._id - 1] = d.count));
+  return {
+    from: since,
+    to: until,
+    overall: summarize(facets.overall[0]),
+    byDomain: facets.byDomain.map((d) => ({ domain: d._id, ...summarize(d) })),
+    byAgent: facets.byAgent.map((a) => ({
+      agentId: a._id,
+      name: a.agent[0]?.name || (a._id ? "Former agent" : "Unassigned"),
+      ...summarize(a),
+    })),
+    byBotSource: facets.byBotSource.map((b) => ({ source: b._id, ...summarize(b) })),
+    distribution,
+    trend: facets.trend.map((t) => ({ day: t._id, ...summarize(t) })),
+  };
+}
@@ -11,6 +11,7 @@ const faqSchema = new mongoose.Schema(
       enum: ["E-commerce", "Travel", "Telecommunications", "Banking Services"],
       required: true,
     },
+    tags: [String], // auto-applied to the case when this FAQ answers
     embedding: [Number],
   },
   { collection: "faqs" }
@@ -76,6 +77,7 @@ export async function checkFaq(message, domain) {
     const ranked = faqs
       .map((f) => ({
         ans: f.answer,
+        tags: f.tags || [],
         score: cosineSimilarity(queryEmbedding, f.embedding),
       }))
       .sort((a, b) => b.score - a.score)
@@ -83,7 +85,7 @@ export async function checkFaq(message, domain) {
 
     const best = ranked[0];
     return best && best.score >= THRESH
-      ? { answer: best.ans, score: best.score }
+      ? { answer: best.ans, tags: best.tags, score: best.score }
       : null;
   } catch (err) {
     console.error("checkFaq error:", err?.message || err);
@@ -17,6 +17,18 @@ export function pickResolutionSummary(text = "") {
   return parts.join(" ").trim();
 }
 
+// What the similar case was settled with: "refund" | "replacement" | null.
+// The reply offers the same, and the chat route remembers the offer.
+export function memoryRemedy(rawMessage = "") {
+  const cleaned = cleanTranscript(rawMessage);
+  const summary = pickResolutionSummary(cleaned) || cleaned;
+  if (/refund/i.test(summary)) return "refund";
+  if (/replace|replacement/i.test(summary)) return "replacement";
+  return null;
+}
+
+const REMEDY_ACTIONS = { refund: "issue a refund", replacement: "send a replacement" };
+
 // Build a short, human reply from a raw case-memory blob
 export function buildMemoryReply(
   rawMessage = "",
@@ -25,11 +37,7 @@ export function buildMemoryReply(
   const cleaned = cleanTranscript(rawMessage);
   const summary = pickResolutionSummary(cleaned) || cleaned;
 
-  const action = /refund/i.test(summary)
-    ? "issue a refund"
-    : /replace|replacement/i.test(summary)
-    ? "send a replacement"
-    : "resolve this for you";
+  const action = REMEDY_ACTIONS[memoryRemedy(rawMessage)] || "resolve this for you";
 
   const qtyPart =
     missingQty && productName
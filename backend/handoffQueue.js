@@ -0,0 +1,29 @@
+// handoffQueue.js
+// Customers waiting for a human, per domain, oldest handoff first
+const queueKey = (domain) => `handoff-queue:${domain}`;
+
+// 1-based place in line, or null once an agent has picked the case up
+export async function queuePosition(redis, csCase) {
+  const rank = await redis.zRank(queueKey(csCase.domain), String(csCase._id));
+  return rank === null ? null : rank + 1;
+}
+
+// Keeps the original place in line if the customer asks again
+export async function enqueueHandoff(redis, csCase, at = Date.now()) {
+  const key = queueKey(csCase.domain);
+  if ((await redis.zScore(key, String(csCase._id))) === null) {
+    await redis.zAdd(key, { score: at, value: String(csCase._id) });
+  }
+  return queuePosition(redis, csCase);
+}
+
+export async function dequeueHandoff(redis, csCase) {
+  await redis.zRem(queueKey(csCase.domain), String(csCase._id));
+}
+
+export const queueNotice = (position) =>
+  position === 1
+    ? "You're next in line."
+    : position
+    ? `You're number ${position} in line.`
+    : "";
@@ -0,0 +1,19 @@
+// httpError.js
+// A failure the caller can act on (bad input, conflict, not found). Routes
+// send `status` with the message and optional `code` instead of a 500; bulk
+// actions report it per case.
+export class HttpError extends Error {
+  constructor(message, status = 400, code = undefined) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// For a route's catch: sends an HttpError and returns true, or returns false
+// so the route logs anything else as a server error
+export function sendHttpError(res, err) {
+  if (!(err instanceof HttpError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
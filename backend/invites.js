@@ -0,0 +1,63 @@
+// invites.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { DOMAINS, STAFF_ROLES } from "./permissions.js";
+
+const inviteSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true }, // raw token is only ever shown once
+  role: { type: String, enum: STAFF_ROLES, default: "admin" },
+  domains: [{ type: String, enum: DOMAINS }],
+  email: { type: String, default: null }, // optional: lock the invite to one address
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export const Invite =
+  mongoose.models.Invite || mongoose.model("Invite", inviteSchema);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export async function createInvite({ createdBy, email = null, role = "admin", domains = [], expiresInHours }) {
+  const hours = Number(expiresInHours || process.env.INVITE_TTL_HOURS || 48);
+  const token = crypto.randomBytes(32).toString("hex");
+  const invite = await new Invite({
+    tokenHash: hashToken(token),
+    role,
+    domains,
+    email: email ? email.trim().toLowerCase() : null,
+    createdBy,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+  }).save();
+  return { token, invite };
+}
+
+// Returns the invite if it can still be used, without consuming it
+export async function findUsableInvite(token) {
+  if (!token) return null;
+  return Invite.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+// Atomically marks the invite used so two signups can't share it
+export async function consumeInvite(token, userId) {
+  if (!token) return null;
+  return Invite.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date(), usedBy: userId },
+    { new: true }
+  );
+}
@@ -0,0 +1,126 @@
+// macros.js
+import mongoose from "mongoose";
+import { DOMAINS } from "./permissions.js";
+import { CASE_STATUSES } from "./caseLifecycle.js";
+import { CASE_PRIORITIES } from "./caseInbox.js";
+import { parseTags } from "./caseFields.js";
+
+export const MACRO_BODY_MAX_LENGTH = 5000;
+
+// Canned replies. domain null = shared by every domain (admins only).
+// `actions` are applied when a reply built from the macro is sent.
+const macroSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  domain: { type: String, enum: [...DOMAINS, null], default: null },
+  body: { type: String, required: true, maxlength: MACRO_BODY_MAX_LENGTH },
+  actions: {
+    status: { type: String, enum: [...CASE_STATUSES, null], default: null },
+    priority: { type: String, enum: [...CASE_PRIORITIES, null], default: null },
+    addTags: [String],
+  },
+  usageCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+macroSchema.index({ domain: 1, usageCount: -1 });
+
+export const Macro = mongoose.models.Macro || mongoose.model("Macro", macroSchema);
+
+// Placeholders agents can use, shown as help in the editor
+export const MACRO_VARIABLES = [
+  "user.name",
+  "user.email",
+  "agent.name",
+  "case.ticketNumber",
+  "case.status",
+  "case.priority",
+  "order.orderId",
+  "order.status",
+  "order.totalAmount",
+  "order.paymentMethod",
+  "order.orderDate",
+  "order.delivery.address",
+  "order.delivery.pincode",
+  "order.delivery.expectedDeliveryDate",
+  "product.name",
+  "product.quantity",
+  "product.price",
+  "sla.due",
+];
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const formatDate = (d) =>
+  d ? new Date(d).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" }) : "";
+const formatDateTime = (d) =>
+  d ? new Date(d).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "";
+
+// Values for every MACRO_VARIABLES entry, from the case, its customer
+// (with orders) and the agent sending the reply
+export function macroContext(csCase, customer, agent) {
+  const order = customer?.orders?.find((o) => o.orderId === csCase.orderId) || {};
+  const product = order.products?.[csCase.productIndex] || {};
+  const sla = csCase.sla || {};
+  return {
+    user: { name: customer?.name, email: customer?.email },
+    agent: { name: agent?.name },
+    case: { ticketNumber: csCase.ticketNumber, status: csCase.status, priority: csCase.priority },
+    order: {
+      orderId: order.orderId,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      paymentMethod: order.paymentMethod,
+      orderDate: formatDate(order.orderDate),
+      delivery: {
+        address: order.delivery?.address,
+        pincode: order.delivery?.pincode,
+        expectedDeliveryDate: formatDate(order.delivery?.expectedDeliveryDate),
+      },
+    },
+    product: { name: product.name, quantity: product.quantity, price: product.price },
+    // The clock that's currently running: first response until an agent answers
+    sla: { due: formatDateTime(csCase.firstAgentReplyAt ? sla.resolutionDueAt : sla.firstResponseDueAt) },
+  };
+}
+
+// Fills {{path}} placeholders. Unknown or empty ones render as "" and are
+// listed in `missing` so the agent can fill them in by hand.
+export function renderMacro(body, context) {
+  const missing = [];
+  const text = body.replace(PLACEHOLDER, (_, path) => {
+    const value = path.split(".").reduce((obj, key) => obj?.[key], context);
+    if (value === undefined || value === null || value === "" || typeof value === "object") {
+      missing.push(path);
+      return "";
+    }
+    return String(value);
+  });
+  return { text, missing: [...new Set(missing)] };
+}
+
+// Validates a create/update payload; returns { error } or { macro } fields
+export function parseMacroInput({ name, domain = null, body, actions = {} }) {
+  name = String(name ?? "").trim();
+  body = String(body ?? "").trim();
+  if (!name) return { error: "Name is required" };
+  if (name.length > 100) return { error: "Name must be 100 characters or fewer" };
+  if (!body) return { error: "Body is required" };
+  if (body.length > MACRO_BODY_MAX_LENGTH) return { error: `Body must be ${MACRO_BODY_MAX_LENGTH} characters or fewer` };
+  if (domain !== null && !DOMAINS.includes(domain)) return { error: "Invalid domain" };
+
+  const status = actions.status || null;
+  const priority = actions.priority || null;
+  if (status && !CASE_STATUSES.includes(status)) return { error: "Invalid status action" };
+  if (priority && !CASE_PRIORITIES.includes(priority)) return { error: "Invalid priority action" };
+  const { tags: addTags, error } = parseTags(actions.addTags);
+  if (error) return { error };
+
+  return { macro: { name, domain, body, actions: { status, priority, addTags } } };
+}
+
+export async function recordMacroUse(macroId, at = new Date()) {
+  await Macro.updateOne({ _id: macroId }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: at } });
+}
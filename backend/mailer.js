@@ -0,0 +1,72 @@
+// mailer.js
+// A transport is anything with `name` and `async send({ to, subject, text, html })`.
+// MAIL_TRANSPORT=smtp uses SMTP_* settings, =outbox writes to a local outbox.
+// Unset means outbox, except in production where it must be chosen.
+import fs from "fs/promises";
+import path from "path";
+
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT ?? 587),
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM || "support@localhost",
+} = {}) {
+  if (!host) throw new Error("SMTP mail needs SMTP_HOST");
+  let transporter;
+  return {
+    name: "smtp",
+    async send({ to, subject, text, html }) {
+      if (!transporter) {
+        const { default: nodemailer } = await import("nodemailer");
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined,
+        });
+      }
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+// Dev/test transport: one JSON file per message. The console line leaves out
+// the body, which carries reset and verification links.
+export function createOutboxTransport({
+  dir = process.env.MAIL_OUTBOX_DIR || "./outbox",
+  from = process.env.MAIL_FROM || "support@localhost",
+} = {}) {
+  return {
+    name: "outbox",
+    async send({ to, subject, text, html }) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.writeFile(
+        file,
+        JSON.stringify({ id, from, to, subject, text, html, createdAt: new Date() }, null, 2)
+      );
+      console.log(`[outbox] ${subject} -> ${to} (${file})`);
+      return { id, file };
+    },
+  };
+}
+
+let transport;
+// Throws when none is configured; the server calls it at startup
+export function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "" : "outbox");
+    if (name === "smtp") transport = createSmtpTransport();
+    else if (name === "outbox") transport = createOutboxTransport();
+    else throw new Error(name ? `Unknown MAIL_TRANSPORT: ${name}` : "MAIL_TRANSPORT must be set in production (smtp)");
+  }
+  return transport;
+}
+
+export async function sendMail(message) {
+  return getMailTransport().send(message);
+}
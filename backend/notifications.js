@@ -0,0 +1,42 @@
+// notifications.js
+import mongoose from "mongoose";
+
+// In-app notifications for staff (e.g. @mentions in internal notes)
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, required: true }, // "mention"
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", default: null },
+  ticketNumber: String,
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  message: String,
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+export const Notification =
+  mongoose.models.Notification || mongoose.model("Notification", notificationSchema);
+
+// Saves and pushes to the recipient's own sockets
+export async function notify(io, { userId, type, caseId = null, ticketNumber, actorId = null, message }) {
+  const notification = await new Notification({ userId, type, caseId, ticketNumber, actorId, message }).save();
+  io?.to(`user:${userId}`).emit("notification", notification.toObject());
+  return notification;
+}
+
+export async function listNotifications(userId, limit = 50) {
+  const [notifications, unread] = await Promise.all([
+    Notification.find({ userId }).sort({ createdAt: -1 }).limit(limit).lean(),
+    Notification.countDocuments({ userId, readAt: null }),
+  ]);
+  return { notifications, unread };
+}
+
+// Marks the given ids (or everything, when `ids` is empty) as read
+export async function markNotificationsRead(userId, ids = []) {
+  const filter = { userId, readAt: null };
+  if (ids.length) filter._id = { $in: ids };
+  const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+  return modifiedCount;
+}
@@ -0,0 +1,124 @@
+// orderChanges.js
+import mongoose from "mongoose";
+import { HttpError } from "./httpError.js";
+
+// quantity: correct the line's quantity · price: adjust the unit price ·
+// replacement: swap in another item (new name, optionally price/quantity)
+export const ORDER_CHANGE_KINDS = ["quantity", "price", "replacement"];
+export const ORDER_CHANGE_STATUSES = ["pending", "approved", "declined", "cancelled", "stale"];
+
+const snapshotSchema = {
+  name: String,
+  price: Number,
+  quantity: Number,
+  totalAmount: Number, // the whole order's
+};
+
+// One agent proposal on Case.orderChanges. `before`/`after` are the product
+// line and order total when it was proposed; an approval only applies if the
+// order still matches `before`.
+export const orderChangeSchema = new mongoose.Schema({
+  kind: { type: String, enum: ORDER_CHANGE_KINDS, required: true },
+  status: { type: String, enum: ORDER_CHANGE_STATUSES, default: "pending" },
+  note: { type: String, maxlength: 500, default: "" },
+  before: snapshotSchema,
+  after: snapshotSchema,
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  proposedAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date, default: null },
+});
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// Recalculated from the lines; the stored totalAmount is never trusted
+export const orderTotal = (products = []) =>
+  roundMoney(products.reduce((sum, p) => sum + (Number(p.price) || 0) * (Number(p.quantity) || 0), 0));
+
+export function lineSnapshot(order, productIndex) {
+  const line = order?.products?.[productIndex];
+  if (!line) return null;
+  // null, not undefined, so a missing value still takes part in the match
+  return {
+    name: line.name ?? null,
+    price: line.price ?? null,
+    quantity: line.quantity ?? null,
+    totalAmount: order.totalAmount ?? null,
+  };
+}
+
+// Validates the agent's input against the current line; returns the line's
+// new values ({ name, price, quantity })
+export function parseProposal({ kind, name, price, quantity } = {}, line) {
+  if (!ORDER_CHANGE_KINDS.includes(kind)) throw new HttpError("Invalid change type");
+  const next = { name: line.name, price: line.price, quantity: line.quantity };
+
+  const readQuantity = (raw) => {
+    const q = Number(raw);
+    if (!Number.isInteger(q) || q < 1 || q > 10000) throw new HttpError("Quantity must be a whole number from 1");
+    return q;
+  };
+  const readPrice = (raw) => {
+    const p = Number(raw);
+    if (!Number.isFinite(p) || p < 0) throw new HttpError("Price must be zero or more");
+    return roundMoney(p);
+  };
+
+  if (kind === "quantity") next.quantity = readQuantity(quantity);
+  if (kind === "price") next.price = readPrice(price);
+  if (kind === "replacement") {
+    next.name = String(name ?? "").trim();
+    if (!next.name || next.name.length > 200) throw new HttpError("Replacement item name is required (max 200 characters)");
+    if (price !== undefined && price !== null && price !== "") next.price = readPrice(price);
+    if (quantity !== undefined && quantity !== null && quantity !== "") next.quantity = readQuantity(quantity);
+  }
+  if (next.name === line.name && next.price === line.price && next.quantity === line.quantity) {
+    throw new HttpError("That's what the order already says");
+  }
+  return next;
+}
+
+// The order total once `productIndex` carries `next`
+export function totalAfter(order, productIndex, next) {
+  return orderTotal(order.products.map((p, i) => (i === productIndex ? { ...p, ...next } : p)));
+}
+
+// Writes the change into the customer's embedded order in one update, only
+// if the line and total still match `before`. Returns false if they don't.
+export async function applyOrderChange(User, { userId, orderId, productIndex, before, after }) {
+  const line = `products.${productIndex}`;
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      orders: {
+        $elemMatch: {
+          orderId,
+          totalAmount: before.totalAmount,
+          [`${line}.name`]: before.name,
+          [`${line}.price`]: before.price,
+          [`${line}.quantity`]: before.quantity,
+        },
+      },
+    },
+    {
+      $set: {
+        [`orders.$.${line}.name`]: after.name,
+        [`orders.$.${line}.price`]: after.price,
+        [`orders.$.${line}.quantity`]: after.quantity,
+        "orders.$.totalAmount": after.totalAmount,
+      },
+    }
+  );
+  return modifiedCount === 1;
+}
+
+// What the customer's chat card shows
+export const orderChangeView = (c) => ({
+  _id: c._id,
+  kind: c.kind,
+  status: c.status,
+  note: c.note,
+  before: c.before,
+  after: c.after,
+  proposedAt: c.proposedAt,
+  respondedAt: c.respondedAt,
+});
@@ -0,0 +1,38 @@
+// permissions.js
+export const DOMAINS = ["E-commerce", "Travel", "Telecommunications", "Banking Services"];
+
+// Higher rank inherits everything below it
+export const ROLE_RANK = { user: 0, agent: 1, supervisor: 2, admin: 3 };
+export const ROLES = Object.keys(ROLE_RANK);
+export const STAFF_ROLES = ["agent", "supervisor", "admin"];
+
+export function hasRole(role, minRole) {
+  return (ROLE_RANK[role] ?? -1) >= ROLE_RANK[minRole];
+}
+
+export const isStaff = (role) => hasRole(role, "agent");
+
+// null means "every domain" (admins); otherwise the explicit scope list
+export function domainScope({ role, domains = [] } = {}) {
+  if (role === "admin") return null;
+  if (!isStaff(role)) return [];
+  return domains.filter((d) => DOMAINS.includes(d));
+}
+
+export function canAccessDomain(principal, domain) {
+  const scope = domainScope(principal);
+  return scope === null || scope.includes(domain);
+}
+
+// Mongo filter fragment restricting a Case query to the principal's domains
+export function caseScopeFilter(principal) {
+  const scope = domainScope(principal);
+  return scope === null ? {} : { domain: { $in: scope } };
+}
+
+export const domainRoom = (domain) => `agents:${domain}`;
+
+export function staffRooms(principal) {
+  const scope = domainScope(principal);
+  return (scope === null ? DOMAINS : scope).map(domainRoom);
+}
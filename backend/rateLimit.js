@@ -0,0 +1,92 @@
+// rateLimit.js
+import crypto from "crypto";
+
+/* ------------------------ Sliding-window rate limiter ------------------------ */
+// One sorted set per (limiter, subject); members are request timestamps.
+// `getRedis` is a getter because the client is only connected at startup.
+export function createRateLimiter(getRedis, { name, windowSec, max, keyBy = "ip" }) {
+  const windowMs = windowSec * 1000;
+
+  return async function rateLimit(req, res, next) {
+    const subject =
+      typeof keyBy === "function"
+        ? keyBy(req)
+        : keyBy === "user" && req.userId
+        ? `user:${req.userId}`
+        : `ip:${req.ip}`;
+    const key = `ratelimit:${name}:${subject}`;
+    const now = Date.now();
+    const member = `${now}-${crypto.randomBytes(4).toString("hex")}`;
+
+    try {
+      const redis = getRedis();
+      const [, , count, , oldest] = await redis
+        .multi()
+        .zRemRangeByScore(key, 0, now - windowMs)
+        .zAdd(key, { score: now, value: member })
+        .zCard(key)
+        .pExpire(key, windowMs)
+        .zRangeWithScores(key, 0, 0)
+        .exec();
+
+      const allowed = count <= max;
+      if (!allowed) await redis.zRem(key, member); // rejected calls don't extend the block
+
+      const resetMs = (oldest?.[0]?.score ?? now) + windowMs - now;
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - Math.min(count, max))));
+      res.set("RateLimit-Reset", String(Math.ceil(resetMs / 1000)));
+      res.set("RateLimit-Policy", `${max};w=${windowSec}`);
+
+      if (!allowed) {
+        res.set("Retry-After", String(Math.ceil(resetMs / 1000)));
+        return res.status(429).json({ error: "Too many requests, please slow down" });
+      }
+    } catch (err) {
+      // Fail open: a Redis hiccup shouldn't take the API down with it
+      console.error(`Rate limiter ${name} error:`, err?.message || err);
+    }
+    next();
+  };
+}
+
+/* --------------------------- Login lockout --------------------------- */
+// After LOGIN_FREE_ATTEMPTS misses the account locks, doubling each further miss
+const LOGIN_FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS ?? 5);
+const LOGIN_BASE_LOCK_SEC = Number(process.env.LOGIN_BASE_LOCK_SEC ?? 60);
+const LOGIN_MAX_LOCK_SEC = Number(process.env.LOGIN_MAX_LOCK_SEC ?? 60 * 60);
+const LOGIN_FAIL_WINDOW_SEC = 24 * 60 * 60;
+
+export async function getLoginLock(redis, email) {
+  const ttl = await redis.ttl(`login-lock:${email}`);
+  return ttl > 0 ? ttl : 0;
+}
+
+export async function registerLoginFailure(redis, email) {
+  const fails = await redis.incr(`login-fail:${email}`);
+  await redis.expire(`login-fail:${email}`, LOGIN_FAIL_WINDOW_SEC);
+  if (fails < LOGIN_FREE_ATTEMPTS) return 0;
+
+  const lockSec = Math.min(
+    LOGIN_BASE_LOCK_SEC * 2 ** (fails - LOGIN_FREE_ATTEMPTS),
+    LOGIN_MAX_LOCK_SEC
+  );
+  await redis.set(`login-lock:${email}`, String(fails), { EX: lockSec });
+  return lockSec;
+}
+
+export async function clearLoginFailures(redis, email) {
+  await redis.del([`login-fail:${email}`, `login-lock:${email}`]);
+}
+
+/* ----------------------------- LLM quota ----------------------------- */
+const LLM_DAILY_QUOTA = Number(process.env.LLM_DAILY_QUOTA ?? 50);
+
+// Reserves one LLM call for today (UTC); returns false once the quota is spent
+export async function consumeLlmQuota(redis, userId) {
+  const day = new Date().toISOString().slice(0, 10);
+  const key = `llm-quota:${userId}:${day}`;
+  const used = await redis.incr(key);
+  if (used === 1) await redis.expire(key, 2 * 24 * 60 * 60);
+  return { allowed: used <= LLM_DAILY_QUOTA, used, limit: LLM_DAILY_QUOTA };
+}
@@ -0,0 +1,144 @@
+// remedies.js
+import mongoose from "mongoose";
+
+// What the case-memory reply can offer (see formatCaseMemory.js)
+export const REMEDY_KINDS = ["refund", "replacement"];
+export const REMEDY_STATUSES = ["pending-approval", "approved", "rejected"];
+
+// Requests worth more than this (order currency) wait for an agent
+export const REMEDY_AUTO_APPROVE_MAX = Number(process.env.REMEDY_AUTO_APPROVE_MAX ?? 50);
+// How long a "Would you like me to proceed?" stays answerable
+const OFFER_TTL_SECONDS = 30 * 60;
+
+// Order status once a request is approved
+const ORDER_STATUS_AFTER = { refund: "Refund issued", replacement: "Replacement on the way" };
+
+// A refund or replacement the customer accepted from the bot's offer
+const remedyRequestSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  orderId: { type: String, required: true },
+  productIndex: { type: Number, required: true },
+  domain: String,
+  kind: { type: String, enum: REMEDY_KINDS, required: true },
+  productName: String,
+  quantity: Number,
+  amount: Number, // value of the goods refunded or replaced
+  status: { type: String, enum: REMEDY_STATUSES, default: "pending-approval" },
+  approval: { type: String, enum: ["auto", "agent"], required: true },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = auto
+  decidedAt: { type: Date, default: null },
+  reason: { type: String, maxlength: 500, default: "" }, // agent's note, shown on rejection
+  orderStatusBefore: String,
+  createdAt: { type: Date, default: Date.now },
+});
+remedyRequestSchema.index({ caseId: 1, createdAt: -1 });
+remedyRequestSchema.index({ domain: 1, status: 1 });
+remedyRequestSchema.index({ userId: 1, orderId: 1, productIndex: 1, status: 1 });
+
+export const RemedyRequest =
+  mongoose.models.RemedyRequest || mongoose.model("RemedyRequest", remedyRequestSchema);
+
+/* ---- The bot's open offer (Redis, one per case) ---- */
+const offerKey = (caseId) => `remedy-offer:${caseId}`;
+
+export async function saveOffer(redis, caseId, kind) {
+  await redis.set(offerKey(caseId), JSON.stringify({ kind, offeredAt: Date.now() }), { EX: OFFER_TTL_SECONDS });
+}
+
+// Reads and clears in one step: the offer only covers the very next message
+export async function takeOffer(redis, caseId) {
+  const raw = await redis.getDel(offerKey(caseId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Whole replies only: "yes please", "ok, go ahead!", "no thanks". Anything
+// more ("ok but what about shipping?") is a new question, not an answer.
+const YES = "(yes|yeah|yep|yup|sure|ok|okay|y|please|please do|go ahead|proceed|do it|sounds good|that works)";
+const THANKS = "( thanks| thank you)?";
+const ACCEPT = new RegExp(`^${YES}( ${YES})*${THANKS}[.!]*$`);
+const DECLINE = new RegExp(`^(no|nope|nah|not now|don't|do not|cancel|never ?mind)( no)?${THANKS}[.!]*$`);
+
+// "accept" | "decline" | null for the reply to the offer
+export function readOfferAnswer(message = "") {
+  const text = String(message)
+    .toLowerCase()
+    .replace(/[’]/g, "'")
+    .replace(/,/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (DECLINE.test(text)) return "decline";
+  if (ACCEPT.test(text)) return "accept";
+  return null;
+}
+
+const SETTLED_ORDER_STATUSES = Object.values(ORDER_STATUS_AFTER);
+
+// True when the case's line already has an approved or waiting request, or
+// its order was already refunded/replaced; the bot mustn't offer another
+export async function hasActiveRemedy(csCase, order) {
+  if (SETTLED_ORDER_STATUSES.includes(order?.status)) return true;
+  const found = await RemedyRequest.exists({
+    status: { $in: ["approved", "pending-approval"] },
+    $or: [
+      { caseId: csCase._id },
+      { userId: csCase.userId, orderId: csCase.orderId, productIndex: csCase.productIndex },
+    ],
+  });
+  return Boolean(found);
+}
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// New request for the case's product line; auto-approved up to the threshold
+export function buildRemedyRequest(csCase, order, kind) {
+  const line = order?.products?.[csCase.productIndex];
+  if (!line) return null;
+  const quantity = Number(line.quantity) || 1;
+  const amount = roundMoney((Number(line.price) || 0) * quantity);
+  const auto = amount <= REMEDY_AUTO_APPROVE_MAX;
+  return new RemedyRequest({
+    caseId: csCase._id,
+    userId: csCase.userId,
+    orderId: csCase.orderId,
+    productIndex: csCase.productIndex,
+    domain: csCase.domain,
+    kind,
+    productName: line.name,
+    quantity,
+    amount,
+    approval: auto ? "auto" : "agent",
+    status: auto ? "approved" : "pending-approval",
+    decidedAt: auto ? new Date() : null,
+    orderStatusBefore: order.status,
+  });
+}
+
+// Moves a pending request to approved/rejected once; null if already decided
+export const decideRemedy = (remedyId, caseId, { status, decidedBy, reason = "" }) =>
+  RemedyRequest.findOneAndUpdate(
+    { _id: remedyId, caseId, status: "pending-approval" },
+    { $set: { status, decidedBy, reason, decidedAt: new Date() } },
+    { new: true }
+  );
+
+// Marks the customer's order once a request is approved; returns the status
+export async function applyRemedy(User, remedy) {
+  const status = ORDER_STATUS_AFTER[remedy.kind];
+  await User.updateOne({ _id: remedy.userId, "orders.orderId": remedy.orderId }, { $set: { "orders.$.status": status } });
+  return status;
+}
+
+// "a refund of 12.5 for 2 × Mug"
+export const describeRemedy = (r) =>
+  `${r.kind === "refund" ? `a refund of ${r.amount}` : "a replacement"} for ${r.quantity} × ${r.productName}`;
+
+// What the customer hears once the request is settled
+export function remedyNotice(r) {
+  if (r.status === "approved") {
+    return r.kind === "refund"
+      ? `Done: I've issued ${describeRemedy(r)} on order ${r.orderId}. It should reach your original payment method within 5-7 business days.`
+      : `Done: ${describeRemedy(r)} on order ${r.orderId} is on its way. You'll get the delivery details by email.`;
+  }
+  return `Your request for ${describeRemedy(r)} wasn't approved${r.reason ? `: ${r.reason.replace(/[.!]+$/, "")}.` : "."} Reply here if you have any questions.`;
+}
@@ -26,3 +26,30 @@ export function analyzeSentiment(text = "") {
 
   return { label, score: Math.max(-1, Math.min(1, score)) };
 }
+
+/* ------------------------- Rolling case sentiment ------------------------- */
+const TRAJECTORY_MAX = 30;   // points kept on the case for the sparkline
+const FRUSTRATION_WINDOW = 5;
+export const NEGATIVE_TURNS_FOR_HANDOFF = Number(process.env.SENTIMENT_NEGATIVE_TURNS ?? 3);
+
+// Folds one scored customer message into the case's sentiment state.
+// `frustration` (0..1) is the negated mean of the recent scores, for sorting.
+export function nextSentimentState(prev = {}, { label, score }, at = new Date()) {
+  const trajectory = [...(prev.trajectory || []), { score, label, at }].slice(-TRAJECTORY_MAX);
+  const recent = trajectory.slice(-FRUSTRATION_WINDOW);
+  const mean = recent.reduce((sum, p) => sum + p.score, 0) / recent.length;
+  return {
+    last: label,
+    lastScore: score,
+    negativeStreak: score < 0 ? (prev.negativeStreak || 0) + 1 : 0,
+    frustration: Math.round(Math.max(0, Math.min(1, -mean)) * 100) / 100,
+    trajectory,
+  };
+}
+
+// Why the bot should hand this conversation to a human, or null
+export function handoffReason(state) {
+  if (state.last === "angry") return "angry";
+  if (state.negativeStreak >= NEGATIVE_TURNS_FOR_HANDOFF) return "negative_streak";
+  return null;
+}
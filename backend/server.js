@@ -3,20 +3,153 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import cors from "cors";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import axios from "axios";
 import { createClient } from "redis";
 import http from "http";
 import { Server as SocketIOServer } from "socket.io";
 import { checkFaq } from "./faqService.js";
-import { buildMemoryReply } from "./formatCaseMemory.js";
+import { buildMemoryReply, memoryRemedy } from "./formatCaseMemory.js";
 import {
   searchSimilarCases,
   indexCase,
   indexResolutionSummary,
 } from "./caseMemory.js";
-import { analyzeSentiment } from "./sentiment.js";
-import { computeSLA } from "./sla.js";
+import { analyzeSentiment, nextSentimentState, handoffReason } from "./sentiment.js";
+import { initialSla } from "./sla.js";
+import { startSlaScheduler, backfillSla } from "./slaScheduler.js";
+import {
+  startAutoCloseScheduler,
+  backfillPendingSince,
+  parseAutoCloseRules,
+  AutoCloseRuleError,
+  AUTO_CLOSE_DEFAULTS,
+} from "./autoClose.js";
+import {
+  signToken,
+  revokeToken,
+  revokeSessionTokens,
+  invalidateUserTokens,
+  verifyToken,
+  signEmailToken,
+  consumeEmailToken,
+  signMfaToken,
+  verifyMfaToken,
+} from "./auth.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  listSessions,
+  markSessionMfa,
+} from "./sessions.js";
+import { createInvite, findUsableInvite, consumeInvite, Invite } from "./invites.js";
+import { recordAudit, recordRoleChange } from "./audit.js";
+import { recordCaseEvent, listCaseEvents } from "./caseEvents.js";
+import { CaseNote, NOTE_MAX_LENGTH, listCaseNotes } from "./caseNotes.js";
+import { notify, listNotifications, markNotificationsRead } from "./notifications.js";
+import {
+  Macro,
+  MACRO_VARIABLES,
+  macroContext,
+  renderMacro,
+  parseMacroInput,
+  recordMacroUse,
+} from "./macros.js";
+import {
+  MAX_TAGS_PER_CASE,
+  parseTags,
+  applyTagChanges,
+  CustomField,
+  parseFieldDefinition,
+  parseFieldLabelAndOptions,
+  parseFieldValues,
+} from "./caseFields.js";
+import {
+  MergeError,
+  flagDuplicates,
+  mergeCaseDocuments,
+  mergeChatHistory,
+} from "./caseMerge.js";
+import { parseBulkRequest, runBulk } from "./caseBulk.js";
+import { HttpError, sendHttpError } from "./httpError.js";
+import {
+  RemedyRequest,
+  saveOffer,
+  takeOffer,
+  readOfferAnswer,
+  buildRemedyRequest,
+  hasActiveRemedy,
+  decideRemedy,
+  applyRemedy,
+  remedyNotice,
+} from "./remedies.js";
+import { CsatResponse, csatView, requestCsat, submitCsat, csatAnalytics } from "./csat.js";
+import {
+  Attachment,
+  uploadBody,
+  createAttachment,
+  attachmentSummary,
+  loadUploads,
+  attachToCase,
+  openAttachment,
+  sweepUnclaimedAttachments,
+} from "./attachments.js";
+import { getStorage } from "./storage.js";
+import {
+  orderChangeSchema,
+  lineSnapshot,
+  parseProposal,
+  totalAfter,
+  applyOrderChange,
+  orderChangeView,
+} from "./orderChanges.js";
+import { sendMail, getMailTransport } from "./mailer.js";
+import {
+  DOMAINS,
+  ROLES,
+  STAFF_ROLES,
+  hasRole,
+  isStaff,
+  canAccessDomain,
+  domainScope,
+  domainRoom,
+  staffRooms,
+} from "./permissions.js";
+import {
+  createRateLimiter,
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  consumeLlmQuota,
+} from "./rateLimit.js";
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from "./totp.js";
+import { getSetting, setSetting } from "./settings.js";
+import { enqueueHandoff, dequeueHandoff, queuePosition, queueNotice } from "./handoffQueue.js";
+import {
+  CASE_PRIORITIES,
+  InboxQueryError,
+  findInboxPage,
+  inboxStats,
+  backfillAgentReplyTimes,
+} from "./caseInbox.js";
+import { nextTicketNumber, caseChatKey, migrateToMultiCase } from "./caseTickets.js";
+import { onlineAgentIds, pickRoundRobin, assignmentEvent } from "./assignment.js";
+import {
+  CASE_STATUSES,
+  DONE_STATUSES,
+  isDone,
+  transitionCase,
+  TransitionError,
+  migrateCaseStatuses,
+} from "./caseLifecycle.js";
 
 dotenv.config();
 
@@ -28,10 +161,22 @@ requiredEnv.forEach((key) => {
     process.exit(1);
   }
 });
+// Reset and verification emails, and attachments, must go somewhere real in
+// production
+try {
+  getMailTransport();
+  getStorage();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 /* --------------------------------- App ----------------------------------- */
 const app = express();
-app.use(express.json({ limit: "10mb" }));
+// Behind Render's proxy req.ip must come from X-Forwarded-For, or every client shares one limit
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY));
+// Files don't come through here (see /api/attachments), so JSON bodies stay small
+app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS: Production frontend URL
@@ -46,6 +191,7 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
   })
 );
 
@@ -71,8 +217,21 @@ async function initRedis() {
   console.log("Redis connected");
 }
 
+/* ------------------------------ Rate limits ------------------------------ */
+const limit = (opts) => createRateLimiter(() => redisClient, opts);
+const rateLimits = {
+  login: limit({ name: "login", windowSec: 15 * 60, max: 20, keyBy: "ip" }),
+  signup: limit({ name: "signup", windowSec: 60 * 60, max: 10, keyBy: "ip" }),
+  refresh: limit({ name: "refresh", windowSec: 60, max: 30, keyBy: "ip" }),
+  authEmail: limit({ name: "auth-email", windowSec: 60 * 60, max: 5, keyBy: "ip" }),
+  chat: limit({ name: "chat", windowSec: 60, max: Number(process.env.CHAT_RATE_PER_MIN ?? 20), keyBy: "user" }),
+  cases: limit({ name: "cases", windowSec: 60 * 60, max: 30, keyBy: "user" }),
+  uploads: limit({ name: "uploads", windowSec: 10 * 60, max: 30, keyBy: "user" }),
+  mfa: limit({ name: "mfa", windowSec: 5 * 60, max: 10, keyBy: "ip" }),
+};
+
 /* -------- Agent-only lock helpers (per case) -------- */
-const AGENT_ONLY_TTL = 30 * 60; // 30 minutes
+const AGENT_ONLY_TTL = 30 * 60; // 30 minutes, renewed while an agent works the case
 async function setAgentOnly(caseId) {
   if (!caseId) return;
   await redisClient.set(`agent-only:${caseId}`, "1", { EX: AGENT_ONLY_TTL });
@@ -85,6 +244,11 @@ async function clearAgentOnly(caseId) {
   if (!caseId) return;
   await redisClient.del(`agent-only:${caseId}`);
 }
+// Pushes the expiry out again; no-op once the lock has lapsed or been cleared
+async function renewAgentOnly(caseId) {
+  if (!caseId) return false;
+  return Boolean(await redisClient.expire(`agent-only:${caseId}`, AGENT_ONLY_TTL));
+}
 
 /* ----------------------------- Gemini Models ----------------------------- */
 const GEMINI_MODELS = [
@@ -138,7 +302,19 @@ const userSchema = new mongoose.Schema({
   name: String,
   email: { type: String, unique: true },
   password: String,
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  role: { type: String, enum: ROLES, default: "user" },
+  domains: [{ type: String, enum: DOMAINS }], // case scope for agents/supervisors; admins see all
+  // No default on purpose: accounts created before verification existed stay usable
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String, // AES-GCM encrypted, see totp.js
+    pendingSecret: String, // enrolled but not yet confirmed with a code
+    recoveryCodes: [String], // sha256 hashes; removed once used
+    lastUsedStep: Number, // last accepted TOTP step, blocks replays
+    enabledAt: Date,
+  },
   orders: [
     {
       orderId: String,
@@ -152,11 +328,7 @@ const userSchema = new mongoose.Schema({
           name: String,
           quantity: Number,
           price: Number,
-          domain: {
-            type: String,
-            enum: ["E-commerce", "Travel", "Telecommunications", "Banking Services"],
-            required: true,
-          },
+          domain: { type: String, enum: DOMAINS, required: true },
         },
       ],
     },
@@ -165,261 +337,3132 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 const User = mongoose.model("User", userSchema);
 
+// A product can have any number of cases over time; at most one is expected
+// to be active (not resolved or closed), and chat attaches to that one.
 const caseSchema = new mongoose.Schema({
+  ticketNumber: { type: String, unique: true, sparse: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  orderId: { type: String, required: true },
+  orderId: { type: String, required: true }, // parent order (User.orders[].orderId)
   productIndex: { type: Number, required: true },
   description: { type: String, required: true },
-  domain: {
-    type: String,
-    enum: ["E-commerce", "Travel", "Telecommunications", "Banking Services"],
-    required: true,
-  },
-  priority: { type: String, default: "low", enum: ["high", "low"] },
-  status: { type: String, default: "open", enum: ["open", "in-progress", "resolved"] },
+  domain: { type: String, enum: DOMAINS, required: true },
+  priority: { type: String, default: "low", enum: CASE_PRIORITIES },
+  status: { type: String, default: "new", enum: CASE_STATUSES }, // see caseLifecycle.js
+  // Every status change: who (null = automatic), when and why
+  statusHistory: [
+    {
+      from: { type: String, default: null },
+      to: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      reason: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  resolvedAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  reopenCount: { type: Number, default: 0 },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  assignedAt: { type: Date, default: null },
+  // The product line as it stands after the latest approved order change
   productChanges: { name: String, price: Number, quantity: Number },
+  orderChanges: [orderChangeSchema], // agent proposals, see orderChanges.js
+  tags: [String], // normalised labels, see caseFields.js
+  // Values for the domain's admin-defined fields (CustomField), by key
+  customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Same customer's active cases that read alike when this one was opened
+  possibleDuplicates: [
+    {
+      _id: false,
+      caseId: { type: mongoose.Schema.Types.ObjectId, ref: "Case" },
+      score: Number,
+      flaggedAt: Date,
+    },
+  ],
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Case", default: null }, // surviving case
+  mergedFrom: [{ type: mongoose.Schema.Types.ObjectId, ref: "Case" }],
+  relatedCases: [{ type: mongoose.Schema.Types.ObjectId, ref: "Case" }], // linked, not merged
   responses: [
     {
       adminId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
       message: String,
+      // Summaries of Attachment documents sent with the reply
+      attachments: [{ _id: mongoose.Schema.Types.ObjectId, name: String, mimeType: String, size: Number }],
       timestamp: { type: Date, default: Date.now },
     },
   ],
+  // Deadlines from sla.js; the resolution clock pauses while waiting on the customer
+  sla: {
+    level: { type: String, enum: ["express", "standard", "batched"] },
+    firstResponseDueAt: Date,
+    resolutionDueAt: Date,
+    pausedAt: { type: Date, default: null },
+    pausedMs: { type: Number, default: 0 },
+    firstResponseBreachedAt: { type: Date, default: null },
+    resolutionBreachedAt: { type: Date, default: null },
+    warnedAt: { type: Date, default: null },
+  },
+  // Rolling customer sentiment across chat turns (see sentiment.js)
+  sentiment: {
+    last: String,
+    lastScore: Number,
+    negativeStreak: { type: Number, default: 0 },
+    frustration: { type: Number, default: 0 },
+    trajectory: [{ _id: false, score: Number, label: String, at: Date }],
+  },
+  // Latest move to agent-only mode: automatic, customer request or agent takeover
+  handoff: {
+    reason: String,
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    returnedAt: { type: Date, default: null }, // handed back to the bot
+  },
+  // Denormalised from responses so the inbox can filter "replied" on an index
+  firstAgentReplyAt: { type: Date, default: null },
+  lastAgentReplyAt: { type: Date, default: null },
+  lastCustomerMessageAt: { type: Date, default: null }, // chat; idle bot chats close on it
+  pendingSince: { type: Date, default: null }, // entered pending-customer (autoClose.js)
+  pendingReminderAt: { type: Date, default: null }, // autoClose.js nudge while pending-customer
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
-caseSchema.index({ userId: 1, orderId: 1, productIndex: 1 }, { unique: true });
+caseSchema.index({ userId: 1, orderId: 1, productIndex: 1, createdAt: -1 });
+caseSchema.index({ domain: 1, status: 1, createdAt: -1 });
+caseSchema.index({ status: 1, firstAgentReplyAt: 1, createdAt: -1 });
+caseSchema.index({ assignee: 1, status: 1, createdAt: -1 });
+caseSchema.index({ updatedAt: -1 });
+caseSchema.index({ tags: 1 });
+caseSchema.index({ "customFields.$**": 1 });
+caseSchema.index({ status: 1, "sla.firstResponseDueAt": 1 });
+caseSchema.index({ status: 1, "sla.resolutionDueAt": 1 });
+caseSchema.index({ "sentiment.frustration": -1, createdAt: -1 });
+caseSchema.index({ userId: 1, orderId: 1, productIndex: 1, status: 1, resolvedAt: -1 });
+caseSchema.index({ description: "text", "responses.message": "text" });
+caseSchema.pre("save", async function () {
+  if (!this.isNew) return;
+  if (!this.ticketNumber) this.ticketNumber = await nextTicketNumber(this.domain);
+  if (!this.statusHistory.length) {
+    this.statusHistory.push({ from: null, to: this.status, reason: "Case created", at: this.createdAt });
+  }
+  if (!this.sla?.level) {
+    const sentiment = analyzeSentiment(this.description).label;
+    this.sla = initialSla({ priority: this.priority, sentiment }, this.createdAt);
+  }
+});
 const Case = mongoose.model("Case", caseSchema);
 
+// The active case for a product, if any
+const findOpenCase = (userId, orderId, productIndex) =>
+  Case.findOne({ userId, orderId, productIndex, status: { $nin: DONE_STATUSES } }).sort({ createdAt: -1 });
+
+// A case resolved recently enough that a new message reopens it instead of
+// starting another one (window from the "lifecycle.reopenWindowHours" setting)
+async function findReopenableCase(userId, orderId, productIndex) {
+  const hours = Number(await getSetting("lifecycle.reopenWindowHours"));
+  if (!(hours > 0)) return null;
+  return Case.findOne({
+    userId,
+    orderId,
+    productIndex,
+    status: "resolved",
+    resolvedAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) },
+  }).sort({ resolvedAt: -1 });
+}
+
 /* ---------------------------- Auth Middleware ---------------------------- */
 async function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) return res.status(401).json({ error: "Unauthorized" });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyToken(redisClient, token);
     req.userId = decoded.id;
     req.userRole = decoded.role;
+    req.userDomains = decoded.domains || [];
+    req.tokenPayload = decoded;
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid token" });
   }
 }
 
-/* --------------------------- Product Selection --------------------------- */
-app.post("/api/select-product", authMiddleware, async (req, res) => {
+// Role hierarchy: requireRole("agent") also admits supervisors and admins.
+// Roles under the MFA policy also need a token minted after a second factor.
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    if (!hasRole(req.userRole, minRole)) return res.status(403).json({ error: "Forbidden" });
+    try {
+      const mfaRoles = await getSetting("security.mfaRequiredRoles");
+      if (mfaRoles.includes(req.userRole) && !req.tokenPayload.mfa) {
+        return res.status(403).json({ error: "Two-factor authentication required", code: "MFA_REQUIRED" });
+      }
+    } catch (err) {
+      console.error("MFA policy check error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+    next();
+  };
+}
+
+const principalOf = (req) => ({ id: req.userId, role: req.userRole, domains: req.userDomains });
+
+/* ------------------------------ Auth emails ------------------------------ */
+async function sendVerificationEmail(user) {
+  const link = `${allowedOrigins[0]}/verify-email?token=${signEmailToken(user, "verify-email")}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.name},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const link = `${allowedOrigins[0]}/reset-password?token=${signEmailToken(user, "reset-password")}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, open:\n${link}\n\nThe link expires in 1 hour. If it wasn't you, you can ignore this email.`,
+    html: `<p>Hi ${user.name},</p><p>Someone asked to reset the password for this account.</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If it wasn't you, you can ignore this email.</p>`,
+  });
+}
+
+/* --------------------------------- Auth ---------------------------------- */
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+app.post("/api/signup", rateLimits.signup, async (req, res) => {
   try {
-    const { orderId, productIndex } = req.body;
-    const userId = req.userId;
+    const { name, email, password, inviteToken } = req.body;
+    if (!name?.trim() || !email?.trim() || !password) {
+      return res.status(400).json({ error: "Missing fields" });
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    if (!EMAIL_RE.test(normalizedEmail)) {
+      return res.status(400).json({ error: "Invalid email format" });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
 
-    const user = await User.findById(userId).select("orders");
-    if (!user) return res.status(404).json({ error: "User not found" });
+    // Self-service signups are always plain users; elevated roles need an invite
+    let invite = null;
+    if (inviteToken) {
+      invite = await findUsableInvite(inviteToken);
+      if (!invite) return res.status(410).json({ error: "Invite is invalid or has expired" });
+      if (invite.email && invite.email !== normalizedEmail) {
+        return res.status(403).json({ error: "Invite was issued for a different email" });
+      }
+    }
 
-    const order = user.orders.find(o => o.orderId === orderId);
-    if (!order || productIndex < 0 || productIndex >= order.products.length) {
-      return res.status(400).json({ error: "Invalid product" });
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({ error: "Email already registered" });
     }
 
-    const product = order.products[productIndex];
-    const selectedProduct = {
-      orderId,
-      productIndex,
-      name: product.name,
-      quantity: product.quantity,
-      price: product.price,
-      domain: product.domain,
-      orderDate: order.orderDate,
-      status: order.status,
-    };
+    const hashed = await bcrypt.hash(password, 10);
+    const user = new User({
+      name: name.trim(),
+      email: normalizedEmail,
+      password: hashed,
+      role: invite ? invite.role : "user",
+      domains: invite ? invite.domains : [],
+      emailVerified: false,
+    });
 
-    await redisClient.set(`selected-product:${userId}`, JSON.stringify(selectedProduct), { EX: 3600 });
-    res.json({ message: "Product selected" });
+    if (invite) {
+      invite = await consumeInvite(inviteToken, user._id);
+      if (!invite) return res.status(410).json({ error: "Invite is invalid or has expired" });
+    }
+
+    try {
+      await user.save();
+    } catch (err) {
+      if (invite) await Invite.updateOne({ _id: invite._id }, { usedAt: null, usedBy: null });
+      throw err;
+    }
+
+    if (invite) {
+      await recordRoleChange({
+        actorId: invite.createdBy,
+        targetUserId: user._id,
+        to: user.role,
+        via: "invite",
+      });
+    }
+
+    sendVerificationEmail(user).catch(err => console.error("Verification email error:", err));
+
+    res.status(201).json({ message: "Signup successful", userId: user._id, role: user.role });
   } catch (err) {
-    console.error("Select product error:", err);
+    console.error("Signup error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/clear-selected-product", authMiddleware, async (req, res) => {
-  await redisClient.del(`selected-product:${req.userId}`);
-  res.json({ message: "Cleared" });
-});
+// Revoke a device session everywhere: Mongo record, live access tokens, sockets
+async function endSession(sessionId, userId = null) {
+  const session = await revokeSession(sessionId, userId);
+  if (!session) return null;
+  await revokeSessionTokens(redisClient, session._id);
+  io.in(`session:${session._id}`).disconnectSockets(true);
+  return session;
+}
 
-/* ------------------------------- Cases ----------------------------------- */
-app.post("/api/case", authMiddleware, async (req, res) => {
+const lockoutResponse = (res, seconds) => {
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`,
+  });
+};
+
+app.post("/api/login", rateLimits.login, async (req, res) => {
   try {
-    const { orderId, productIndex, description, domain } = req.body;
-    const userId = req.userId;
-    if (!orderId || productIndex === undefined || !description) {
-      return res.status(400).json({ error: "Missing fields" });
-    }
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: "Missing fields" });
+    const normalizedEmail = email.trim().toLowerCase();
 
-    const user = await User.findById(userId).select("orders");
-    if (!user) return res.status(404).json({ error: "User not found" });
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = await getLoginLock(redisClient, normalizedEmail);
+    if (lockedFor) return lockoutResponse(res, lockedFor);
 
-    const order = user.orders.find(o => o.orderId === orderId);
-    if (!order || productIndex >= order.products.length) {
-      return res.status(400).json({ error: "Invalid product" });
+    const user = await User.findOne({ email: normalizedEmail });
+    const ok = user?.password && (await bcrypt.compare(password, user.password));
+    if (!ok) {
+      const lockSec = await registerLoginFailure(redisClient, normalizedEmail);
+      if (lockSec) return lockoutResponse(res, lockSec);
+      return res.status(401).json({ error: "Invalid email or password" });
     }
+    await clearLoginFailures(redisClient, normalizedEmail);
 
-    const productDomain = order.products[productIndex].domain;
-    const finalDomain = domain || productDomain || "E-commerce";
-    const priority = determinePriority(description);
+    // Password was right; a second factor may still be outstanding
+    const mfaRoles = await getSetting("security.mfaRequiredRoles");
+    if (user.twoFactor?.enabled) {
+      return res.json({ mfaRequired: true, mfaToken: signMfaToken(user) });
+    }
+    if (mfaRoles.includes(user.role)) {
+      return res.json({ mfaSetupRequired: true, mfaToken: signMfaToken(user) });
+    }
 
-    let csCase = await Case.findOne({ userId, orderId, productIndex });
-    if (csCase) {
-      csCase.description = description;
-      csCase.priority = priority;
-      csCase.domain = finalDomain;
-      csCase.updatedAt = new Date();
-    } else {
-      csCase = new Case({ userId, orderId, productIndex, description, priority, domain: finalDomain });
+    res.json(await issueLogin(req, user, { mfa: false }));
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// New device session + first token pair
+async function issueLogin(req, user, { mfa }) {
+  const { session, refreshToken } = await createSession(user._id, {
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip,
+    mfa,
+  });
+  return {
+    token: signToken(user, session._id, { mfa }),
+    refreshToken,
+    role: user.role,
+    userId: user._id,
+    name: user.name,
+    emailVerified: user.emailVerified !== false,
+  };
+}
+
+app.post("/api/auth/refresh", rateLimits.refresh, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "Refresh token required" });
+
+    const result = await rotateSession(refreshToken);
+    if (!result) return res.status(401).json({ error: "Invalid refresh token" });
+
+    // A rotated-out token came back: assume it was stolen and kill the session
+    if (result.reused) {
+      await endSession(result.reused._id);
+      return res.status(401).json({ error: "Refresh token reuse detected" });
     }
-    await csCase.save();
-    await indexCase(csCase);
 
-    const populated = await Case.findById(csCase._id)
-      .populate("userId", "name email")
-      .populate("responses.adminId", "name")
-      .lean();
+    const user = await User.findById(result.session.userId).select("role domains");
+    if (!user) {
+      await endSession(result.session._id);
+      return res.status(401).json({ error: "User not found" });
+    }
 
-    res.json({ message: "Case created", case: populated });
+    const token = signToken(user, result.session._id, { mfa: result.session.mfa });
+    // refreshToken is null when another tab rotated it a moment ago (see rotateSession)
+    res.json({ token, refreshToken: result.refreshToken, role: user.role, userId: user._id });
   } catch (err) {
-    console.error("Case error:", err);
+    console.error("Refresh error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-/* ------------------------------- Chat ------------------------------------ */
-app.post("/api/chat", authMiddleware, async (req, res) => {
+app.get("/api/auth/sessions", authMiddleware, async (req, res) => {
   try {
-    const userId = req.userId;
-    const { message } = req.body;
-    if (!message?.trim()) return res.status(400).json({ error: "Message required" });
+    const sessions = await listSessions(req.userId);
+    res.json({
+      sessions: sessions.map(s => ({
+        ...s,
+        current: String(s._id) === req.tokenPayload.sid,
+      })),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // Load user & product
-    let userData = await redisClient.get(`user:${userId}`);
-    if (!userData) {
-      const user = await User.findById(userId).lean();
-      if (!user) return res.status(404).json({ error: "User not found" });
-      userData = JSON.stringify({ name: user.name, email: user.email, role: user.role });
-      await redisClient.set(`user:${userId}`, userData, { EX: 3600 });
-    }
-    const userObj = JSON.parse(userData);
+app.delete("/api/auth/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const session = await endSession(req.params.id, req.userId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const selected = await redisClient.get(`selected-product:${userId}`);
-    if (!selected) return res.status(400).json({ error: "Select product first" });
-    const { orderId, productIndex, domain, name: productName } = JSON.parse(selected);
+// Sign out every device except the one making the request
+app.delete("/api/auth/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+    const others = sessions.filter(s => String(s._id) !== req.tokenPayload.sid);
+    for (const s of others) await endSession(s._id, req.userId);
+    res.json({ message: "Other sessions revoked", revoked: others.length });
+  } catch (err) {
+    console.error("Revoke sessions error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const chatKey = `chat:${userId}:${orderId}:${productIndex}`;
-    const io = req.app.get("io");
+app.get("/api/auth/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("name email role domains emailVerified").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ ...user, emailVerified: user.emailVerified !== false });
+  } catch (err) {
+    console.error("Me error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // Ensure case exists
-    let csCase = await Case.findOne({ userId, orderId, productIndex });
-    if (!csCase) {
-      csCase = await new Case({
-        userId, orderId, productIndex, description: message, priority: "low", domain, status: "open"
-      }).save();
-    }
+app.post("/api/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeToken(redisClient, req.tokenPayload);
+    if (req.tokenPayload.sid) await endSession(req.tokenPayload.sid, req.userId);
+    await redisClient.del(`user:${req.userId}`);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // Agent-only lock?
-    if (await isAgentOnly(csCase._id)) {
-      await redisClient.rPush(chatKey, JSON.stringify({
-        prompt: message, reply: null, orderId, productIndex, caseId: csCase._id,
-        timestamp: Date.now(), source: "user"
-      }));
-      await redisClient.expire(chatKey, 86400);
-      io.to("agents").emit("chat:user", { userId, orderId, productIndex, caseId: csCase._id, message });
-      return res.json({ queued: true, routed: "human_agent", caseId: csCase._id });
-    }
+/* -------------------------- Two-factor (TOTP) -------------------------- */
+// Accepts the TOTP code or an unused recovery code; returns which one matched
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount ? "totp" : null;
+  }
+  if (recoveryCode) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) },
+      { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } }
+    );
+    if (!modifiedCount) return null;
+    await recordAudit({ action: "mfa.recovery_used", actorId: user._id, targetUserId: user._id });
+    return "recovery";
+  }
+  return null;
+}
 
-    // FAQ
-    const faqHit = await checkFaq(message, domain);
-    if (faqHit) {
-      const reply = faqHit.answer;
-      await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply, source: "faq", timestamp: Date.now() }));
-      io.to(`user:${userId}`).emit("chat:reply", { message: reply, source: "faq" });
-      io.to("agents").emit("chat:reply", { message: reply, source: "faq" });
-      return res.json({ reply, source: "faq" });
-    }
+// Enrollment works with a normal access token, or with the pending-login
+// mfaToken when policy forces setup before the first sign-in
+async function authOrMfaToken(req, res, next) {
+  if (req.headers.authorization) return authMiddleware(req, res, next);
+  try {
+    const payload = verifyMfaToken(req.body.mfaToken);
+    req.userId = payload.id;
+    req.pendingMfaLogin = true;
+    next();
+  } catch {
+    return res.status(401).json({ error: "Login session expired, please sign in again" });
+  }
+}
 
-    // CaseMemory
-    const K = Number(process.env.SIM_TOP_K) || 3;
-    const CM_TH = Number(process.env.SIM_CASE_THRESHOLD) || 0.72;
-    const similar = await searchSimilarCases(message, domain, K);
-    if (similar?.[0]?.score >= CM_TH) {
-      const pretty = buildMemoryReply(similar[0].summary, { orderId, productName });
-      await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply: pretty, source: "case-memory", timestamp: Date.now() }));
-      io.to(`user:${userId}`).emit("chat:reply", { message: pretty, source: "case-memory" });
-      io.to("agents").emit("chat:reply", { message: pretty, source: "case-memory" });
-      return res.json({ reply: pretty, source: "case-memory" });
+app.post("/api/auth/2fa/verify", rateLimits.mfa, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    let payload;
+    try {
+      payload = verifyMfaToken(mfaToken);
+    } catch {
+      return res.status(401).json({ error: "Login session expired, please sign in again" });
     }
 
-    // LLM
-    const prompt = `You are a helpful assistant for ${domain}. User: ${userObj.name}. Product: ${productName}. Order: ${orderId}. Message: "${message}". Reply concisely.`;
-    let llmReply = "We'll escalate this to a specialist.";
-    try { llmReply = await callGemini(prompt); } catch (e) { console.warn("Gemini failed:", e); }
+    const user = await User.findById(payload.id);
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor is not enabled" });
 
-    await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply: llmReply, source: "llm", timestamp: Date.now() }));
-    io.to(`user:${userId}`).emit("chat:reply", { message: llmReply, source: "llm" });
-    io.to("agents").emit("chat:reply", { message: llmReply, source: "llm" });
-    return res.json({ reply: llmReply, source: "llm", caseId: csCase._id });
+    const method = await checkSecondFactor(user, { code, recoveryCode });
+    if (!method) return res.status(401).json({ error: "Invalid verification code" });
+
+    res.json({
+      ...(await issueLogin(req, user, { mfa: true })),
+      recoveryCodesLeft: user.twoFactor.recoveryCodes.length - (method === "recovery" ? 1 : 0),
+    });
   } catch (err) {
-    console.error("Chat error:", err);
+    console.error("2FA verify error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-/* --------------------------- Socket.IO Setup --------------------------- */
-const server = http.createServer(app);
-const io = new SocketIOServer(server, {
-  cors: { origin: allowedOrigins, credentials: true },
+app.get("/api/auth/2fa", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("role twoFactor").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const mfaRoles = await getSetting("security.mfaRequiredRoles");
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      required: mfaRoles.includes(user.role),
+      recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-io.use((socket, next) => {
-  const token = socket.handshake.auth?.token;
-  if (!token) return next(new Error("No token"));
+app.post("/api/auth/2fa/setup", rateLimits.mfa, authOrMfaToken, async (req, res) => {
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    socket.data.userId = payload.id;
-    socket.data.role = payload.role;
-    next();
-  } catch (e) {
-    next(new Error("Invalid token"));
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactor?.enabled) return res.status(409).json({ error: "Two-factor is already enabled" });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({ secret, otpauthUri: buildOtpauthUri({ secret, account: user.email }) });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
-io.on("connection", (socket) => {
-  const { userId, role } = socket.data;
-  socket.join(`user:${userId}`);
-  if (role === "admin") socket.join("agents");
-  socket.on("join_case", ({ caseId }) => socket.join(`case:${caseId}`));
-});
+app.post("/api/auth/2fa/enable", rateLimits.mfa, authOrMfaToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ error: "Start setup first" });
 
-/* -------------------------- Make io available -------------------------- */
-app.set("io", io);
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) return res.status(401).json({ error: "Invalid verification code" });
 
-/* ------------------------------ MongoDB --------------------------------- */
-async function initMongo() {
-  const start = Date.now();
-  mongoose.set("debug", process.env.NODE_ENV !== "production");
-  await mongoose.connect(process.env.MONGO_URI, {
-    serverSelectionTimeoutMS: 5000,
-    maxPoolSize: 10,
-  });
-  console.log(`MongoDB Connected in ${Date.now() - start}ms`);
-}
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    await recordAudit({ action: "mfa.enable", actorId: user._id, targetUserId: user._id });
 
-/* ------------------------------ Start Server --------------------------- */
-async function startServer() {
-  await initRedis();
-  await initMongo();
+    // Forced enrollment during login finishes the sign-in
+    if (req.pendingMfaLogin) {
+      return res.json({ ...(await issueLogin(req, user, { mfa: true })), recoveryCodes: codes });
+    }
 
- const PORT = process.env.PORT || 5000;
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`Server running on http://0.0.0.0:${PORT}`);
-  console.log(`Health check: http://0.0.0.0:${PORT}/health`);
+    // Upgrade the current device session so its tokens carry the mfa claim
+    const sid = req.tokenPayload.sid;
+    if (sid) await markSessionMfa(sid);
+    res.json({ recoveryCodes: codes, token: signToken(user, sid, { mfa: true }) });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
+
+app.post("/api/auth/2fa/disable", authMiddleware, rateLimits.mfa, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor is not enabled" });
+
+    const mfaRoles = await getSetting("security.mfaRequiredRoles");
+    if (mfaRoles.includes(user.role)) {
+      return res.status(403).json({ error: "Two-factor is mandatory for your role" });
+    }
+    if (!(await checkSecondFactor(user, req.body))) {
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+    await recordAudit({ action: "mfa.disable", actorId: user._id, targetUserId: user._id });
+    res.json({ message: "Two-factor disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/2fa/recovery-codes", authMiddleware, rateLimits.mfa, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor is not enabled" });
+    if ((await checkSecondFactor(user, { code: req.body.code })) !== "totp") {
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": hashes } });
+    await recordAudit({ action: "mfa.recovery_regenerated", actorId: user._id, targetUserId: user._id });
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error("Recovery codes error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ----------------------- Email verification / reset ----------------------- */
+app.post("/api/auth/verify-email/request", authMiddleware, rateLimits.authEmail, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("name email emailVerified");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerified !== false) return res.json({ message: "Email already verified" });
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Verification request error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Token required" });
+
+    let payload;
+    try {
+      payload = await consumeEmailToken(redisClient, token, "verify-email");
+    } catch {
+      return res.status(400).json({ error: "Verification link is invalid or has expired" });
+    }
+
+    // Token is bound to the address it was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: payload.id, email: payload.email },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) return res.status(400).json({ error: "Verification link is invalid or has expired" });
+
+    await redisClient.del(`user:${user._id}`);
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/forgot-password", rateLimits.authEmail, async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    if (!email) return res.status(400).json({ error: "Email required" });
+
+    const user = await User.findOne({ email }).select("name email");
+    if (user) {
+      sendPasswordResetEmail(user).catch(err => console.error("Reset email error:", err));
+    }
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    res.json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/auth/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ error: "Missing fields" });
+    if (password.length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    let payload;
+    try {
+      payload = await consumeEmailToken(redisClient, token, "reset-password");
+    } catch {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const user = await User.findOne({ _id: payload.id, email: payload.email });
+    if (!user) return res.status(400).json({ error: "Reset link is invalid or has expired" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // Receiving the reset mail proves the address as well
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that used the old password
+    const sessions = await listSessions(user._id);
+    for (const s of sessions) await endSession(s._id, user._id);
+    await redisClient.del(`user:${user._id}`);
+    await clearLoginFailures(redisClient, user.email);
+
+    res.json({ message: "Password updated. Please log in." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ---------------------------- Admin Provisioning ---------------------------- */
+app.post("/api/admin/invites", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const { email, expiresInHours, role = "admin", domains = [] } = req.body;
+    if (email && !EMAIL_RE.test(email.trim().toLowerCase())) {
+      return res.status(400).json({ error: "Invalid email format" });
+    }
+    if (!STAFF_ROLES.includes(role)) return res.status(400).json({ error: "Invalid role" });
+    if (!Array.isArray(domains) || domains.some(d => !DOMAINS.includes(d))) {
+      return res.status(400).json({ error: "Invalid domains" });
+    }
+    if (role !== "admin" && domains.length === 0) {
+      return res.status(400).json({ error: "Agents and supervisors need at least one domain" });
+    }
+    const { token, invite } = await createInvite({
+      createdBy: req.userId,
+      email,
+      role,
+      domains: role === "admin" ? [] : domains,
+      expiresInHours,
+    });
+    const inviteUrl = `${allowedOrigins[0]}/signup?invite=${token}`;
+    res.status(201).json({
+      token,
+      inviteUrl,
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        domains: invite.domains,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("Create invite error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/invites", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const invites = await Invite.find({ usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("-tokenHash")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ invites });
+  } catch (err) {
+    console.error("List invites error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/invites/:id", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) return res.status(404).json({ error: "Invite not found" });
+    res.json({ message: "Invite revoked" });
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/invites/:token", async (req, res) => {
+  try {
+    const invite = await findUsableInvite(req.params.token);
+    if (!invite) return res.status(410).json({ error: "Invite is invalid or has expired" });
+    res.json({
+      email: invite.email,
+      role: invite.role,
+      domains: invite.domains,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (err) {
+    console.error("Check invite error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/users", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const users = await User.find({ role: { $in: STAFF_ROLES } })
+      .select("name email role domains")
+      .sort({ role: 1, name: 1 })
+      .lean();
+    res.json({ users });
+  } catch (err) {
+    console.error("List staff error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/admin/users/:id/role", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const { role, domains } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+    if (domains !== undefined && (!Array.isArray(domains) || domains.some(d => !DOMAINS.includes(d)))) {
+      return res.status(400).json({ error: "Invalid domains" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const nextDomains = !isStaff(role) || role === "admin" ? [] : domains ?? user.domains;
+    const sameDomains =
+      [...user.domains].sort().join("|") === [...nextDomains].sort().join("|");
+    if (user.role === role && sameDomains) return res.json({ message: "Role unchanged", role });
+
+    if (user.role === "admin" && role !== "admin" && (await User.countDocuments({ role: "admin" })) <= 1) {
+      return res.status(409).json({ error: "Cannot demote the last admin" });
+    }
+
+    const from = { role: user.role, domains: [...user.domains] };
+    user.role = role;
+    user.domains = nextDomains;
+    await user.save();
+    await redisClient.del(`user:${user._id}`);
+    await recordRoleChange({
+      actorId: req.userId,
+      targetUserId: user._id,
+      from,
+      to: { role, domains: nextDomains },
+      via: "admin",
+    });
+    await applyPermissionChange(user);
+
+    res.json({ message: "Role updated", role, domains: nextDomains });
+  } catch (err) {
+    console.error("Update role error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/settings/security", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ mfaRequiredRoles: await getSetting("security.mfaRequiredRoles") });
+  } catch (err) {
+    console.error("Security settings error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/admin/settings/security", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const { mfaRequiredRoles } = req.body;
+    if (!Array.isArray(mfaRequiredRoles) || mfaRequiredRoles.some(r => !ROLES.includes(r))) {
+      return res.status(400).json({ error: "Invalid roles" });
+    }
+    // Admins can't opt themselves out of the policy
+    const roles = [...new Set(["admin", ...mfaRequiredRoles])];
+    const before = await getSetting("security.mfaRequiredRoles");
+    await setSetting("security.mfaRequiredRoles", roles, req.userId);
+    await recordAudit({
+      action: "settings.security",
+      actorId: req.userId,
+      details: { from: before, to: roles },
+    });
+    res.json({ mfaRequiredRoles: roles });
+  } catch (err) {
+    console.error("Security settings update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/settings/assignment", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ autoAssign: Boolean(await getSetting("assignment.autoAssign")) });
+  } catch (err) {
+    console.error("Assignment settings error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/admin/settings/assignment", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const { autoAssign } = req.body;
+    if (typeof autoAssign !== "boolean") return res.status(400).json({ error: "autoAssign must be a boolean" });
+    await setSetting("assignment.autoAssign", autoAssign, req.userId);
+    await recordAudit({ action: "settings.assignment", actorId: req.userId, details: { autoAssign } });
+    res.json({ autoAssign });
+  } catch (err) {
+    console.error("Assignment settings update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/settings/lifecycle", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ reopenWindowHours: Number(await getSetting("lifecycle.reopenWindowHours")) });
+  } catch (err) {
+    console.error("Lifecycle settings error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 0 turns automatic reopening off; every message after resolution starts a new case
+app.put("/api/admin/settings/lifecycle", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const reopenWindowHours = Number(req.body.reopenWindowHours);
+    if (!Number.isInteger(reopenWindowHours) || reopenWindowHours < 0 || reopenWindowHours > 24 * 90) {
+      return res.status(400).json({ error: "reopenWindowHours must be a whole number of hours (0-2160)" });
+    }
+    await setSetting("lifecycle.reopenWindowHours", reopenWindowHours, req.userId);
+    await recordAudit({ action: "settings.lifecycle", actorId: req.userId, details: { reopenWindowHours } });
+    res.json({ reopenWindowHours });
+  } catch (err) {
+    console.error("Lifecycle settings update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { default: { pendingReminderHours, pendingResolveHours, botIdleCloseHours },
+//   domains: { [domain]: overrides } }, hours with 0 = off (see autoClose.js)
+app.get("/api/admin/settings/auto-close", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const rules = await getSetting("lifecycle.autoClose");
+    res.json({ ...parseAutoCloseRules(rules), defaults: AUTO_CLOSE_DEFAULTS });
+  } catch (err) {
+    console.error("Auto-close settings error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/admin/settings/auto-close", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const rules = parseAutoCloseRules(req.body);
+    await setSetting("lifecycle.autoClose", rules, req.userId);
+    await recordAudit({ action: "settings.autoClose", actorId: req.userId, details: rules });
+    res.json({ ...rules, defaults: AUTO_CLOSE_DEFAULTS });
+  } catch (err) {
+    if (err instanceof AutoCloseRuleError) return res.status(400).json({ error: err.message });
+    console.error("Auto-close settings update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Force fresh JWT claims; clients reconnect their sockets and rejoin the right rooms
+async function applyPermissionChange(user) {
+  await invalidateUserTokens(redisClient, user._id);
+  io.in(`user:${user._id}`).disconnectSockets(true);
+}
+
+/* --------------------------- Product Selection --------------------------- */
+app.post("/api/select-product", authMiddleware, async (req, res) => {
+  try {
+    const { orderId, productIndex } = req.body;
+    const userId = req.userId;
+
+    const user = await User.findById(userId).select("orders");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const order = user.orders.find(o => o.orderId === orderId);
+    if (!order || productIndex < 0 || productIndex >= order.products.length) {
+      return res.status(400).json({ error: "Invalid product" });
+    }
+
+    const product = order.products[productIndex];
+    const selectedProduct = {
+      orderId,
+      productIndex,
+      name: product.name,
+      quantity: product.quantity,
+      price: product.price,
+      domain: product.domain,
+      orderDate: order.orderDate,
+      status: order.status,
+    };
+
+    await redisClient.set(`selected-product:${userId}`, JSON.stringify(selectedProduct), { EX: 3600 });
+    res.json({ message: "Product selected" });
+  } catch (err) {
+    console.error("Select product error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/clear-selected-product", authMiddleware, async (req, res) => {
+  await redisClient.del(`selected-product:${req.userId}`);
+  res.json({ message: "Cleared" });
+});
+
+/* ------------------------------- Cases ----------------------------------- */
+app.post("/api/case", authMiddleware, rateLimits.cases, async (req, res) => {
+  try {
+    const { orderId, productIndex, description, domain } = req.body;
+    const userId = req.userId;
+    if (!orderId || productIndex === undefined || !description) {
+      return res.status(400).json({ error: "Missing fields" });
+    }
+
+    const user = await User.findById(userId).select("orders");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const order = user.orders.find(o => o.orderId === orderId);
+    if (!order || productIndex >= order.products.length) {
+      return res.status(400).json({ error: "Invalid product" });
+    }
+
+    const productDomain = order.products[productIndex].domain;
+    const finalDomain = domain || productDomain || "E-commerce";
+    const priority = determinePriority(description);
+
+    // Every report is its own case, even for a product with earlier tickets
+    const csCase = new Case({ userId, orderId, productIndex, description, priority, domain: finalDomain });
+    await csCase.save();
+    await indexCase(csCase);
+    await recordCaseEvent(req.app.get("io"), csCase, {
+      type: "case.created",
+      actorId: userId,
+      data: { priority, status: csCase.status, via: "form" },
+    });
+    await flagCaseDuplicates(req.app.get("io"), csCase);
+    await autoAssignCase(req.app.get("io"), csCase);
+
+    const populated = await Case.findById(csCase._id)
+      .populate("userId", "name email")
+      .populate("responses.adminId", "name")
+      .lean();
+
+    res.json({ message: "Case created", case: populated });
+  } catch (err) {
+    console.error("Case error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/user/:id", authMiddleware, async (req, res) => {
+  try {
+    if (req.params.id !== String(req.userId)) return res.status(403).json({ error: "Forbidden" });
+    const user = await User.findById(req.userId).select("name email role emailVerified orders").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (err) {
+    console.error("User profile error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The customer's own cases, newest first; ?orderId=&productIndex= gives one
+// product's case history
+app.get("/api/user/:id/cases", authMiddleware, async (req, res) => {
+  try {
+    if (req.params.id !== String(req.userId)) return res.status(403).json({ error: "Forbidden" });
+    const { domain, orderId, productIndex } = req.query;
+    const filter = { userId: req.userId };
+    if (domain) filter.domain = String(domain);
+    if (orderId) filter.orderId = String(orderId);
+    if (productIndex !== undefined) filter.productIndex = Number(productIndex);
+
+    const cases = await Case.find(filter)
+      .select("-productChanges")
+      .populate("responses.adminId", "name")
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+    // each case's rating survey, if one was sent
+    const surveys = await CsatResponse.find({ caseId: { $in: cases.map((c) => c._id) } }).lean();
+    const surveyOf = new Map(surveys.map((s) => [String(s.caseId), csatView(s)]));
+    res.json({ cases: cases.map((c) => ({ ...c, csat: surveyOf.get(String(c._id)) || null })) });
+  } catch (err) {
+    console.error("User cases error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ---------------------------- Agent Console ---------------------------- */
+// Loads a case and enforces the caller's domain scope; sends the error itself
+async function findScopedCase(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: "Case not found" });
+    return null;
+  }
+  const csCase = await Case.findById(req.params.id);
+  if (!csCase) {
+    res.status(404).json({ error: "Case not found" });
+    return null;
+  }
+  if (!canAccessDomain(principalOf(req), csCase.domain)) {
+    res.status(403).json({ error: "Case is outside your domains" });
+    return null;
+  }
+  return csCase;
+}
+
+const CASE_REF_FIELDS = "ticketNumber description status createdAt";
+
+const populateCase = (id) =>
+  Case.findById(id)
+    .populate("userId", "name email")
+    .populate("assignee", "name email")
+    .populate("responses.adminId", "name")
+    .populate("orderChanges.proposedBy", "name")
+    .populate("possibleDuplicates.caseId", CASE_REF_FIELDS)
+    .populate("mergedInto", CASE_REF_FIELDS)
+    .populate("relatedCases", CASE_REF_FIELDS)
+    .lean();
+
+// Redis bot transcript + agent replies, oldest first
+async function buildUnifiedThread(csCase) {
+  const raw = await redisClient.lRange(caseChatKey(csCase._id), 0, -1);
+  const botTurns = raw.map((entry, i) => {
+    const t = JSON.parse(entry);
+    return {
+      _id: `chat-${i}`,
+      source: t.source || "bot",
+      sender: t.reply ? "bot" : "user",
+      prompt: t.prompt,
+      message: t.reply,
+      sentiment: t.sentiment,
+      attachments: t.attachments || [],
+      timestamp: t.timestamp,
+    };
+  });
+  const agentTurns = csCase.responses
+    .filter(r => r.adminId)
+    .map(r => ({
+      _id: String(r._id),
+      source: "agent",
+      sender: "agent",
+      message: r.message,
+      attachments: r.attachments || [],
+      timestamp: new Date(r.timestamp).getTime(),
+    }));
+  return [...botTurns, ...agentTurns].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Custom field definitions in the caller's domains
+const scopedFieldDefs = (req) => {
+  const scope = domainScope(principalOf(req));
+  return CustomField.find(scope === null ? {} : { domain: { $in: scope } }).lean();
+};
+
+// Inbox: ?status=&domain=&priority=&assignee=me|unassigned|<id>&from=&to=
+//        &replied=true|false&tag=a,b&cf.<key>=&q=
+//        &sort=newest|oldest|updated|priority|frustration&limit=&cursor=
+app.get("/api/admin/cases", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    res.json(await findInboxPage(Case, req.query, principalOf(req), await scopedFieldDefs(req)));
+  } catch (err) {
+    if (err instanceof InboxQueryError) return res.status(400).json({ error: err.message });
+    console.error("Admin cases error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Tab counters and chart data for the same filters (status/replied ignored)
+app.get("/api/admin/cases/stats", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    res.json(await inboxStats(Case, req.query, principalOf(req), await scopedFieldDefs(req)));
+  } catch (err) {
+    if (err instanceof InboxQueryError) return res.status(400).json({ error: err.message });
+    console.error("Admin case stats error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/orders", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const principal = principalOf(req);
+    const users = await User.find({ "orders.0": { $exists: true } }).select("name email orders").lean();
+
+    // Only product lines inside the caller's domains are visible
+    const orders = users.flatMap(u =>
+      u.orders
+        .map(o => ({
+          ...o,
+          userId: u._id,
+          userName: u.name,
+          userEmail: u.email,
+          products: o.products.filter(p => canAccessDomain(principal, p.domain)),
+        }))
+        .filter(o => o.products.length > 0)
+    );
+    res.json({ orders });
+  } catch (err) {
+    console.error("Admin orders error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/case/:id/unified-thread", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    res.json({
+      thread: await buildUnifiedThread(csCase),
+      agentOnly: await isAgentOnly(csCase._id),
+      position: await queuePosition(redisClient, csCase),
+    });
+  } catch (err) {
+    console.error("Unified thread error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// One case, as the inbox lists it (used to open a case from a notification)
+app.get("/api/admin/case/:id", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    res.json({ case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Get case error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Parent order plus every case raised for the same product
+app.get("/api/admin/case/:id/history", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+
+    const [owner, cases] = await Promise.all([
+      User.findOne({ _id: csCase.userId, "orders.orderId": csCase.orderId })
+        .select({ "orders.$": 1 })
+        .lean(),
+      Case.find({ userId: csCase.userId, orderId: csCase.orderId, productIndex: csCase.productIndex })
+        .select("ticketNumber description status priority createdAt updatedAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+    await csCase.populate("statusHistory.by", "name");
+    const order = owner?.orders?.[0] || null;
+    res.json({
+      order: order && {
+        ...order,
+        products: order.products.filter(p => canAccessDomain(principalOf(req), p.domain)),
+      },
+      product: order?.products?.[csCase.productIndex] || null,
+      cases,
+      statusHistory: csCase.statusHistory,
+    });
+  } catch (err) {
+    console.error("Case history error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Case activity timeline. Staff get everything in their domains; customers
+// get the customer-facing events of their own cases.
+app.get("/api/case/:id/events", authMiddleware, async (req, res) => {
+  try {
+    let csCase;
+    if (isStaff(req.userRole)) {
+      csCase = await findScopedCase(req, res);
+      if (!csCase) return;
+    } else {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Case not found" });
+      csCase = await Case.findOne({ _id: req.params.id, userId: req.userId }).select("_id").lean();
+      if (!csCase) return res.status(404).json({ error: "Case not found" });
+    }
+    res.json({ events: await listCaseEvents(csCase._id, { customer: !isStaff(req.userRole) }) });
+  } catch (err) {
+    console.error("Case events error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ Lifecycle ------------------------------ */
+// Logs a saved status change to the case timeline and tells both sides. Every
+// status change goes through here, so a finished case also hands the chat
+// back to the bot and leaves the handoff queue, and a resolved one (by an
+// agent, a macro or auto-resolve) asks the customer for a rating.
+async function publishStatusChange(io, csCase, { from, to, reason, at, by = null }) {
+  if (isDone(to)) {
+    await clearAgentOnly(csCase._id);
+    await dequeueHandoff(redisClient, csCase);
+  }
+  await recordCaseEvent(io, csCase, { type: "case.status", actorId: by, data: { from, to, reason }, at });
+  const payload = { caseId: csCase._id, status: to, from, reason, by, timestamp: at.getTime() };
+  io.to(`user:${csCase.userId}`).emit("case:status", payload);
+  io.to(domainRoom(csCase.domain)).emit("case:status", payload);
+  if (to === "resolved") await askForCsat(io, csCase, by);
+}
+
+// Follows the "resolved" case:status with the customer's rating survey. The
+// rating counts for the case's agent (or whoever resolved an unowned case).
+// Like recordAudit, a failure is logged and never undoes the resolution.
+async function askForCsat(io, csCase, resolvedBy) {
+  try {
+    const survey = await requestCsat(csCase, { agentId: csCase.assignee || resolvedBy });
+    if (!survey) return;
+    io.to(`user:${csCase.userId}`).emit("case:csat", {
+      caseId: csCase._id,
+      orderId: csCase.orderId,
+      productIndex: csCase.productIndex,
+      survey: csatView(survey),
+    });
+  } catch (err) {
+    console.error("CSAT request error:", err);
+  }
+}
+
+/* ------------------------------ Assignment ------------------------------ */
+// Writes the new assignee, audits it and tells the domain's agents. Pass
+// `expectedAssignee` to make the write conditional (claims race each other).
+async function setCaseAssignee(io, csCase, assignee, { actorId = null, reason, expectedAssignee } = {}) {
+  const previousAssigneeId = csCase.assignee ? String(csCase.assignee) : null;
+  const filter = { _id: csCase._id };
+  if (expectedAssignee !== undefined) filter.assignee = expectedAssignee;
+
+  const updated = await Case.findOneAndUpdate(
+    filter,
+    { assignee: assignee?._id ?? null, assignedAt: assignee ? new Date() : null, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await recordAudit({
+    action: "case.assign",
+    actorId,
+    targetUserId: assignee?._id ?? null,
+    details: { caseId: String(csCase._id), from: previousAssigneeId, reason },
+  });
+  await recordCaseEvent(io, updated, {
+    type: "case.assigned",
+    actorId,
+    data: { from: previousAssigneeId, to: assignee ? { _id: assignee._id, name: assignee.name } : null, reason },
+  });
+  const payload = assignmentEvent(updated, { assignee, previousAssigneeId, assignedBy: actorId, reason });
+  io.to(domainRoom(updated.domain)).emit("case:assigned", payload);
+  return updated;
+}
+
+// Staff member who may own a case in `domain`, or null
+async function findEligibleAssignee(userId, domain) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  const user = await User.findById(userId).select("name email role domains").lean();
+  if (!user || !isStaff(user.role) || !canAccessDomain(user, domain)) return null;
+  return user;
+}
+
+// Agents may only work cases that are theirs or unowned; supervisors and
+// admins can step into anything in scope
+function caseOwnerError(req, csCase) {
+  if (!csCase.assignee || String(csCase.assignee) === String(req.userId)) return null;
+  if (hasRole(req.userRole, "supervisor")) return null;
+  return new HttpError("Case is assigned to another agent", 409, "CASE_ASSIGNED");
+}
+
+// Route form of caseOwnerError; sends the 409 itself
+function ensureCaseOwner(req, res, csCase) {
+  const err = caseOwnerError(req, csCase);
+  if (err) sendHttpError(res, err);
+  return !err;
+}
+
+// Claims an unowned case for the caller; false if another agent got there first
+async function claimIfUnassigned(req, csCase, reason) {
+  if (csCase.assignee) return true;
+  const me = await User.findById(req.userId).select("name email").lean();
+  const claimed = await setCaseAssignee(req.app.get("io"), csCase, me, {
+    actorId: req.userId,
+    reason,
+    expectedAssignee: null,
+  });
+  if (!claimed) return false;
+  csCase.assignee = claimed.assignee;
+  return true;
+}
+
+// Round-robin among online agents of the case's domain, when enabled
+async function autoAssignCase(io, csCase) {
+  try {
+    if (!(await getSetting("assignment.autoAssign"))) return;
+    const candidates = await onlineAgentIds(io, csCase.domain);
+    const pick = await pickRoundRobin(redisClient, csCase.domain, candidates);
+    if (!pick) return;
+    const assignee = await findEligibleAssignee(pick, csCase.domain);
+    if (assignee) await setCaseAssignee(io, csCase, assignee, { reason: "auto", expectedAssignee: null });
+  } catch (err) {
+    console.error("Auto-assign error:", err);
+  }
+}
+
+app.post("/api/case/:id/claim", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (String(csCase.assignee) === String(req.userId)) {
+      return res.json({ message: "Case already yours", case: await populateCase(csCase._id) });
+    }
+    if (csCase.assignee) return res.status(409).json({ error: "Case is already assigned", code: "CASE_ASSIGNED" });
+
+    const me = await User.findById(req.userId).select("name email").lean();
+    const updated = await setCaseAssignee(req.app.get("io"), csCase, me, {
+      actorId: req.userId,
+      reason: "claim",
+      expectedAssignee: null,
+    });
+    if (!updated) return res.status(409).json({ error: "Case is already assigned", code: "CASE_ASSIGNED" });
+    res.json({ message: "Case claimed", case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Claim case error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Assign or reassign to any staff member who covers the case's domain
+app.put("/api/case/:id/assignee", authMiddleware, requireRole("supervisor"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const assignee = await findEligibleAssignee(req.body.assigneeId, csCase.domain);
+    if (!assignee) return res.status(400).json({ error: "Assignee must be staff covering this domain" });
+
+    await setCaseAssignee(req.app.get("io"), csCase, assignee, {
+      actorId: req.userId,
+      reason: csCase.assignee ? "reassign" : "assign",
+    });
+    res.json({ message: "Case assigned", case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Assign case error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The assignee can hand a case back; supervisors can unassign anyone
+app.delete("/api/case/:id/assignee", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!csCase.assignee) return res.json({ message: "Case is unassigned", case: await populateCase(csCase._id) });
+    if (!ensureCaseOwner(req, res, csCase)) return;
+
+    await setCaseAssignee(req.app.get("io"), csCase, null, { actorId: req.userId, reason: "unassign" });
+    res.json({ message: "Case unassigned", case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Unassign case error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Staff who cover `domain` (admins cover everything)
+const staffForDomain = (domain) =>
+  User.find({ role: { $in: STAFF_ROLES }, $or: [{ role: "admin" }, { domains: domain }] })
+    .select("name email role")
+    .sort({ name: 1 })
+    .lean();
+
+// Staff a supervisor can pick from for this case
+app.get("/api/case/:id/assignees", authMiddleware, requireRole("supervisor"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    res.json({ users: await staffForDomain(csCase.domain) });
+  } catch (err) {
+    console.error("List assignees error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ---------------------------- Internal notes ---------------------------- */
+// Staff-only. Notes live in their own collection and are only ever sent to
+// staff routes and the domain room, never to the customer's sockets.
+app.get("/api/case/:id/notes", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    res.json({ notes: await listCaseNotes(csCase._id) });
+  } catch (err) {
+    console.error("List notes error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Who can be @mentioned on this case
+app.get("/api/case/:id/mentionable", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const staff = await staffForDomain(csCase.domain);
+    res.json({ users: staff.filter((u) => String(u._id) !== String(req.userId)) });
+  } catch (err) {
+    console.error("List mentionable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { body, mentions: [userId] }; mentioned staff get an in-app notification
+app.post("/api/case/:id/notes", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const body = String(req.body.body ?? "").trim();
+    if (!body) return res.status(400).json({ error: "Note can't be empty" });
+    if (body.length > NOTE_MAX_LENGTH) {
+      return res.status(400).json({ error: `Notes are limited to ${NOTE_MAX_LENGTH} characters` });
+    }
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+
+    // Only staff who can see the case can be mentioned on it
+    const requested = [...new Set((Array.isArray(req.body.mentions) ? req.body.mentions : []).map(String))]
+      .filter((id) => id !== String(req.userId))
+      .slice(0, 20);
+    const mentioned = (await Promise.all(requested.map((id) => findEligibleAssignee(id, csCase.domain)))).filter(Boolean);
+
+    const note = await new CaseNote({
+      caseId: csCase._id,
+      authorId: req.userId,
+      body,
+      mentions: mentioned.map((u) => u._id),
+    }).save();
+    const me = await User.findById(req.userId).select("name").lean();
+    const payload = {
+      ...note.toObject(),
+      authorId: { _id: req.userId, name: me?.name },
+      mentions: mentioned.map((u) => ({ _id: u._id, name: u.name })),
+    };
+
+    const io = req.app.get("io");
+    io.to(domainRoom(csCase.domain)).emit("case:note", payload);
+    const snippet = body.length > 120 ? `${body.slice(0, 117)}...` : body;
+    for (const u of mentioned) {
+      await notify(io, {
+        userId: u._id,
+        type: "mention",
+        caseId: csCase._id,
+        ticketNumber: csCase.ticketNumber,
+        actorId: req.userId,
+        message: `${me?.name || "A teammate"} mentioned you on ${csCase.ticketNumber}: "${snippet}"`,
+      });
+    }
+
+    res.status(201).json({ note: payload });
+  } catch (err) {
+    console.error("Add note error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ---------------------------- Notifications ---------------------------- */
+app.get("/api/notifications", authMiddleware, async (req, res) => {
+  try {
+    res.json(await listNotifications(req.userId));
+  } catch (err) {
+    console.error("List notifications error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { ids } marks those read; no ids marks everything read
+app.post("/api/notifications/read", authMiddleware, async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).filter((id) => mongoose.isValidObjectId(id));
+    const updated = await markNotificationsRead(req.userId, ids);
+    res.json({ updated });
+  } catch (err) {
+    console.error("Read notifications error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* --------------------------- Duplicates & merging --------------------------- */
+// Flags likely duplicates of a new case; never breaks case creation
+async function flagCaseDuplicates(io, csCase) {
+  try {
+    const matches = await flagDuplicates(Case, csCase);
+    if (!matches.length) return;
+    const others = await Case.find({ _id: { $in: matches.map((m) => m.caseId) } }).select("ticketNumber").lean();
+    await recordCaseEvent(io, csCase, {
+      type: "case.duplicate",
+      data: { of: others.map((c) => ({ _id: c._id, ticketNumber: c.ticketNumber })) },
+    });
+  } catch (err) {
+    console.error("Duplicate check error:", err);
+  }
+}
+
+// Loads the other case of a merge/link from req.body.caseId (or a route
+// param), scoped like the first; sends the 4xx itself
+async function findOtherScopedCase(req, res, otherId) {
+  if (!mongoose.isValidObjectId(otherId)) {
+    res.status(400).json({ error: "A valid caseId is required" });
+    return null;
+  }
+  const other = await Case.findById(otherId);
+  if (!other) {
+    res.status(404).json({ error: "Case not found" });
+    return null;
+  }
+  if (!canAccessDomain(principalOf(req), other.domain)) {
+    res.status(403).json({ error: "Case is outside your domains" });
+    return null;
+  }
+  return other;
+}
+
+// Merges this case into body.caseId, which survives
+app.post("/api/case/:id/merge", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const source = await findScopedCase(req, res);
+    if (!source) return;
+    if (!ensureCaseOwner(req, res, source)) return;
+    const target = await findOtherScopedCase(req, res, req.body.caseId);
+    if (!target) return;
+
+    let change;
+    try {
+      change = mergeCaseDocuments(source, target, { by: req.userId });
+    } catch (err) {
+      if (!(err instanceof MergeError || err instanceof TransitionError)) throw err;
+      return res.status(409).json({ error: err.message });
+    }
+    await target.save();
+    await source.save();
+    await mergeChatHistory(redisClient, source, target);
+    await CaseNote.updateMany({ caseId: source._id }, { $set: { caseId: target._id } });
+    await Attachment.updateMany({ caseId: source._id }, { $set: { caseId: target._id } });
+    await RemedyRequest.updateMany({ caseId: source._id }, { $set: { caseId: target._id } });
+
+    const io = req.app.get("io");
+    await recordAudit({
+      action: "case.merge",
+      actorId: req.userId,
+      targetUserId: source.userId,
+      details: { from: String(source._id), into: String(target._id) },
+    });
+    await publishStatusChange(io, source, { ...change, by: req.userId });
+    await recordCaseEvent(io, source, {
+      type: "case.merged",
+      actorId: req.userId,
+      data: { into: { _id: target._id, ticketNumber: target.ticketNumber } },
+    });
+    await recordCaseEvent(io, target, {
+      type: "case.merged",
+      actorId: req.userId,
+      data: { from: { _id: source._id, ticketNumber: source.ticketNumber } },
+    });
+
+    res.json({ message: `Merged into ${target.ticketNumber}`, case: await populateCase(target._id) });
+  } catch (err) {
+    console.error("Case merge error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Links two cases both ways without merging them
+app.post("/api/case/:id/links", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const other = await findOtherScopedCase(req, res, req.body.caseId);
+    if (!other) return;
+    if (String(other._id) === String(csCase._id)) return res.status(409).json({ error: "Can't link a case to itself" });
+
+    await Case.updateOne({ _id: csCase._id }, { $addToSet: { relatedCases: other._id } });
+    await Case.updateOne({ _id: other._id }, { $addToSet: { relatedCases: csCase._id } });
+    const io = req.app.get("io");
+    await recordCaseEvent(io, csCase, {
+      type: "case.linked",
+      actorId: req.userId,
+      data: { case: { _id: other._id, ticketNumber: other.ticketNumber } },
+    });
+    await recordCaseEvent(io, other, {
+      type: "case.linked",
+      actorId: req.userId,
+      data: { case: { _id: csCase._id, ticketNumber: csCase.ticketNumber } },
+    });
+    res.json({ case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Case link error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/case/:id/links/:otherId", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const other = await findOtherScopedCase(req, res, req.params.otherId);
+    if (!other) return;
+
+    await Case.updateOne({ _id: csCase._id }, { $pull: { relatedCases: other._id } });
+    await Case.updateOne({ _id: other._id }, { $pull: { relatedCases: csCase._id } });
+    await recordCaseEvent(req.app.get("io"), csCase, {
+      type: "case.linked",
+      actorId: req.userId,
+      data: { case: { _id: other._id, ticketNumber: other.ticketNumber }, removed: true },
+    });
+    res.json({ case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Case unlink error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// "Not a duplicate": drops the flag without merging
+app.delete("/api/case/:id/duplicates/:otherId", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!mongoose.isValidObjectId(req.params.otherId)) return res.status(400).json({ error: "Invalid case id" });
+    await Case.updateOne(
+      { _id: csCase._id },
+      { $pull: { possibleDuplicates: { caseId: new mongoose.Types.ObjectId(req.params.otherId) } } }
+    );
+    res.json({ case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Dismiss duplicate error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------- Tags & custom fields ------------------------- */
+// Adds tags without touching anything else on the case (the bot runs
+// alongside agents); silently stops at the per-case limit
+async function autoTagCase(io, csCase, tags, via) {
+  try {
+    const fresh = await Case.findById(csCase._id).select("tags domain userId").lean();
+    const room = MAX_TAGS_PER_CASE - (fresh?.tags?.length || 0);
+    const added = (parseTags(tags).tags || []).filter((t) => !fresh?.tags?.includes(t)).slice(0, Math.max(room, 0));
+    if (!added.length) return;
+    await Case.updateOne({ _id: csCase._id }, { $addToSet: { tags: { $each: added } } });
+    await recordCaseEvent(io, csCase, { type: "case.tags", data: { added, removed: [], via } });
+  } catch (err) {
+    console.error("Auto-tag error:", err);
+  }
+}
+
+// Tags already used in the caller's domains, for autocomplete
+app.get("/api/case-tags", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const scope = domainScope(principalOf(req));
+    const tags = await Case.distinct("tags", scope === null ? {} : { domain: { $in: scope } });
+    res.json({ tags: tags.sort() });
+  } catch (err) {
+    console.error("List tags error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { add: [], remove: [] }
+app.put("/api/case/:id/tags", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const add = parseTags(req.body.add);
+    const remove = parseTags(req.body.remove);
+    const error = add.error || remove.error;
+    if (error) return res.status(400).json({ error });
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+
+    const change = applyTagChanges(csCase, { add: add.tags, remove: remove.tags });
+    if (change.error) return res.status(400).json({ error: change.error });
+    if (change.added.length || change.removed.length) {
+      csCase.updatedAt = new Date();
+      await csCase.save();
+      await recordCaseEvent(req.app.get("io"), csCase, { type: "case.tags", actorId: req.userId, data: change });
+    }
+    res.json({ tags: csCase.tags });
+  } catch (err) {
+    console.error("Update tags error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ?domain= narrows to one domain
+app.get("/api/case-fields", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    let fields = await scopedFieldDefs(req);
+    if (req.query.domain) fields = fields.filter((f) => f.domain === req.query.domain);
+    res.json({ fields: fields.sort((a, b) => a.label.localeCompare(b.label)) });
+  } catch (err) {
+    console.error("List case fields error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/case-fields", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    const { error, field } = parseFieldDefinition(req.body);
+    if (error) return res.status(400).json({ error });
+    if (await CustomField.exists({ domain: field.domain, key: field.key })) {
+      return res.status(409).json({ error: `${field.domain} already has a field "${field.key}"` });
+    }
+    const saved = await new CustomField({ ...field, createdBy: req.userId }).save();
+    await recordAudit({ action: "case_field.create", actorId: req.userId, details: { domain: field.domain, key: field.key } });
+    res.status(201).json({ field: saved });
+  } catch (err) {
+    console.error("Create case field error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Label and enum options only; values already on cases aren't rewritten
+app.put("/api/admin/case-fields/:id", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Field not found" });
+    const existing = await CustomField.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Field not found" });
+    const { error, field } = parseFieldLabelAndOptions({ ...req.body, type: existing.type });
+    if (error) return res.status(400).json({ error });
+    Object.assign(existing, field);
+    await existing.save();
+    await recordAudit({ action: "case_field.update", actorId: req.userId, details: { domain: existing.domain, key: existing.key } });
+    res.json({ field: existing });
+  } catch (err) {
+    console.error("Update case field error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Also clears the field's values from the domain's cases
+app.delete("/api/admin/case-fields/:id", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Field not found" });
+    const existing = await CustomField.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Field not found" });
+    await existing.deleteOne();
+    await Case.updateMany({ domain: existing.domain }, { $unset: { [`customFields.${existing.key}`]: "" } });
+    await recordAudit({ action: "case_field.delete", actorId: req.userId, details: { domain: existing.domain, key: existing.key } });
+    res.json({ message: "Field deleted" });
+  } catch (err) {
+    console.error("Delete case field error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Body: { values: { key: value } }; "" or null clears a field
+app.put("/api/case/:id/fields", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const defs = await CustomField.find({ domain: csCase.domain }).lean();
+    const { error, values } = parseFieldValues(defs, req.body.values);
+    if (error) return res.status(400).json({ error });
+
+    const current = csCase.customFields || {};
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      const from = current[key] ?? null;
+      if (String(from) === String(value)) continue;
+      changes[key] = { from, to: value };
+      if (value === null) delete current[key];
+      else current[key] = value;
+    }
+    if (Object.keys(changes).length) {
+      csCase.customFields = current;
+      csCase.markModified("customFields");
+      csCase.updatedAt = new Date();
+      await csCase.save();
+      await recordCaseEvent(req.app.get("io"), csCase, { type: "case.fields", actorId: req.userId, data: { changes } });
+    }
+    res.json({ customFields: csCase.customFields });
+  } catch (err) {
+    console.error("Update case fields error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------------- Macros -------------------------------- */
+// Macros in the caller's domains plus shared ones (domain null)
+const macroScopeFilter = (req) => {
+  const scope = domainScope(principalOf(req));
+  return scope === null ? {} : { domain: { $in: [...scope, null] } };
+};
+
+// Shared macros are admin-only; domain macros need a supervisor in that domain
+const canManageMacro = (req, domain) =>
+  domain === null ? req.userRole === "admin" : canAccessDomain(principalOf(req), domain);
+
+async function findCaseMacro(macroId, csCase) {
+  if (!mongoose.isValidObjectId(macroId)) return null;
+  return Macro.findOne({ _id: macroId, domain: { $in: [csCase.domain, null] } }).lean();
+}
+
+// Sets status, priority and tags from the macro on the (unsaved) case.
+// Throws TransitionError if the status move isn't allowed from here.
+function applyMacroActions(csCase, macro, { by, at }) {
+  const { status, priority, addTags = [] } = macro.actions || {};
+  const changes = {};
+  if (status && status !== csCase.status) {
+    changes.status = transitionCase(csCase, status, { by, reason: `Macro: ${macro.name}`, at });
+  }
+  if (priority && priority !== csCase.priority) {
+    changes.priority = { from: csCase.priority, to: priority };
+    csCase.priority = priority;
+  }
+  // Like auto-tagging, tags past the per-case limit are skipped
+  const room = Math.max(MAX_TAGS_PER_CASE - csCase.tags.length, 0);
+  const tagChange = applyTagChanges(csCase, { add: addTags.filter((t) => !csCase.tags.includes(t)).slice(0, room) });
+  if (tagChange.added?.length) changes.tags = tagChange;
+  return changes;
+}
+
+async function publishMacroChanges(io, csCase, changes, { by, at }) {
+  if (changes.status) await publishStatusChange(io, csCase, { ...changes.status, by });
+  if (changes.priority) {
+    await recordCaseEvent(io, csCase, { type: "case.priority", actorId: by, data: { ...changes.priority, reason: "macro" }, at });
+  }
+  if (changes.tags) {
+    await recordCaseEvent(io, csCase, { type: "case.tags", actorId: by, data: { ...changes.tags, via: "macro" }, at });
+  }
+}
+
+// ?caseId= narrows to the macros usable on that case; most used first
+app.get("/api/macros", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    let filter = macroScopeFilter(req);
+    if (req.query.caseId) {
+      const csCase = mongoose.isValidObjectId(req.query.caseId)
+        ? await Case.findById(req.query.caseId).select("domain").lean()
+        : null;
+      if (!csCase) return res.status(404).json({ error: "Case not found" });
+      if (!canAccessDomain(principalOf(req), csCase.domain)) {
+        return res.status(403).json({ error: "Case is outside your domains" });
+      }
+      filter = { domain: { $in: [csCase.domain, null] } };
+    }
+    const macros = await Macro.find(filter).sort({ usageCount: -1, name: 1 }).lean();
+    res.json({ macros, variables: MACRO_VARIABLES });
+  } catch (err) {
+    console.error("List macros error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/macros", authMiddleware, requireRole("supervisor"), async (req, res) => {
+  try {
+    const { error, macro } = parseMacroInput(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!canManageMacro(req, macro.domain)) return res.status(403).json({ error: "Can't manage macros for that domain" });
+    const saved = await new Macro({ ...macro, createdBy: req.userId, updatedBy: req.userId }).save();
+    await recordAudit({ action: "macro.create", actorId: req.userId, details: { macroId: String(saved._id), name: saved.name } });
+    res.status(201).json({ macro: saved });
+  } catch (err) {
+    console.error("Create macro error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/macros/:id", authMiddleware, requireRole("supervisor"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Macro not found" });
+    const existing = await Macro.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Macro not found" });
+    const { error, macro } = parseMacroInput(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!canManageMacro(req, existing.domain) || !canManageMacro(req, macro.domain)) {
+      return res.status(403).json({ error: "Can't manage macros for that domain" });
+    }
+    Object.assign(existing, macro, { updatedBy: req.userId, updatedAt: new Date() });
+    await existing.save();
+    await recordAudit({ action: "macro.update", actorId: req.userId, details: { macroId: String(existing._id), name: existing.name } });
+    res.json({ macro: existing });
+  } catch (err) {
+    console.error("Update macro error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/macros/:id", authMiddleware, requireRole("supervisor"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Macro not found" });
+    const existing = await Macro.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Macro not found" });
+    if (!canManageMacro(req, existing.domain)) return res.status(403).json({ error: "Can't manage macros for that domain" });
+    await existing.deleteOne();
+    await recordAudit({ action: "macro.delete", actorId: req.userId, details: { macroId: String(existing._id), name: existing.name } });
+    res.json({ message: "Macro deleted" });
+  } catch (err) {
+    console.error("Delete macro error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Fills the macro's placeholders for this case; the agent edits the text
+// before sending it (with macroId) through the response route
+app.post("/api/case/:id/macros/:macroId/render", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const macro = await findCaseMacro(req.params.macroId, csCase);
+    if (!macro) return res.status(404).json({ error: "Macro not found" });
+    const [customer, agent] = await Promise.all([
+      User.findById(csCase.userId).select("name email orders").lean(),
+      User.findById(req.userId).select("name").lean(),
+    ]);
+    const { text, missing } = renderMacro(macro.body, macroContext(csCase, customer, agent));
+    res.json({ text, missing, actions: macro.actions });
+  } catch (err) {
+    console.error("Render macro error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------ Status changes & replies ------------------------ */
+// Shared by the single-case routes and bulk actions; failures are thrown as
+// HttpError with the status the single-case route sends.
+async function changeCaseStatus(req, csCase, status, reason) {
+  const ownerError = caseOwnerError(req, csCase);
+  if (ownerError) throw ownerError;
+
+  let change;
+  try {
+    change = transitionCase(csCase, status, { by: req.userId, reason });
+  } catch (err) {
+    if (!(err instanceof TransitionError)) throw err;
+    throw new HttpError(err.message, err.code === "INVALID_TRANSITION" ? 409 : 400, err.code);
+  }
+  await csCase.save();
+  await publishStatusChange(req.app.get("io"), csCase, { ...change, by: req.userId });
+}
+
+// `attachments` are the caller's unsent uploads (see loadUploads)
+async function sendAgentReply(req, csCase, message, { macro = null, attachments = [] } = {}) {
+  const ownerError = caseOwnerError(req, csCase);
+  if (ownerError) throw ownerError;
+  // Replying to an unowned case claims it, so two agents don't answer at once
+  if (!(await claimIfUnassigned(req, csCase, "reply"))) {
+    throw new HttpError("Case was just claimed by another agent", 409, "CASE_ASSIGNED");
+  }
+
+  const now = new Date();
+  csCase.responses.push({
+    adminId: req.userId,
+    message: message.trim(),
+    attachments: attachments.map(attachmentSummary),
+    timestamp: now,
+  });
+  if (!csCase.firstAgentReplyAt) {
+    csCase.firstAgentReplyAt = now;
+    csCase.sla.warnedAt = null; // next warning is about the resolution clock
+  }
+  csCase.lastAgentReplyAt = now;
+  csCase.updatedAt = now;
+  // Ball is in the customer's court (on-hold and finished cases stay put)
+  const awaitsCustomer = ["new", "open", "reopened", "escalated"].includes(csCase.status)
+    ? transitionCase(csCase, "pending-customer", { by: req.userId, reason: "Agent replied", at: now })
+    : null;
+  let macroChanges = {};
+  if (macro) {
+    try {
+      macroChanges = applyMacroActions(csCase, macro, { by: req.userId, at: now });
+    } catch (err) {
+      if (!(err instanceof TransitionError)) throw err;
+      throw new HttpError(`Macro "${macro.name}": ${err.message}`, 409, err.code);
+    }
+  }
+  await csCase.save();
+  await attachToCase(attachments, csCase._id, now);
+  const io = req.app.get("io");
+  if (awaitsCustomer) await publishStatusChange(io, csCase, { ...awaitsCustomer, by: req.userId });
+  if (macro) await publishMacroChanges(io, csCase, macroChanges, { by: req.userId, at: now });
+  if (macro) await recordMacroUse(macro._id, now);
+
+  const response = csCase.responses[csCase.responses.length - 1];
+  const payload = {
+    eventId: String(response._id),
+    caseId: csCase._id,
+    orderId: csCase.orderId,
+    productIndex: csCase.productIndex,
+    sender: "agent",
+    message: response.message,
+    attachments: response.attachments,
+    timestamp: response.timestamp.getTime(),
+  };
+  io.to(`user:${csCase.userId}`).to(domainRoom(csCase.domain)).emit("case:message", payload);
+
+  // An agent is on it: out of the waiting line, and the bot stays quiet
+  // unless a macro just finished the case
+  await dequeueHandoff(redisClient, csCase);
+  if (!isDone(csCase.status)) await renewAgentOnly(csCase._id);
+}
+
+// Lifecycle change by staff: { status, reason }. See caseLifecycle.js for the
+// allowed transitions.
+app.put("/api/case/:id", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!CASE_STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+
+    await changeCaseStatus(req, csCase, status, reason);
+    res.json({ message: "Case updated", case: await populateCase(csCase._id) });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("Case update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/case/:id/response", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const { message = "", macroId, attachmentIds } = req.body;
+    // A file on its own (e.g. a return label) is a valid reply
+    if (!message.trim() && !attachmentIds?.length) return res.status(400).json({ error: "Message required" });
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    const attachments = await loadUploads(attachmentIds, req.userId);
+    // Reply built from a macro: its actions run with the reply
+    let macro = null;
+    if (macroId) {
+      macro = await findCaseMacro(macroId, csCase);
+      if (!macro) return res.status(400).json({ error: "Macro not available for this case" });
+    }
+
+    await sendAgentReply(req, csCase, message, { macro, attachments });
+    res.json({ message: "Response added", case: await populateCase(csCase._id) });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("Case response error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ Bulk actions ------------------------------ */
+// Body: { caseIds: [], action, params }
+//   status   { status, reason }
+//   assign   { assigneeId: "me" | <userId> | null }   (others: supervisors only)
+//   tag      { add: [], remove: [] }
+//   priority { priority }
+//   reply    { message }
+// Each case succeeds or fails on its own; the response lists both.
+async function bulkAssign(req, csCase, assigneeId) {
+  const io = req.app.get("io");
+  if (assigneeId === null) {
+    if (!csCase.assignee) return;
+    const ownerError = caseOwnerError(req, csCase);
+    if (ownerError) throw ownerError;
+    await setCaseAssignee(io, csCase, null, { actorId: req.userId, reason: "unassign" });
+    return;
+  }
+  const targetId = assigneeId === "me" ? req.userId : assigneeId;
+  if (String(csCase.assignee) === String(targetId)) return;
+  const assignee = await findEligibleAssignee(targetId, csCase.domain);
+  if (!assignee) throw new HttpError("Assignee must be staff covering this domain");
+  // Agents can only claim unowned cases; supervisors can reassign
+  const supervisor = hasRole(req.userRole, "supervisor");
+  const updated = await setCaseAssignee(io, csCase, assignee, {
+    actorId: req.userId,
+    reason: supervisor ? (csCase.assignee ? "reassign" : "assign") : "claim",
+    ...(supervisor ? {} : { expectedAssignee: null }),
+  });
+  if (!updated) throw new HttpError("Case is already assigned", 409, "CASE_ASSIGNED");
+}
+
+async function bulkSetPriority(req, csCase, priority) {
+  if (csCase.priority === priority) return;
+  const from = csCase.priority;
+  csCase.priority = priority;
+  csCase.updatedAt = new Date();
+  await csCase.save();
+  await recordCaseEvent(req.app.get("io"), csCase, {
+    type: "case.priority",
+    actorId: req.userId,
+    data: { from, to: priority, reason: "bulk" },
+  });
+}
+
+async function bulkTag(req, csCase, change) {
+  const result = applyTagChanges(csCase, change);
+  if (result.error) throw new HttpError(result.error);
+  if (!result.added.length && !result.removed.length) return;
+  csCase.updatedAt = new Date();
+  await csCase.save();
+  await recordCaseEvent(req.app.get("io"), csCase, { type: "case.tags", actorId: req.userId, data: result });
+}
+
+// Checks params once up front so a bad request fails as a whole; returns
+// the per-case function or { error, status }
+function bulkActionFor(req, action, params) {
+  switch (action) {
+    case "status":
+      if (!CASE_STATUSES.includes(params.status)) return { error: "Invalid status" };
+      return { fn: (c) => changeCaseStatus(req, c, params.status, params.reason) };
+    case "assign": {
+      const { assigneeId = null } = params;
+      if (assigneeId !== null && assigneeId !== "me" && !hasRole(req.userRole, "supervisor")) {
+        return { error: "Only supervisors can assign cases to others", status: 403 };
+      }
+      return { fn: (c) => bulkAssign(req, c, assigneeId) };
+    }
+    case "tag": {
+      const add = parseTags(params.add);
+      const remove = parseTags(params.remove);
+      const error = add.error || remove.error;
+      if (error) return { error };
+      if (!add.tags.length && !remove.tags.length) return { error: "Nothing to tag" };
+      return { fn: (c) => bulkTag(req, c, { add: add.tags, remove: remove.tags }) };
+    }
+    case "priority":
+      if (!CASE_PRIORITIES.includes(params.priority)) return { error: "Invalid priority" };
+      return { fn: (c) => bulkSetPriority(req, c, params.priority) };
+    case "reply":
+      if (!params.message?.trim()) return { error: "Message required" };
+      return { fn: (c) => sendAgentReply(req, c, params.message) };
+    default:
+      return { error: "Unknown action" };
+  }
+}
+
+app.post("/api/cases/bulk", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const parsed = parseBulkRequest(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { caseIds, action, params } = parsed;
+    const { fn, error, status = 400 } = bulkActionFor(req, action, params);
+    if (error) return res.status(status).json({ error });
+
+    const results = await runBulk(Case, caseIds, {
+      canAccess: (c) => canAccessDomain(principalOf(req), c.domain),
+      fn,
+    });
+    const succeeded = results.filter((r) => r.ok).map((r) => r.caseId);
+    const failed = results.filter((r) => !r.ok).map(({ caseId, error }) => ({ caseId, error }));
+    await recordAudit({
+      action: "case.bulk",
+      actorId: req.userId,
+      details: {
+        action,
+        params: action === "reply" ? { length: params.message.trim().length } : params,
+        succeeded,
+        failed,
+      },
+    });
+    res.json({ action, results, succeeded: succeeded.length, failed: failed.length });
+  } catch (err) {
+    console.error("Bulk case action error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ----------------------------- Order changes ----------------------------- */
+// The case's parent order, straight from the customer's account
+async function findCaseOrder(csCase) {
+  const owner = await User.findOne({ _id: csCase.userId, "orders.orderId": csCase.orderId })
+    .select({ "orders.$": 1 })
+    .lean();
+  return owner?.orders?.[0] || null;
+}
+
+// Marks a pending change as answered so only one approve/decline/cancel wins;
+// returns the case, or null if someone got there first
+const claimPendingChange = (caseId, changeId, at) =>
+  Case.findOneAndUpdate(
+    { _id: caseId, orderChanges: { $elemMatch: { _id: changeId, status: "pending", respondedAt: null } } },
+    { $set: { "orderChanges.$.respondedAt": at } },
+    { new: true }
+  );
+
+// Undoes claimPendingChange when the answer couldn't be written, so the
+// change can still be answered or withdrawn
+const releasePendingChange = (caseId, changeId) =>
+  Case.updateOne(
+    { _id: caseId, orderChanges: { $elemMatch: { _id: changeId, status: "pending" } } },
+    { $set: { "orderChanges.$.respondedAt": null } }
+  );
+
+// Writes the customer's answer onto a claimed change: { status, updatedAt,
+// productChanges? }. Retried, because once the order itself was rewritten the
+// change has to end up "approved"; releasing it would turn a retry "stale".
+async function recordChangeOutcome(caseId, changeId, { status, ...set }, attempts = 3) {
+  const update = { $set: { ...set, "orderChanges.$.status": status } };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await Case.updateOne({ _id: caseId, orderChanges: { $elemMatch: { _id: changeId, status: "pending" } } }, update);
+      return;
+    } catch (err) {
+      if (attempt >= attempts) throw err;
+      console.error(`Recording order change ${changeId} failed (attempt ${attempt}):`, err.message);
+    }
+  }
+}
+
+// Timeline entry plus the live update for the customer's card and agents
+async function publishOrderChange(io, csCase, change, actorId) {
+  await recordCaseEvent(io, csCase, {
+    type: "case.product",
+    actorId,
+    data: { changeId: change._id, kind: change.kind, status: change.status, before: change.before, after: change.after },
+  });
+  const payload = {
+    caseId: csCase._id,
+    orderId: csCase.orderId,
+    productIndex: csCase.productIndex,
+    change: orderChangeView(change),
+  };
+  io.to(`user:${csCase.userId}`).to(domainRoom(csCase.domain)).emit("case:order-change", payload);
+}
+
+// { kind: "quantity" | "price" | "replacement", quantity?, price?, name?, note? }
+app.post("/api/case/:id/order-changes", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const note = String(req.body.note ?? "").trim();
+    if (note.length > 500) return res.status(400).json({ error: "Note must be 500 characters or fewer" });
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    if (isDone(csCase.status)) return res.status(409).json({ error: "Reopen the case to propose order changes" });
+    if (csCase.orderChanges.some((c) => c.status === "pending")) {
+      return res.status(409).json({ error: "A change is already waiting for the customer" });
+    }
+
+    const order = await findCaseOrder(csCase);
+    const before = lineSnapshot(order, csCase.productIndex);
+    if (!before) return res.status(404).json({ error: "Order line not found" });
+    const next = parseProposal(req.body, before);
+    const after = { ...next, totalAmount: totalAfter(order, csCase.productIndex, next) };
+
+    csCase.orderChanges.push({ kind: req.body.kind, note, before, after, proposedBy: req.userId });
+    csCase.updatedAt = new Date();
+    await csCase.save();
+    const change = csCase.orderChanges[csCase.orderChanges.length - 1];
+    await publishOrderChange(req.app.get("io"), csCase, change, req.userId);
+    res.status(201).json({ change: orderChangeView(change), case: await populateCase(csCase._id) });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("Propose order change error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Withdraw a proposal the customer hasn't answered yet
+app.delete("/api/case/:id/order-changes/:changeId", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    if (!mongoose.isValidObjectId(req.params.changeId)) return res.status(404).json({ error: "Change not found" });
+
+    const claimed = await claimPendingChange(csCase._id, req.params.changeId, new Date());
+    if (!claimed) return res.status(409).json({ error: "The customer already answered, or the change is gone" });
+    const change = claimed.orderChanges.id(req.params.changeId);
+    change.status = "cancelled";
+    try {
+      await claimed.save();
+    } catch (err) {
+      await releasePendingChange(csCase._id, req.params.changeId);
+      throw err;
+    }
+    await publishOrderChange(req.app.get("io"), claimed, change, req.userId);
+    res.json({ change: orderChangeView(change), case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Cancel order change error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Customer's answer: { decision: "approve" | "decline" }. Approving writes the
+// change into the order, unless the order moved on since it was proposed.
+app.post("/api/chat/order-changes/:changeId", authMiddleware, async (req, res) => {
+  try {
+    const { decision } = req.body;
+    if (!["approve", "decline"].includes(decision)) return res.status(400).json({ error: "Invalid decision" });
+    const { changeId } = req.params;
+    if (!mongoose.isValidObjectId(changeId)) return res.status(404).json({ error: "Change not found" });
+    const csCase = await Case.findOne({ userId: req.userId, "orderChanges._id": changeId }).select("_id");
+    if (!csCase) return res.status(404).json({ error: "Change not found" });
+
+    const now = new Date();
+    const claimed = await claimPendingChange(csCase._id, changeId, now);
+    if (!claimed) return res.status(409).json({ error: "This change was already answered or withdrawn" });
+    const change = claimed.orderChanges.id(changeId);
+
+    let applied = true;
+    if (decision === "approve") {
+      try {
+        applied = await applyOrderChange(User, {
+          userId: req.userId,
+          orderId: claimed.orderId,
+          productIndex: claimed.productIndex,
+          before: change.before,
+          after: change.after,
+        });
+      } catch (err) {
+        await releasePendingChange(csCase._id, changeId);
+        throw err;
+      }
+    }
+    change.status = decision === "decline" ? "declined" : applied ? "approved" : "stale";
+    const outcome = { status: change.status, updatedAt: now };
+    if (change.status === "approved") {
+      const { name, price, quantity } = change.after;
+      outcome.productChanges = claimed.productChanges = { name, price, quantity };
+    }
+    try {
+      await recordChangeOutcome(csCase._id, changeId, outcome);
+    } catch (err) {
+      // Only safe to answer again if the order wasn't touched
+      if (change.status !== "approved") await releasePendingChange(csCase._id, changeId);
+      throw err;
+    }
+    await publishOrderChange(req.app.get("io"), claimed, change, req.userId);
+
+    if (!applied) {
+      return res.status(409).json({
+        error: "Your order changed since this was proposed. The agent will send an updated proposal.",
+        change: orderChangeView(change),
+      });
+    }
+    res.json({ change: orderChangeView(change) });
+  } catch (err) {
+    console.error("Answer order change error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* -------------------------- Refunds / replacements -------------------------- */
+// Requests the customer accepted from the bot's offer (see remedies.js)
+app.get("/api/case/:id/remedies", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    const remedies = await RemedyRequest.find({ caseId: csCase._id })
+      .sort({ createdAt: -1 })
+      .populate("decidedBy", "name")
+      .lean();
+    res.json({ remedies });
+  } catch (err) {
+    console.error("List remedies error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { decision: "approve" | "reject", reason? } on a request above the
+// auto-approve limit. The customer hears the outcome in chat.
+app.post("/api/case/:id/remedies/:remedyId", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    if (!["approve", "reject"].includes(decision)) return res.status(400).json({ error: "Invalid decision" });
+    const reason = String(req.body.reason ?? "").trim();
+    if (reason.length > 500) return res.status(400).json({ error: "Reason must be 500 characters or fewer" });
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    if (!mongoose.isValidObjectId(req.params.remedyId)) return res.status(404).json({ error: "Request not found" });
+
+    const remedy = await decideRemedy(req.params.remedyId, csCase._id, {
+      status: decision === "approve" ? "approved" : "rejected",
+      decidedBy: req.userId,
+      reason,
+    });
+    if (!remedy) return res.status(409).json({ error: "This request was already decided, or it's gone" });
+
+    const io = req.app.get("io");
+    if (remedy.status === "approved") await settleRemedy(io, remedy);
+    await recordCaseEvent(io, csCase, { type: "case.remedy", actorId: req.userId, data: remedyEventData(remedy) });
+    await recordAudit({
+      action: `remedy.${remedy.status}`,
+      actorId: req.userId,
+      targetUserId: csCase.userId,
+      details: { caseId: String(csCase._id), remedyId: String(remedy._id), kind: remedy.kind, amount: remedy.amount, reason },
+    });
+    await postSystemMessage(io, csCase, remedyNotice(remedy));
+    await remedy.populate("decidedBy", "name");
+    res.json({ remedy });
+  } catch (err) {
+    console.error("Decide remedy error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ---------------------------------- CSAT ---------------------------------- */
+// Customer's rating for one of their resolved cases: { rating: 1-5, comment? }
+app.post("/api/chat/csat/:caseId", authMiddleware, async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    if (!mongoose.isValidObjectId(caseId)) return res.status(404).json({ error: "Survey not found" });
+    const survey = await submitCsat({ caseId, userId: req.userId, rating: req.body.rating, comment: req.body.comment });
+    const csCase = await Case.findById(survey.caseId).select("domain userId");
+    if (csCase) {
+      await recordCaseEvent(req.app.get("io"), csCase, {
+        type: "csat",
+        actorId: req.userId,
+        data: { rating: survey.rating, hasComment: Boolean(survey.comment) },
+      });
+    }
+    res.json({ survey: csatView(survey) });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("CSAT submit error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ?from=&to= (default: last 30 days), ?domain= narrows inside the caller's scope
+app.get("/api/admin/analytics/csat", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const scope = domainScope(principalOf(req));
+    let domains = scope;
+    if (req.query.domain) {
+      const domain = String(req.query.domain);
+      if (scope !== null && !scope.includes(domain)) return res.status(403).json({ error: "Domain is outside your scope" });
+      domains = [domain];
+    }
+    res.json(await csatAnalytics({ domains, from: req.query.from, to: req.query.to }));
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("CSAT analytics error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ Attachments ------------------------------ */
+// Raw file body (not multipart); the display name comes in X-File-Name,
+// URI-encoded. Returns the upload to send with /api/chat or a case response.
+app.post("/api/attachments", authMiddleware, rateLimits.uploads, uploadBody, async (req, res) => {
+  try {
+    let name = "";
+    try {
+      name = decodeURIComponent(req.get("X-File-Name") || "");
+    } catch {
+      return res.status(400).json({ error: "Invalid X-File-Name header" });
+    }
+    const attachment = await createAttachment({ buffer: req.body, name, uploadedBy: req.userId });
+    res.status(201).json({ attachment: attachmentSummary(attachment) });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("Upload attachment error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The uploader, the case's customer, or staff covering the case's domain.
+// Anyone else gets the same 404 as a missing file.
+app.get("/api/attachments/:id", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Attachment not found" });
+    const attachment = await Attachment.findById(req.params.id).lean();
+    if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+    let allowed = String(attachment.uploadedBy) === String(req.userId);
+    if (!allowed && attachment.caseId) {
+      const csCase = await Case.findById(attachment.caseId).select("userId domain").lean();
+      allowed =
+        Boolean(csCase) &&
+        (String(csCase.userId) === String(req.userId) ||
+          (isStaff(req.userRole) && canAccessDomain(principalOf(req), csCase.domain)));
+    }
+    if (!allowed) return res.status(404).json({ error: "Attachment not found" });
+
+    const stream = await openAttachment(attachment);
+    if (!stream) return res.status(404).json({ error: "Attachment not found" });
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": String(attachment.size),
+      "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=3600",
+    });
+    stream.on("error", (err) => {
+      console.error("Attachment stream error:", err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("Download attachment error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------- Chat ------------------------------------ */
+// Bot replies go to the customer and to agents scoped to the case's domain
+function emitChatReply(io, csCase, { message, source, prompt, sentiment, attachments }) {
+  const payload = {
+    caseId: csCase._id,
+    userId: csCase.userId,
+    orderId: csCase.orderId,
+    productIndex: csCase.productIndex,
+    message,
+    source,
+    timestamp: Date.now(),
+  };
+  io.to(`user:${csCase.userId}`).emit("chat:reply", payload);
+  io.to(domainRoom(csCase.domain)).emit("chat:reply", { ...payload, prompt, sentiment, attachments });
+}
+
+// Notices from the support system itself, kept in the case transcript
+async function postSystemMessage(io, csCase, message) {
+  const chatKey = caseChatKey(csCase._id);
+  await redisClient.rPush(chatKey, JSON.stringify({ prompt: null, reply: message, source: "system", timestamp: Date.now() }));
+  await redisClient.expire(chatKey, 86400);
+  emitChatReply(io, csCase, { message, source: "system" });
+}
+
+// Tells the customer's dashboard whether the bot or a human is answering
+function emitChatMode(io, csCase, { agentOnly, position = null }) {
+  io.to(`user:${csCase.userId}`).emit("chat:mode", {
+    caseId: csCase._id,
+    orderId: csCase.orderId,
+    productIndex: csCase.productIndex,
+    agentOnly,
+    position,
+    timestamp: Date.now(),
+  });
+}
+
+const HANDOFF_NOTICES = {
+  angry: "I'm sorry about the trouble. I'm bringing in a support specialist, who will reply here shortly.",
+  negative_streak: "I'm sorry this is taking a while. I'm bringing in a support specialist, who will reply here shortly.",
+  requested: "Sure, I'm connecting you with a support specialist, who will reply here shortly.",
+  approval: "A request of this size needs a specialist's approval, so I've passed it on. They'll reply here shortly.",
+  remedy_exists: "There's already a refund or replacement on this item, so I'm bringing in a support specialist, who will reply here shortly.",
+};
+
+// Stops the bot for this case, puts the customer in line for a human and
+// tells the domain's agents why. Returns the customer's place in line.
+async function handOffToAgents(io, csCase, reason) {
+  const at = new Date();
+  await setAgentOnly(csCase._id);
+  const position = await enqueueHandoff(redisClient, csCase, at.getTime());
+  const handoff = { reason, at, by: null, returnedAt: null };
+  await Case.updateOne({ _id: csCase._id }, { $set: { handoff } });
+  csCase.handoff = handoff;
+  await recordAudit({
+    action: "case.handoff",
+    targetUserId: csCase.assignee,
+    details: { caseId: String(csCase._id), ticketNumber: csCase.ticketNumber, reason },
+  });
+  await recordCaseEvent(io, csCase, { type: "handoff", data: { mode: "agent", reason, position }, at });
+  io.to(domainRoom(csCase.domain)).emit("case:handoff", {
+    caseId: csCase._id,
+    ticketNumber: csCase.ticketNumber,
+    domain: csCase.domain,
+    assignee: csCase.assignee,
+    reason,
+    position,
+    sentiment: {
+      last: csCase.sentiment?.last,
+      frustration: csCase.sentiment?.frustration,
+      trajectory: csCase.sentiment?.trajectory,
+    },
+    timestamp: at.getTime(),
+  });
+  await postSystemMessage(io, csCase, `${HANDOFF_NOTICES[reason]} ${queueNotice(position)}`.trim());
+  emitChatMode(io, csCase, { agentOnly: true, position });
+  return position;
+}
+
+// A customer message nobody answers automatically; agents see it live
+async function pushCustomerMessage(io, csCase, { message, sentiment, attachments }) {
+  const { userId, orderId, productIndex } = csCase;
+  const chatKey = caseChatKey(csCase._id);
+  await redisClient.rPush(chatKey, JSON.stringify({
+    prompt: message, reply: null, orderId, productIndex, caseId: csCase._id,
+    timestamp: Date.now(), source: "user", sentiment, attachments
+  }));
+  await redisClient.expire(chatKey, 86400);
+  io.to(domainRoom(csCase.domain)).emit("chat:user", {
+    userId, orderId, productIndex, caseId: csCase._id, message, sentiment, attachments, timestamp: Date.now()
+  });
+}
+
+// Updates the order and the customer's open dashboards
+async function settleRemedy(io, remedy) {
+  const status = await applyRemedy(User, remedy);
+  io.to(`user:${remedy.userId}`).emit("order:status", { orderId: remedy.orderId, status });
+}
+
+const remedyEventData = (r) => ({
+  remedyId: r._id,
+  kind: r.kind,
+  amount: r.amount,
+  status: r.status,
+  approval: r.approval,
+  ...(r.reason && { reason: r.reason }),
+});
+
+// The customer's yes/no to the bot's refund or replacement offer. Yes creates
+// the request: small ones go through at once, larger ones wait for an agent.
+// Returns the chat response body.
+async function answerRemedyOffer(io, csCase, kind, answer, { message, sentiment, attachments }) {
+  const botReply = async (reply) => {
+    await redisClient.rPush(caseChatKey(csCase._id), JSON.stringify({ prompt: message, reply, source: "remedy", sentiment, attachments, timestamp: Date.now() }));
+    emitChatReply(io, csCase, { message: reply, source: "remedy", prompt: message, sentiment, attachments });
+    await recordCaseEvent(io, csCase, { type: "bot.reply", data: { source: "remedy" } });
+    return { reply, source: "remedy" };
+  };
+  if (answer === "decline") {
+    return botReply("No problem, I won't change anything. Is there anything else I can help with?");
+  }
+
+  const order = await findCaseOrder(csCase);
+  // Offered before an earlier request went through: a person takes it from here
+  if (await hasActiveRemedy(csCase, order)) {
+    await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+    const position = await handOffToAgents(io, csCase, "remedy_exists");
+    return { queued: true, routed: "human_agent", position, handoff: "remedy_exists" };
+  }
+  const remedy = buildRemedyRequest(csCase, order, kind);
+  if (!remedy) {
+    await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+    const position = await handOffToAgents(io, csCase, "requested");
+    return { queued: true, routed: "human_agent", position, handoff: "requested" };
+  }
+  await remedy.save();
+  await recordCaseEvent(io, csCase, { type: "case.remedy", actorId: csCase.userId, data: remedyEventData(remedy) });
+  await recordAudit({
+    action: "remedy.requested",
+    actorId: csCase.userId,
+    targetUserId: csCase.userId,
+    details: { caseId: String(csCase._id), remedyId: String(remedy._id), kind, amount: remedy.amount, approval: remedy.approval },
+  });
+  if (remedy.status === "approved") {
+    await settleRemedy(io, remedy);
+    return { ...(await botReply(remedyNotice(remedy))), remedy: remedy.toObject() };
+  }
+
+  await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+  const position = await handOffToAgents(io, csCase, "approval");
+  return { queued: true, routed: "human_agent", position, handoff: "approval", remedy: remedy.toObject() };
+}
+
+app.post("/api/chat", authMiddleware, rateLimits.chat, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { attachmentIds } = req.body;
+    // Files alone are fine (e.g. a photo of the damage)
+    const message = String(req.body.message ?? "").trim();
+    if (!message && !attachmentIds?.length) return res.status(400).json({ error: "Message required" });
+    const uploads = await loadUploads(attachmentIds, userId);
+    const attachments = uploads.map(attachmentSummary);
+
+    // Load user & product
+    let userData = await redisClient.get(`user:${userId}`);
+    if (!userData) {
+      const user = await User.findById(userId).lean();
+      if (!user) return res.status(404).json({ error: "User not found" });
+      userData = JSON.stringify({
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      });
+      await redisClient.set(`user:${userId}`, userData, { EX: 3600 });
+    }
+    const userObj = JSON.parse(userData);
+    if (userObj.emailVerified === false) {
+      return res.status(403).json({ error: "Please verify your email before chatting", code: "EMAIL_NOT_VERIFIED" });
+    }
+
+    const selected = await redisClient.get(`selected-product:${userId}`);
+    if (!selected) return res.status(400).json({ error: "Select product first" });
+    const { orderId, productIndex, domain, name: productName } = JSON.parse(selected);
+
+    const io = req.app.get("io");
+
+    // Attach to the product's active case. A recently resolved one is reopened;
+    // otherwise a new case starts.
+    let csCase = await findOpenCase(userId, orderId, productIndex);
+    let statusChange = null;
+    if (!csCase) {
+      csCase = await findReopenableCase(userId, orderId, productIndex);
+      if (csCase) {
+        statusChange = transitionCase(csCase, "reopened", { reason: "Customer wrote again after resolution" });
+      } else {
+        const description = message || `Customer sent ${attachments.map((a) => a.name).join(", ")}`;
+        csCase = new Case({ userId, orderId, productIndex, description, priority: "low", domain });
+      }
+    } else if (csCase.status === "pending-customer") {
+      // Customer answered, so it's back with us and the resolution clock runs
+      statusChange = transitionCase(csCase, "open", { reason: "Customer replied" });
+    }
+
+    // Score every customer message and keep the case's trajectory; files
+    // without text leave it as it was
+    const scored = message ? analyzeSentiment(message) : null;
+    const sentiment = scored && { label: scored.label, score: scored.score };
+    const previousSentiment = csCase.toObject().sentiment || {};
+    if (scored) csCase.sentiment = nextSentimentState(previousSentiment, scored);
+    csCase.lastCustomerMessageAt = new Date();
+    const isNewCase = csCase.isNew;
+    await csCase.save();
+    await attachToCase(uploads, csCase._id);
+    if (statusChange) await publishStatusChange(io, csCase, statusChange);
+    if (isNewCase) {
+      await recordCaseEvent(io, csCase, {
+        type: "case.created",
+        actorId: userId,
+        data: { priority: csCase.priority, status: csCase.status, via: "chat" },
+      });
+      await autoAssignCase(io, csCase);
+      // Needs an embedding call, so it doesn't hold up the bot's reply
+      indexCase(csCase).then(() => flagCaseDuplicates(io, csCase));
+    }
+    // Log when the conversation turns (angry, or negative for several turns)
+    const escalation = scored ? handoffReason(csCase.sentiment) : null;
+    if (escalation && escalation !== handoffReason(previousSentiment)) {
+      await recordCaseEvent(io, csCase, {
+        type: "sentiment.escalated",
+        data: { reason: escalation, score: scored.score, frustration: csCase.sentiment.frustration },
+      });
+    }
+    const chatKey = caseChatKey(csCase._id);
+
+    // Angry or persistently negative customers go straight to a human
+    const agentOnly = await isAgentOnly(csCase._id);
+    const handoff = agentOnly ? null : escalation;
+
+    // Agent-only lock?
+    if (agentOnly || handoff) {
+      await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+      const position = handoff
+        ? await handOffToAgents(io, csCase, handoff)
+        : await queuePosition(redisClient, csCase);
+      return res.json({ queued: true, routed: "human_agent", caseId: csCase._id, position, ...(handoff && { handoff }) });
+    }
+
+    // Nothing for FAQ, memory or the LLM to answer yet: keep the files for
+    // the agents and ask for a description
+    if (!message) {
+      await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+      const reply = "Thanks, I've added that to your case. Could you tell me a bit about the problem?";
+      await postSystemMessage(io, csCase, reply);
+      return res.json({ reply, source: "system", caseId: csCase._id });
+    }
+
+    // A short yes/no right after the bot offered a refund or replacement
+    const offer = await takeOffer(redisClient, csCase._id);
+    const offerAnswer = offer && readOfferAnswer(message);
+    if (offerAnswer) {
+      const result = await answerRemedyOffer(io, csCase, offer.kind, offerAnswer, { message, sentiment, attachments });
+      return res.json({ ...result, caseId: csCase._id });
+    }
+
+    // FAQ
+    const faqHit = await checkFaq(message, domain);
+    if (faqHit) {
+      const reply = faqHit.answer;
+      await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply, source: "faq", sentiment, attachments, timestamp: Date.now() }));
+      emitChatReply(io, csCase, { message: reply, source: "faq", prompt: message, sentiment, attachments });
+      await recordCaseEvent(io, csCase, { type: "bot.reply", data: { source: "faq" } });
+      if (faqHit.tags?.length) await autoTagCase(io, csCase, faqHit.tags, "faq");
+      return res.json({ reply, source: "faq", caseId: csCase._id });
+    }
+
+    // CaseMemory
+    const K = Number(process.env.SIM_TOP_K) || 3;
+    const CM_TH = Number(process.env.SIM_CASE_THRESHOLD) || 0.72;
+    const similar = await searchSimilarCases(message, domain, K);
+    if (similar?.[0]?.score >= CM_TH) {
+      // No second refund/replacement offer for the same item
+      const remedy = memoryRemedy(similar[0].summary);
+      if (remedy && (await hasActiveRemedy(csCase, await findCaseOrder(csCase)))) {
+        await pushCustomerMessage(io, csCase, { message, sentiment, attachments });
+        const position = await handOffToAgents(io, csCase, "remedy_exists");
+        return res.json({ queued: true, routed: "human_agent", caseId: csCase._id, position, handoff: "remedy_exists" });
+      }
+      const pretty = buildMemoryReply(similar[0].summary, { orderId, productName });
+      // The reply ends with "Would you like me to proceed?"; the next message answers it
+      if (remedy) await saveOffer(redisClient, csCase._id, remedy);
+      await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply: pretty, source: "case-memory", sentiment, attachments, timestamp: Date.now() }));
+      emitChatReply(io, csCase, { message: pretty, source: "case-memory", prompt: message, sentiment, attachments });
+      await recordCaseEvent(io, csCase, { type: "bot.reply", data: { source: "case-memory" } });
+      return res.json({ reply: pretty, source: "case-memory", caseId: csCase._id });
+    }
+
+    // LLM
+    const prompt = `You are a helpful assistant for ${domain}. User: ${userObj.name}. Product: ${productName}. Order: ${orderId}. Message: "${message}". Reply concisely.`;
+    let llmReply = "We'll escalate this to a specialist.";
+    // Per-user daily cap so one customer can't burn through the shared GEMINI_MODELS quota
+    const quota = await consumeLlmQuota(redisClient, userId);
+    if (!quota.allowed) {
+      llmReply = "You've reached today's limit for AI assistant replies. A support specialist will follow up on your case.";
+    } else {
+      try { llmReply = await callGemini(prompt); } catch (e) { console.warn("Gemini failed:", e); }
+    }
+
+    await redisClient.rPush(chatKey, JSON.stringify({ prompt: message, reply: llmReply, source: "llm", sentiment, attachments, timestamp: Date.now() }));
+    emitChatReply(io, csCase, { message: llmReply, source: "llm", prompt: message, sentiment, attachments });
+    await recordCaseEvent(io, csCase, { type: "bot.reply", data: { source: "llm" } });
+    return res.json({ reply: llmReply, source: "llm", caseId: csCase._id });
+  } catch (err) {
+    if (sendHttpError(res, err)) return;
+    console.error("Chat error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Customer view of a product's open case (or a specific ?caseId= of theirs)
+app.get("/api/chat/thread", authMiddleware, async (req, res) => {
+  try {
+    const { orderId, productIndex, caseId } = req.query;
+    let csCase = null;
+    if (caseId) {
+      if (!mongoose.isValidObjectId(caseId)) return res.status(404).json({ error: "Case not found" });
+      csCase = await Case.findOne({ _id: caseId, userId: req.userId });
+      if (!csCase) return res.status(404).json({ error: "Case not found" });
+    } else {
+      if (!orderId || productIndex === undefined) return res.status(400).json({ error: "Missing fields" });
+      csCase = await findOpenCase(req.userId, String(orderId), Number(productIndex));
+    }
+    if (!csCase) return res.json({ thread: [], case: null });
+
+    res.json({
+      thread: await buildUnifiedThread(csCase),
+      case: {
+        _id: csCase._id,
+        ticketNumber: csCase.ticketNumber,
+        status: csCase.status,
+        agentOnly: await isAgentOnly(csCase._id),
+        position: await queuePosition(redisClient, csCase),
+        orderChanges: csCase.orderChanges.map(orderChangeView),
+      },
+    });
+  } catch (err) {
+    console.error("Chat thread error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// "Talk to a human" from the customer's chat on the product's open case
+app.post("/api/chat/handoff", authMiddleware, rateLimits.chat, async (req, res) => {
+  try {
+    const { orderId, productIndex } = req.body;
+    if (!orderId || productIndex === undefined) return res.status(400).json({ error: "Missing fields" });
+    const csCase = await findOpenCase(req.userId, String(orderId), Number(productIndex));
+    if (!csCase) return res.status(404).json({ error: "Send us a message about this product first" });
+
+    // Asking twice keeps the original place in line
+    if (await isAgentOnly(csCase._id)) {
+      return res.json({ agentOnly: true, position: await queuePosition(redisClient, csCase), caseId: csCase._id });
+    }
+    const position = await handOffToAgents(req.app.get("io"), csCase, "requested");
+    res.json({ agentOnly: true, position, caseId: csCase._id });
+  } catch (err) {
+    console.error("Chat handoff error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* --------------------- Agent takeover / return to bot --------------------- */
+app.post("/api/case/:id/takeover", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (isDone(csCase.status)) return res.status(409).json({ error: "Case is already finished" });
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    if (!(await claimIfUnassigned(req, csCase, "takeover"))) {
+      return res.status(409).json({ error: "Case was just claimed by another agent", code: "CASE_ASSIGNED" });
+    }
+
+    const at = new Date();
+    await setAgentOnly(csCase._id);
+    await dequeueHandoff(redisClient, csCase);
+    await Case.updateOne(
+      { _id: csCase._id },
+      { $set: { handoff: { reason: "takeover", at, by: req.userId, returnedAt: null } } }
+    );
+    await recordAudit({
+      action: "case.takeover",
+      actorId: req.userId,
+      details: { caseId: String(csCase._id), ticketNumber: csCase.ticketNumber },
+    });
+
+    const io = req.app.get("io");
+    await recordCaseEvent(io, csCase, {
+      type: "handoff",
+      actorId: req.userId,
+      data: { mode: "agent", reason: "takeover", position: null },
+      at,
+    });
+    const me = await User.findById(req.userId).select("name").lean();
+    io.to(domainRoom(csCase.domain)).emit("case:handoff", {
+      caseId: csCase._id,
+      ticketNumber: csCase.ticketNumber,
+      domain: csCase.domain,
+      assignee: csCase.assignee,
+      reason: "takeover",
+      by: { _id: req.userId, name: me?.name },
+      position: null,
+      timestamp: at.getTime(),
+    });
+    await postSystemMessage(io, csCase, `${me?.name || "A support specialist"} has joined the chat.`);
+    emitChatMode(io, csCase, { agentOnly: true });
+
+    res.json({ message: "Case taken over", agentOnly: true, case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Case takeover error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/case/:id/handback", authMiddleware, requireRole("agent"), async (req, res) => {
+  try {
+    const csCase = await findScopedCase(req, res);
+    if (!csCase) return;
+    if (!ensureCaseOwner(req, res, csCase)) return;
+    if (!(await isAgentOnly(csCase._id))) return res.status(409).json({ error: "The bot is already handling this case" });
+
+    const at = new Date();
+    await clearAgentOnly(csCase._id);
+    await dequeueHandoff(redisClient, csCase);
+    // Start the bot from a clean slate, or the next negative message would
+    // hand the customer straight back on the old streak
+    await Case.updateOne(
+      { _id: csCase._id },
+      { $set: { "handoff.returnedAt": at, "sentiment.negativeStreak": 0, "sentiment.last": "neutral" } }
+    );
+    await recordAudit({
+      action: "case.handback",
+      actorId: req.userId,
+      details: { caseId: String(csCase._id), ticketNumber: csCase.ticketNumber },
+    });
+
+    const io = req.app.get("io");
+    await recordCaseEvent(io, csCase, {
+      type: "handoff",
+      actorId: req.userId,
+      data: { mode: "bot", reason: "handback", position: null },
+      at,
+    });
+    io.to(domainRoom(csCase.domain)).emit("case:handback", {
+      caseId: csCase._id,
+      ticketNumber: csCase.ticketNumber,
+      domain: csCase.domain,
+      by: req.userId,
+      timestamp: at.getTime(),
+    });
+    await postSystemMessage(
+      io,
+      csCase,
+      "You're back with our support bot. You can ask for a specialist again at any time."
+    );
+    emitChatMode(io, csCase, { agentOnly: false });
+
+    res.json({ message: "Case handed back to the bot", agentOnly: false, case: await populateCase(csCase._id) });
+  } catch (err) {
+    console.error("Case handback error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* --------------------------- Socket.IO Setup --------------------------- */
+const server = http.createServer(app);
+const io = new SocketIOServer(server, {
+  cors: { origin: allowedOrigins, credentials: true },
+});
+
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next(new Error("No token"));
+  try {
+    const payload = await verifyToken(redisClient, token);
+    socket.data.userId = payload.id;
+    socket.data.role = payload.role;
+    socket.data.domains = payload.domains || [];
+    socket.data.sid = payload.sid;
+    next();
+  } catch (e) {
+    next(new Error("Invalid token"));
+  }
+});
+
+io.on("connection", (socket) => {
+  const { userId, role, domains } = socket.data;
+  socket.join(`user:${userId}`);
+  if (socket.data.sid) socket.join(`session:${socket.data.sid}`);
+  // Staff only hear about cases in their own domains
+  if (isStaff(role)) socket.join(staffRooms({ role, domains }));
+
+  socket.on("join_case", async ({ caseId } = {}) => {
+    try {
+      if (!mongoose.isValidObjectId(caseId)) return;
+      const csCase = await Case.findById(caseId).select("userId domain").lean();
+      if (!csCase) return;
+      const allowed = isStaff(role)
+        ? canAccessDomain({ role, domains }, csCase.domain)
+        : String(csCase.userId) === String(userId);
+      if (allowed) socket.join(`case:${caseId}`);
+    } catch (err) {
+      console.error("join_case error:", err);
+    }
+  });
+  socket.on("leave_case", ({ caseId } = {}) => socket.leave(`case:${caseId}`));
+
+  // Heartbeat from an agent with the case open, so agent-only mode doesn't
+  // lapse mid-conversation
+  socket.on("agent_active", async ({ caseId } = {}) => {
+    try {
+      if (!isStaff(role) || !mongoose.isValidObjectId(caseId)) return;
+      const csCase = await Case.findById(caseId).select("domain").lean();
+      if (csCase && canAccessDomain({ role, domains }, csCase.domain)) await renewAgentOnly(caseId);
+    } catch (err) {
+      console.error("agent_active error:", err);
+    }
+  });
+});
+
+/* -------------------------- Make io available -------------------------- */
+app.set("io", io);
+
+/* ------------------------------ MongoDB --------------------------------- */
+async function initMongo() {
+  const start = Date.now();
+  mongoose.set("debug", process.env.NODE_ENV !== "production");
+  await mongoose.connect(process.env.MONGO_URI, {
+    serverSelectionTimeoutMS: 5000,
+    maxPoolSize: 10,
+  });
+  console.log(`MongoDB Connected in ${Date.now() - start}ms`);
+}
+
+/* ------------------------------ Start Server --------------------------- */
+async function startServer() {
+  await initRedis();
+  await initMongo();
+  await backfillAgentReplyTimes(Case);
+  await migrateCaseStatuses(Case);
+  await migrateToMultiCase(Case, redisClient);
+  await backfillSla(Case);
+  await backfillPendingSince(Case);
+  // Frustration is a keyset sort field, so it can't be missing
+  await Case.updateMany({ "sentiment.frustration": { $exists: false } }, { $set: { "sentiment.frustration": 0 } });
+
+ const PORT = process.env.PORT || 5000;
+server.listen(PORT, "0.0.0.0", () => {
+  console.log(`Server running on http://0.0.0.0:${PORT}`);
+  console.log(`Health check: http://0.0.0.0:${PORT}/health`);
+});
+  startSlaScheduler({ Case, io, getRedis: () => redisClient });
+  // Reminders and automatic resolve/close for quiet cases
+  startAutoCloseScheduler({
+    Case,
+    getRedis: () => redisClient,
+    ctx: {
+      io,
+      postSystemMessage: (c, text) => postSystemMessage(io, c, text),
+      publishStatusChange: (c, change) => publishStatusChange(io, c, change),
+    },
+  });
+  // Uploads that were never sent with a message
+  setInterval(() => {
+    sweepUnclaimedAttachments().catch((err) => console.error("Attachment sweep error:", err));
+  }, 60 * 60 * 1000);
 }
 
 startServer().catch(err => {
@@ -0,0 +1,109 @@
+// sessions.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS ?? 30);
+// Two tabs share one refresh token and may both refresh at once; the loser
+// presents the token the winner just rotated out. Within this window that's
+// a race, not reuse.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// One document per logged-in device; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null }, // rotated out at rotatedAt
+  rotatedAt: { type: Date, default: null },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  mfa: { type: Boolean, default: false }, // second factor passed for this device
+});
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session =
+  mongoose.models.Session || mongoose.model("Session", sessionSchema);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens look like "<sessionId>.<secret>" so lookups don't need a scan
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+export async function createSession(userId, { userAgent = "", ip = "", mfa = false } = {}) {
+  const session = new Session({
+    userId,
+    mfa,
+    userAgent: userAgent.slice(0, 300),
+    ip,
+    expiresAt: refreshExpiry(),
+    refreshTokenHash: "pending",
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return { session, refreshToken };
+}
+
+// Returns { session, refreshToken } on success, { reused: session } when an
+// already-rotated token is replayed, or null when the token is unknown/expired.
+// The token rotated out in the last ROTATION_GRACE_MS still gets the session,
+// with refreshToken null: the caller keeps the one the other tab stored.
+export async function rotateSession(refreshToken) {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const live = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+  const nextToken = newRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    { ...live, refreshTokenHash: tokenHash },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: nextToken };
+
+  const raced = await Session.findOne({
+    ...live,
+    previousTokenHash: tokenHash,
+    rotatedAt: { $gt: new Date(now.getTime() - ROTATION_GRACE_MS) },
+  });
+  if (raced) return { session: raced, refreshToken: null };
+
+  const existing = await Session.findOne({ _id: sessionId, revokedAt: null });
+  return existing ? { reused: existing } : null;
+}
+
+export async function revokeSession(sessionId, userId = null) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  return Session.findOneAndUpdate(filter, { revokedAt: new Date() }, { new: true });
+}
+
+export async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("-refreshTokenHash")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export async function markSessionMfa(sessionId) {
+  if (!sessionId) return null;
+  return Session.findByIdAndUpdate(sessionId, { mfa: true }, { new: true });
+}
@@ -0,0 +1,49 @@
+// settings.js
+import mongoose from "mongoose";
+
+// Admin-editable runtime settings, one document per key
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+export const Setting =
+  mongoose.models.Setting || mongoose.model("Setting", settingSchema);
+
+export const SETTING_DEFAULTS = {
+  // Roles that must pass TOTP before they get an access token
+  "security.mfaRequiredRoles": ["admin"],
+  // Round-robin new cases to online agents of the case's domain
+  "assignment.autoAssign": false,
+  // A customer message within this many hours of resolution reopens the case
+  "lifecycle.reopenWindowHours": Number(process.env.CASE_REOPEN_WINDOW_H ?? 72),
+  // Reminder/auto-resolve/auto-close hours, overridable per domain (autoClose.js);
+  // empty falls back to its AUTO_CLOSE_DEFAULTS
+  "lifecycle.autoClose": { default: {}, domains: {} },
+};
+
+// Read on hot paths (login, staff routes), so keep a short in-process cache
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+export async function getSetting(key) {
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+
+  const doc = await Setting.findOne({ key }).lean();
+  const value = doc ? doc.value : SETTING_DEFAULTS[key];
+  cache.set(key, { value, expires: Date.now() + CACHE_MS });
+  return value;
+}
+
+export async function setSetting(key, value, updatedBy = null) {
+  await Setting.findOneAndUpdate(
+    { key },
+    { key, value, updatedBy, updatedAt: new Date() },
+    { upsert: true }
+  );
+  cache.set(key, { value, expires: Date.now() + CACHE_MS });
+  return value;
+}
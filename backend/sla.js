@@ -1,11 +1,90 @@
 // sla.js
+const MIN = 60 * 1000;
+
+// Resolution targets per level, in hours
+const RESOLUTION_HOURS = {
+  express: () => Number(process.env.SLA_RESOLVE_FAST_H ?? 4),
+  standard: () => Number(process.env.SLA_RESOLVE_STD_H ?? 24),
+  batched: () => Number(process.env.SLA_RESOLVE_SLOW_H ?? 72),
+};
+
+// How close to a deadline a case counts as "at risk"
+export const SLA_AT_RISK_MIN = Number(process.env.SLA_AT_RISK_MIN ?? 15);
+
 export function computeSLA({ priority = "low", sentiment = "neutral" }) {
   const FAST = Number(process.env.SLA_FAST_MIN ?? 15);   // minutes
   const STD  = Number(process.env.SLA_STD_MIN  ?? 60);
   const SLOW = Number(process.env.SLA_SLOW_MIN ?? 180);
 
-  if (sentiment === "angry") return { level: "express",  targetMinutes: FAST };
-  if (priority === "high")   return { level: "express",  targetMinutes: FAST };
-  if (sentiment === "cool")  return { level: "batched",  targetMinutes: SLOW };
-  return { level: "standard", targetMinutes: STD };
+  const withResolution = (level, targetMinutes) => ({
+    level,
+    targetMinutes,
+    resolutionMinutes: RESOLUTION_HOURS[level]() * 60,
+  });
+
+  if (sentiment === "angry") return withResolution("express", FAST);
+  if (priority === "high")   return withResolution("express", FAST);
+  if (sentiment === "cool")  return withResolution("batched", SLOW);
+  return withResolution("standard", STD);
+}
+
+// Fresh SLA state for a case opened at `start`
+export function initialSla({ priority, sentiment }, start = new Date()) {
+  const { level, targetMinutes, resolutionMinutes } = computeSLA({ priority, sentiment });
+  return {
+    level,
+    firstResponseDueAt: new Date(start.getTime() + targetMinutes * MIN),
+    resolutionDueAt: new Date(start.getTime() + resolutionMinutes * MIN),
+    pausedAt: null,
+    pausedMs: 0,
+    firstResponseBreachedAt: null,
+    resolutionBreachedAt: null,
+    warnedAt: null,
+  };
+}
+
+/* ---------------------- Waiting-on-customer clock ---------------------- */
+// The resolution clock stops while the ball is in the customer's court and
+// the deadline moves out by however long it was stopped.
+export function pauseSla(sla, now = new Date()) {
+  if (!sla?.level || sla.pausedAt) return false;
+  sla.pausedAt = now;
+  return true;
 }
+
+export function resumeSla(sla, now = new Date()) {
+  if (!sla?.level || !sla.pausedAt) return false;
+  const paused = now.getTime() - new Date(sla.pausedAt).getTime();
+  sla.pausedMs = (sla.pausedMs || 0) + paused;
+  if (sla.resolutionDueAt && !sla.resolutionBreachedAt) {
+    sla.resolutionDueAt = new Date(new Date(sla.resolutionDueAt).getTime() + paused);
+  }
+  sla.pausedAt = null;
+  sla.warnedAt = null;
+  return true;
+}
+
+// A reopened case gets a full resolution window again
+export function restartResolutionClock(sla, now = new Date()) {
+  if (!sla?.level) return false;
+  sla.resolutionDueAt = new Date(now.getTime() + RESOLUTION_HOURS[sla.level]() * 60 * MIN);
+  sla.resolutionBreachedAt = null;
+  sla.pausedAt = null;
+  sla.warnedAt = null;
+  return true;
+}
+
+/* ------------------------------ Queries ------------------------------ */
+// Mongo filter for cases whose running clock is due before `until`; callers
+// add the status condition (see caseLifecycle.js)
+export function slaDueFilter(until) {
+  return {
+    $or: [
+      { firstAgentReplyAt: null, "sla.firstResponseDueAt": { $lte: until } },
+      { "sla.pausedAt": null, "sla.resolutionDueAt": { $lte: until } },
+    ],
+  };
+}
+
+export const slaAtRiskFilter = (now = new Date()) =>
+  slaDueFilter(new Date(now.getTime() + SLA_AT_RISK_MIN * MIN));
@@ -0,0 +1,145 @@
+// slaScheduler.js
+import crypto from "crypto";
+import { SLA_AT_RISK_MIN, initialSla } from "./sla.js";
+import { analyzeSentiment } from "./sentiment.js";
+import { domainRoom } from "./permissions.js";
+import { recordAudit } from "./audit.js";
+import { recordCaseEvent } from "./caseEvents.js";
+import { DONE_STATUSES } from "./caseLifecycle.js";
+
+const ACTIVE = { $nin: DONE_STATUSES };
+
+const TICK_MS = Number(process.env.SLA_TICK_SEC ?? 60) * 1000;
+const BATCH = 200;
+
+// The two clocks a case runs; `running` is the extra condition for the clock
+// to count (first response stops at the first agent reply, resolution while paused)
+const CLOCKS = {
+  first_response: {
+    due: "sla.firstResponseDueAt",
+    breached: "sla.firstResponseBreachedAt",
+    running: { firstAgentReplyAt: null },
+  },
+  resolution: {
+    due: "sla.resolutionDueAt",
+    breached: "sla.resolutionBreachedAt",
+    running: { "sla.pausedAt": null },
+  },
+};
+
+const slaPayload = (c, kind, dueAt) => ({
+  caseId: c._id,
+  ticketNumber: c.ticketNumber,
+  domain: c.domain,
+  assignee: c.assignee,
+  kind,
+  dueAt,
+  priority: c.priority,
+  timestamp: Date.now(),
+});
+
+// Marks, escalates and announces every newly breached clock
+async function sweepBreaches(Case, io, kind, now) {
+  const clock = CLOCKS[kind];
+  const candidates = await Case.find({
+    status: ACTIVE,
+    ...clock.running,
+    [clock.due]: { $lte: now },
+    [clock.breached]: null,
+  })
+    .select("_id")
+    .limit(BATCH)
+    .lean();
+
+  for (const { _id } of candidates) {
+    // Conditional write so a case is only ever escalated once per clock;
+    // returns the case as it was, for the priority change in the timeline
+    const before = await Case.findOneAndUpdate(
+      { _id, [clock.breached]: null },
+      { $set: { [clock.breached]: now, priority: "high" } },
+      { new: false }
+    ).lean();
+    if (!before) continue;
+    const c = { ...before, priority: "high" };
+
+    const dueAt = kind === "first_response" ? c.sla.firstResponseDueAt : c.sla.resolutionDueAt;
+    io.to(domainRoom(c.domain)).emit("case:sla_breach", slaPayload(c, kind, dueAt));
+    await recordAudit({
+      action: "case.sla_breach",
+      targetUserId: c.assignee,
+      details: { caseId: String(c._id), ticketNumber: c.ticketNumber, kind, dueAt },
+    });
+    await recordCaseEvent(io, c, { type: "sla.breach", data: { kind, dueAt }, at: now });
+    if (before.priority !== "high") {
+      await recordCaseEvent(io, c, {
+        type: "case.priority",
+        data: { from: before.priority, to: "high", reason: "sla_breach" },
+        at: now,
+      });
+    }
+  }
+}
+
+// One heads-up per case as a running clock enters the at-risk window
+async function sweepWarnings(Case, io, now) {
+  const soon = new Date(now.getTime() + SLA_AT_RISK_MIN * 60 * 1000);
+  for (const [kind, clock] of Object.entries(CLOCKS)) {
+    const filter = {
+      status: ACTIVE,
+      ...clock.running,
+      [clock.due]: { $gt: now, $lte: soon },
+      "sla.warnedAt": null,
+    };
+    const candidates = await Case.find(filter).select("_id").limit(BATCH).lean();
+    for (const { _id } of candidates) {
+      const c = await Case.findOneAndUpdate(
+        { ...filter, _id },
+        { $set: { "sla.warnedAt": now } },
+        { new: true }
+      ).lean();
+      if (!c) continue;
+      const dueAt = kind === "first_response" ? c.sla.firstResponseDueAt : c.sla.resolutionDueAt;
+      io.to(domainRoom(c.domain)).emit("case:sla_warning", slaPayload(c, kind, dueAt));
+    }
+  }
+}
+
+export async function runSlaSweep({ Case, io, redis, now = new Date() }) {
+  // Only one instance sweeps per tick
+  const lock = await redis.set("sla-scheduler:lock", crypto.randomUUID(), {
+    NX: true,
+    PX: Math.max(TICK_MS - 1000, 1000),
+  });
+  if (!lock) return;
+
+  await sweepBreaches(Case, io, "first_response", now);
+  await sweepBreaches(Case, io, "resolution", now);
+  await sweepWarnings(Case, io, now);
+}
+
+export function startSlaScheduler({ Case, io, getRedis }) {
+  const tick = () =>
+    runSlaSweep({ Case, io, redis: getRedis() }).catch((err) =>
+      console.error("SLA sweep error:", err?.message || err)
+    );
+  tick();
+  return setInterval(tick, TICK_MS);
+}
+
+/* ------------------------------ Migration ------------------------------ */
+// Active cases from before SLA tracking get clocks starting now rather
+// than at createdAt, so deploying this doesn't escalate the whole backlog.
+export async function backfillSla(Case) {
+  const cursor = Case.find({ status: ACTIVE, "sla.level": { $exists: false } })
+    .select("priority description")
+    .lean()
+    .cursor();
+  let count = 0;
+  const now = new Date();
+  for await (const c of cursor) {
+    const sla = initialSla({ priority: c.priority, sentiment: analyzeSentiment(c.description).label }, now);
+    await Case.updateOne({ _id: c._id }, { $set: { sla } });
+    count++;
+  }
+  if (count) console.log(`Started SLA clocks on ${count} existing cases`);
+}
@@ -0,0 +1,154 @@
+// storage.js
+// A storage driver is anything with `name` and
+//   async put(key, buffer, { contentType })
+//   async get(key)     -> readable stream, or null if the object is gone
+//   async remove(key)
+// STORAGE_DRIVER=s3 uses S3_* settings (AWS or any S3-compatible service),
+// =local writes under a local directory. Unset means local, except in
+// production: a host's disk may not outlive a deploy.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+
+export function createLocalStorage({ dir = process.env.STORAGE_DIR || "./uploads" } = {}) {
+  const root = path.resolve(dir);
+  // Keys are generated by us, but never let one climb out of the root
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: "local",
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+/* ------------------------------ S3 (SigV4) ------------------------------ */
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// AWS Signature Version 4 for one S3 request. `headers` must not include
+// Authorization; returns it along with the x-amz-* headers that were signed.
+export function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const query = [...url.searchParams]
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .sort()
+    .join("&");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    names.map((n) => `${n}:${signed[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+}
+
+export function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+  // MinIO and most self-hosted services want /bucket/key instead of bucket.host/key
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const base = new URL(endpoint);
+  const objectUrl = (key) => {
+    const encoded = key.split("/").map(encodeURIComponent).join("/");
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${encoded}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encoded}`);
+  };
+
+  const request = (method, key, { body, headers = {}, responseType } = {}) => {
+    const url = objectUrl(key);
+    const payloadHash = sha256(body || "");
+    const auth = signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey });
+    return axios.request({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: { ...headers, ...auth },
+      responseType,
+      maxBodyLength: Infinity,
+      validateStatus: (s) => (s >= 200 && s < 300) || s === 404,
+    });
+  };
+
+  return {
+    name: "s3",
+    async put(key, buffer, { contentType = "application/octet-stream" } = {}) {
+      const res = await request("PUT", key, { body: buffer, headers: { "content-type": contentType } });
+      if (res.status === 404) throw new Error(`S3 bucket not found: ${bucket}`);
+    },
+    async get(key) {
+      const res = await request("GET", key, { responseType: "stream" });
+      if (res.status === 404) {
+        res.data.resume(); // drain the error body
+        return null;
+      }
+      return res.data;
+    },
+    async remove(key) {
+      await request("DELETE", key);
+    },
+  };
+}
+
+let storage;
+// Throws when none is configured; the server calls it at startup
+export function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === "production" ? "" : "local");
+    if (name === "s3") storage = createS3Storage();
+    else if (name === "local") storage = createLocalStorage();
+    else throw new Error(name ? `Unknown STORAGE_DRIVER: ${name}` : "STORAGE_DRIVER must be set in production (s3 or local)");
+  }
+  return storage;
+}
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { transitionCase } from "../caseLifecycle.js";
+import { initialSla } from "../sla.js";
+import {
+  AUTO_CLOSE_DEFAULTS,
+  AutoCloseRuleError,
+  parseAutoCloseRules,
+  rulesFor,
+  waitingOnCustomerFilter,
+} from "../autoClose.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date("2026-01-01T09:00:00Z");
+const at = (hours) => new Date(T0.getTime() + hours * HOUR);
+
+const openCase = () => ({ status: "open", sla: initialSla({ priority: "low" }, T0), statusHistory: [] });
+
+// What Mongo would do with { pendingSince: { $lte } } on the case
+const isDue = (csCase, hours, now) =>
+  csCase.status === "pending-customer" && csCase.pendingSince <= waitingOnCustomerFilter("d", hours, now).pendingSince.$lte;
+
+test("the wait starts when the case reaches pending-customer", () => {
+  const c = openCase();
+  transitionCase(c, "pending-customer", { at: at(0) });
+  assert.deepEqual(c.pendingSince, at(0));
+  assert.equal(isDue(c, 48, at(47)), false);
+  assert.equal(isDue(c, 48, at(48)), true);
+});
+
+test("time spent on-hold doesn't count towards the wait", () => {
+  const c = openCase();
+  transitionCase(c, "on-hold", { at: at(0) });
+  transitionCase(c, "pending-customer", { at: at(7 * 24) });
+  // The SLA clock stays paused from on-hold; the auto-close wait starts fresh
+  assert.deepEqual(c.sla.pausedAt, at(0));
+  assert.deepEqual(c.pendingSince, at(7 * 24));
+  assert.equal(isDue(c, 48, at(7 * 24 + 1)), false);
+  assert.equal(isDue(c, 168, at(7 * 24 + 1)), false);
+  assert.equal(isDue(c, 48, at(9 * 24)), true);
+});
+
+test("leaving pending-customer clears the wait", () => {
+  const c = openCase();
+  transitionCase(c, "pending-customer", { at: at(0) });
+  transitionCase(c, "open", { at: at(1) });
+  assert.equal(c.pendingSince, null);
+});
+
+test("missing default steps fall back to the built-in hours", () => {
+  assert.deepEqual(parseAutoCloseRules({ default: { pendingReminderHours: "12", botIdleCloseHours: 0 } }), {
+    default: { pendingReminderHours: 12, pendingResolveHours: AUTO_CLOSE_DEFAULTS.pendingResolveHours, botIdleCloseHours: 0 },
+    domains: {},
+  });
+  assert.deepEqual(parseAutoCloseRules(), { default: AUTO_CLOSE_DEFAULTS, domains: {} });
+});
+
+test("domains keep only the steps they override", () => {
+  const rules = parseAutoCloseRules({
+    default: {},
+    domains: { Travel: { pendingResolveHours: 72, botIdleCloseHours: "" }, "E-commerce": {} },
+  });
+  assert.deepEqual(rules.domains, { Travel: { pendingResolveHours: 72 } });
+});
+
+test("bad hours and unknown domains are refused", () => {
+  for (const input of [
+    { default: { pendingReminderHours: -1 } },
+    { default: { pendingReminderHours: 1.5 } },
+    { default: { pendingResolveHours: 24 * 90 + 1 } },
+    { default: { botIdleCloseHours: "soon" } },
+    { domains: { Mars: { pendingReminderHours: 1 } } },
+  ]) {
+    assert.throws(() => parseAutoCloseRules(input), AutoCloseRuleError, JSON.stringify(input));
+  }
+});
+
+test("a domain's rule layers its overrides on the default", () => {
+  const rules = parseAutoCloseRules({ default: { pendingReminderHours: 24 }, domains: { Travel: { pendingReminderHours: 0 } } });
+  assert.deepEqual(rulesFor(rules, "Travel"), { ...AUTO_CLOSE_DEFAULTS, pendingReminderHours: 0 });
+  assert.deepEqual(rulesFor(rules, "Banking Services"), { ...AUTO_CLOSE_DEFAULTS, pendingReminderHours: 24 });
+  // nothing saved yet
+  assert.deepEqual(rulesFor(undefined, "Travel"), AUTO_CLOSE_DEFAULTS);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyTagChanges, coerceFieldValue, customFieldFilter, MAX_TAGS_PER_CASE } from "../caseFields.js";
+
+test("tag changes report only what actually changed", () => {
+  const c = { tags: ["refund", "late"] };
+  assert.deepEqual(applyTagChanges(c, { add: ["late", "vip"], remove: ["refund", "missing"] }), {
+    added: ["vip"],
+    removed: ["refund"],
+  });
+  assert.deepEqual(c.tags, ["late", "vip"]);
+});
+
+test("a tag both added and removed is kept", () => {
+  const c = { tags: ["late"] };
+  assert.deepEqual(applyTagChanges(c, { add: ["late"], remove: ["late"] }), { added: [], removed: [] });
+  assert.deepEqual(c.tags, ["late"]);
+});
+
+test("tags past the per-case limit are refused without touching the case", () => {
+  const tags = Array.from({ length: MAX_TAGS_PER_CASE }, (_, i) => `t${i}`);
+  const c = { tags: [...tags] };
+  assert.ok(applyTagChanges(c, { add: ["one-more"] }).error);
+  assert.deepEqual(c.tags, tags);
+});
+
+test("field values are coerced to the definition's type", () => {
+  assert.deepEqual(coerceFieldValue({ type: "text", label: "Ref" }, "  AB12 "), { value: "AB12" });
+  assert.deepEqual(coerceFieldValue({ type: "number", label: "Bags" }, "3"), { value: 3 });
+  assert.ok(coerceFieldValue({ type: "number", label: "Bags" }, "three").error);
+  assert.deepEqual(coerceFieldValue({ type: "enum", label: "Plan", options: ["basic", "pro"] }, "pro"), { value: "pro" });
+  assert.ok(coerceFieldValue({ type: "enum", label: "Plan", options: ["basic", "pro"] }, "Pro").error);
+  assert.ok(coerceFieldValue({ type: "date", label: "Flight" }, "not a date").error);
+  assert.deepEqual(coerceFieldValue({ type: "text", label: "Ref" }, ""), { value: null });
+});
+
+test("text filters are escaped, case-insensitive substrings", () => {
+  const defs = [{ domain: "Travel", key: "ref", type: "text" }];
+  assert.deepEqual(customFieldFilter(defs, "ref", "a.b*").filter, {
+    domain: "Travel",
+    "customFields.ref": { $regex: "a\\.b\\*", $options: "i" },
+  });
+});
+
+test("date filters cover the whole UTC day", () => {
+  const defs = [{ domain: "Travel", key: "flight", type: "date" }];
+  assert.deepEqual(customFieldFilter(defs, "flight", "2026-03-04T15:30:00Z").filter, {
+    domain: "Travel",
+    "customFields.flight": { $gte: new Date("2026-03-04T00:00:00Z"), $lt: new Date("2026-03-05T00:00:00Z") },
+  });
+});
+
+test("a key shared across domains matches only where the value fits", () => {
+  const defs = [
+    { domain: "Travel", key: "count", type: "number" },
+    { domain: "Banking Services", key: "count", type: "enum", options: ["few", "many"] },
+  ];
+  assert.deepEqual(customFieldFilter(defs, "count", "many").filter, { domain: "Banking Services", "customFields.count": "many" });
+  assert.deepEqual(customFieldFilter(defs, "count", "2").filter, { domain: "Travel", "customFields.count": 2 });
+  assert.ok(customFieldFilter([defs[0]], "count", "many").error);
+  assert.ok(customFieldFilter(defs, "other", "1").error);
+});
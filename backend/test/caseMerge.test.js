@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeCaseDocuments, MergeError } from "../caseMerge.js";
+
+const t = (min) => new Date(Date.UTC(2026, 0, 1, 9, min));
+
+const makeCase = (id, fields = {}) => ({
+  _id: id,
+  userId: "u1",
+  ticketNumber: `EC-${id}`,
+  status: "open",
+  sla: {},
+  statusHistory: [],
+  responses: [],
+  tags: [],
+  mergedFrom: [],
+  relatedCases: [],
+  possibleDuplicates: [],
+  firstAgentReplyAt: null,
+  lastAgentReplyAt: null,
+  ...fields,
+});
+
+test("replies, reply times and tags fold into the target", () => {
+  const target = makeCase("2", {
+    responses: [{ message: "b", timestamp: t(10) }],
+    firstAgentReplyAt: t(10),
+    lastAgentReplyAt: t(10),
+    tags: ["late"],
+    relatedCases: ["1", "3"],
+    possibleDuplicates: [{ caseId: "1", score: 0.9 }],
+  });
+  const source = makeCase("1", {
+    responses: [
+      { message: "a", timestamp: t(5) },
+      { message: "c", timestamp: t(20) },
+    ],
+    firstAgentReplyAt: t(5),
+    lastAgentReplyAt: t(20),
+    tags: ["late", "refund"],
+  });
+
+  mergeCaseDocuments(source, target, { by: "agent", at: t(30) });
+
+  assert.deepEqual(target.responses.map((r) => r.message), ["a", "b", "c"]);
+  assert.deepEqual(target.firstAgentReplyAt, t(5));
+  assert.deepEqual(target.lastAgentReplyAt, t(20));
+  assert.deepEqual(target.tags, ["late", "refund"]);
+  assert.deepEqual(target.mergedFrom, ["1"]);
+  assert.deepEqual(target.relatedCases, ["3"]);
+  assert.deepEqual(target.possibleDuplicates, []);
+});
+
+test("the source is emptied, closed and points at the target", () => {
+  const target = makeCase("2");
+  const source = makeCase("1", { responses: [{ message: "a", timestamp: t(5) }] });
+
+  const change = mergeCaseDocuments(source, target, { by: "agent", at: t(30) });
+
+  assert.deepEqual(source.responses, []);
+  assert.equal(source.mergedInto, "2");
+  assert.equal(source.status, "closed");
+  assert.equal(change.from, "open");
+  assert.equal(change.to, "closed");
+  assert.equal(change.reason, "Merged into EC-2");
+});
+
+test("refuses merges that would lose or cross cases", () => {
+  const a = makeCase("1");
+  assert.throws(() => mergeCaseDocuments(a, a), MergeError);
+  assert.throws(() => mergeCaseDocuments(makeCase("1"), makeCase("2", { userId: "u2" })), MergeError);
+  assert.throws(() => mergeCaseDocuments(makeCase("1", { mergedInto: "9" }), makeCase("2")), MergeError);
+  assert.throws(() => mergeCaseDocuments(makeCase("1"), makeCase("2", { status: "closed" })), MergeError);
+});
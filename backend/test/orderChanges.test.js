@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError } from "../httpError.js";
+import { lineSnapshot, orderTotal, parseProposal, totalAfter } from "../orderChanges.js";
+
+const order = {
+  totalAmount: 999, // stale on purpose: totals are always recalculated
+  products: [
+    { name: "Mug", price: 4.1, quantity: 3 },
+    { name: "Lamp", price: 19.99, quantity: 1 },
+  ],
+};
+
+test("order totals are summed from the lines and rounded to cents", () => {
+  assert.equal(orderTotal(order.products), 32.29);
+  assert.equal(orderTotal([{ price: 0.1, quantity: 3 }]), 0.3);
+  assert.equal(orderTotal([]), 0);
+});
+
+test("the total after a change only swaps the one line", () => {
+  assert.equal(totalAfter(order, 0, { quantity: 1 }), 24.09);
+  assert.equal(totalAfter(order, 1, { price: 15.5 }), 27.8);
+  assert.equal(totalAfter(order, 1, { name: "Desk lamp", price: 0, quantity: 2 }), 12.3);
+  // the order itself is left alone
+  assert.equal(order.products[0].quantity, 3);
+});
+
+test("proposals change only what their kind allows", () => {
+  const line = lineSnapshot(order, 0);
+  assert.deepEqual(parseProposal({ kind: "quantity", quantity: "2", price: 1 }, line), { name: "Mug", price: 4.1, quantity: 2 });
+  assert.deepEqual(parseProposal({ kind: "price", price: "3.456" }, line), { name: "Mug", price: 3.46, quantity: 3 });
+  assert.deepEqual(parseProposal({ kind: "replacement", name: " Cup ", quantity: "" }, line), {
+    name: "Cup",
+    price: 4.1,
+    quantity: 3,
+  });
+});
+
+test("bad or no-op proposals are refused", () => {
+  const line = lineSnapshot(order, 0);
+  for (const input of [
+    { kind: "colour" },
+    { kind: "quantity", quantity: 0 },
+    { kind: "quantity", quantity: 1.5 },
+    { kind: "price", price: -1 },
+    { kind: "replacement", name: "  " },
+    { kind: "quantity", quantity: 3 },
+  ]) {
+    assert.throws(() => parseProposal(input, line), HttpError, JSON.stringify(input));
+  }
+});
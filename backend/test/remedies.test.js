@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readOfferAnswer } from "../remedies.js";
+
+test("short confirmations accept the offer", () => {
+  for (const reply of ["yes", "Yes please", "ok, go ahead!", "sure", "y", "please do", "Yeah thanks.", "sounds good"]) {
+    assert.equal(readOfferAnswer(reply), "accept", reply);
+  }
+});
+
+test("short refusals decline it", () => {
+  for (const reply of ["no", "No thanks", "nope.", "Don’t", "not now", "never mind"]) {
+    assert.equal(readOfferAnswer(reply), "decline", reply);
+  }
+});
+
+test("anything longer falls through to the normal pipeline", () => {
+  for (const reply of [
+    "please tell me when it arrives",
+    "ok but what about shipping?",
+    "sure, but can I get a different colour",
+    "yesterday it broke",
+    "no idea, what do you suggest?",
+    "",
+  ]) {
+    assert.equal(readOfferAnswer(reply), null, reply);
+  }
+});
@@ -0,0 +1,59 @@
+// RFC 6238 appendix B vectors (SHA-1), last 6 of the 8 published digits
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { base32Encode, generateTotp, verifyTotp, timeStep } from "../totp.js";
+
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+test("base32 secret matches the RFC key", () => {
+  assert.equal(SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+});
+
+test("generates the RFC 6238 codes", () => {
+  for (const [sec, code] of VECTORS) assert.equal(generateTotp(SECRET, sec * 1000), code, `T=${sec}`);
+});
+
+test("verifies the RFC codes at a fixed clock and returns the step", () => {
+  for (const [sec, code] of VECTORS) {
+    assert.equal(verifyTotp(SECRET, code, { now: sec * 1000 }), timeStep(sec * 1000), `T=${sec}`);
+  }
+});
+
+test("accepts one step of drift either side, not two", () => {
+  const now = 1111111111 * 1000;
+  const step = timeStep(now);
+  const at = (s) => generateTotp(SECRET, s * 30 * 1000);
+  assert.equal(verifyTotp(SECRET, at(step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(SECRET, at(step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(SECRET, at(step - 2), { now }), null);
+  assert.equal(verifyTotp(SECRET, at(step + 2), { now }), null);
+  assert.equal(verifyTotp(SECRET, at(step - 2), { now, window: 2 }), step - 2);
+  assert.equal(verifyTotp(SECRET, at(step), { now, window: 0 }), step);
+  assert.equal(verifyTotp(SECRET, at(step - 1), { now, window: 0 }), null);
+});
+
+test("rejects a code from a step at or before afterStep (replay)", () => {
+  const now = 1234567890 * 1000;
+  const step = timeStep(now);
+  const code = generateTotp(SECRET, now);
+  assert.equal(verifyTotp(SECRET, code, { now, afterStep: step - 1 }), step);
+  assert.equal(verifyTotp(SECRET, code, { now, afterStep: step }), null);
+  // the next step's code is still fine after this one was used
+  assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now + 30 * 1000), { now, afterStep: step }), step + 1);
+});
+
+test("rejects malformed input", () => {
+  const now = 59 * 1000;
+  assert.equal(verifyTotp(SECRET, "28708", { now }), null);
+  assert.equal(verifyTotp(SECRET, "abcdef", { now }), null);
+  assert.equal(verifyTotp("", "287082", { now }), null);
+  assert.equal(verifyTotp(SECRET, "287 082", { now }), timeStep(now));
+});
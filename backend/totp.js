@@ -0,0 +1,125 @@
+// totp.js  (RFC 6238, SHA-1 / 6 digits / 30s — what authenticator apps expect)
+import crypto from "crypto";
+
+const STEP_SEC = 30;
+const DIGITS = 6;
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buf) {
+  let bits = 0,
+    value = 0,
+    out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str = "") {
+  const clean = str.toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0,
+    value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+export const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SEC);
+
+// HOTP (RFC 4226) for one counter value
+export function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+export function generateTotp(secret, now = Date.now()) {
+  return hotp(secret, timeStep(now));
+}
+
+// Returns the matched time step (for replay checks) or null. `window` allows
+// that many steps of clock drift either side.
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const token = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(token) || !secret) return null;
+  const current = timeStep(now);
+  for (let i = -window; i <= window; i++) {
+    const step = current + i;
+    if (step <= afterStep) continue; // already used
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+  }
+  return null;
+}
+
+export function buildOtpauthUri({ secret, account, issuer = process.env.TOTP_ISSUER || "Support Desk" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SEC),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* ----------------------------- Recovery codes ----------------------------- */
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Plain codes are shown once; only hashes are stored
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/* ------------------------- Secret encryption at rest ------------------------- */
+const encKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64")).join(".");
+}
+
+export function decryptSecret(payload) {
+  if (!payload) return null;
+  const [iv, tag, enc] = payload.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
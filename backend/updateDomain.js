@@ -51,7 +51,7 @@ const caseSchema = new mongoose.Schema({
     required: true 
   },
   priority: { type: String, default: "low", enum: ["high", "low"] },
-  status: { type: String, default: "open", enum: ["open", "in-progress", "resolved"] },
+  status: { type: String, default: "new", enum: ["new", "open", "pending-customer", "on-hold", "escalated", "resolved", "closed", "reopened"] },
   productChanges: {
     name: String,
     price: Number,
@@ -67,7 +67,7 @@ const caseSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
-caseSchema.index({ userId: 1, orderId: 1, productIndex: 1 }, { unique: true });
+caseSchema.index({ userId: 1, orderId: 1, productIndex: 1, createdAt: -1 });
 const Case = mongoose.model("Case", caseSchema);
 
 async function updateExistingDomains() {
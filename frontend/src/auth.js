@@ -0,0 +1,80 @@
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000";
+
+export function saveTokens({ token, refreshToken }) {
+  if (token) localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+}
+
+export function clearTokens() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+}
+
+// Share one in-flight refresh between concurrent 401s (rotation is single-use).
+// Other tabs share localStorage; if one of them wins the race the server
+// sends no refreshToken and the one that tab stored is kept.
+let refreshPromise = null;
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error("No refresh token"))
+    )
+      .then((res) => {
+        saveTokens(res.data);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+const isAuthCall = (url = "") =>
+  ["/api/login", "/api/signup", "/api/auth/refresh"].some((p) => url.includes(p));
+
+export function setupAuthInterceptors() {
+  // Pages capture the token at mount; always send the latest one instead
+  axios.interceptors.request.use((config) => {
+    const current = localStorage.getItem("token");
+    if (current && config.headers?.Authorization?.startsWith("Bearer ")) {
+      config.headers.Authorization = `Bearer ${current}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (res) => res,
+    async (error) => {
+      const original = error.config;
+      // Policy now demands a second factor this session never passed
+      if (error.response?.status === 403 && error.response.data?.code === "MFA_REQUIRED") {
+        clearTokens();
+        window.location.href = "/";
+        return Promise.reject(error);
+      }
+      if (
+        error.response?.status !== 401 ||
+        !original ||
+        original._retried ||
+        isAuthCall(original.url)
+      ) {
+        return Promise.reject(error);
+      }
+      original._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return axios(original);
+      } catch {
+        clearTokens();
+        window.location.href = "/";
+        return Promise.reject(error);
+      }
+    }
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import "../styles/Attachments.css";
+
+const API_BASE = "http://localhost:5000";
+
+// Mirrors backend/attachments.js; the server re-checks by content
+const ACCEPT = "image/jpeg,image/png,image/gif,image/webp,application/pdf";
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 5;
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem("token")}` });
+
+const formatSize = (bytes = 0) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Downloads need the bearer token, so files come in as blobs and are shown
+// through object URLs
+function AttachmentItem({ attachment }) {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const isImage = attachment.mimeType?.startsWith("image/");
+
+  useEffect(() => {
+    if (!isImage) return;
+    let objectUrl = null;
+    let cancelled = false;
+    axios
+      .get(`${API_BASE}/api/attachments/${attachment._id}`, { headers: authHeaders(), responseType: "blob" })
+      .then(({ data }) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(data);
+        setUrl(objectUrl);
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment._id, isImage]);
+
+  const open = async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/attachments/${attachment._id}`, {
+        headers: authHeaders(),
+        responseType: "blob",
+      });
+      const objectUrl = URL.createObjectURL(data);
+      window.open(objectUrl, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60 * 1000);
+    } catch {
+      setFailed(true);
+    }
+  };
+
+  if (failed) return <span className="attachment-file unavailable">{attachment.name} (unavailable)</span>;
+  if (isImage && url) {
+    return (
+      <button type="button" className="attachment-thumb" onClick={() => window.open(url, "_blank", "noopener")}>
+        <img src={url} alt={attachment.name} />
+      </button>
+    );
+  }
+  return (
+    <button type="button" className="attachment-file" onClick={open}>
+      📎 {attachment.name} <span className="attachment-size">{formatSize(attachment.size)}</span>
+    </button>
+  );
+}
+
+export default function AttachmentList({ attachments = [] }) {
+  if (!attachments.length) return null;
+  return (
+    <div className="attachment-list">
+      {attachments.map((a) => (
+        <AttachmentItem key={a._id} attachment={a} />
+      ))}
+    </div>
+  );
+}
+
+// Paperclip button plus chips for files uploaded but not sent yet. Files go
+// up as soon as they're picked; `onChange` gets the uploaded summaries.
+export function AttachmentPicker({ attachments, onChange, disabled }) {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+
+  const upload = async (files) => {
+    setError("");
+    const room = MAX_FILES - attachments.length;
+    if (files.length > room) {
+      setError(`You can attach up to ${MAX_FILES} files per message`);
+      files = files.slice(0, Math.max(room, 0));
+    }
+    const tooBig = files.find((f) => f.size > MAX_BYTES);
+    if (tooBig) return setError(`${tooBig.name} is larger than ${formatSize(MAX_BYTES)}`);
+
+    setUploading(true);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const { data } = await axios.post(`${API_BASE}/api/attachments`, file, {
+          headers: {
+            ...authHeaders(),
+            "Content-Type": file.type || "application/octet-stream",
+            "X-File-Name": encodeURIComponent(file.name),
+          },
+        });
+        uploaded.push(data.attachment);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Upload failed");
+    } finally {
+      setUploading(false);
+      if (uploaded.length) onChange([...attachments, ...uploaded]);
+    }
+  };
+
+  return (
+    <div className="attachment-picker">
+      <button
+        type="button"
+        className="attachment-button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || uploading || attachments.length >= MAX_FILES}
+        title="Attach a photo or PDF"
+      >
+        {uploading ? "…" : "📎"}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPT}
+        multiple
+        hidden
+        onChange={(e) => {
+          upload([...e.target.files]);
+          e.target.value = "";
+        }}
+      />
+      {attachments.map((a) => (
+        <span key={a._id} className="attachment-chip">
+          {a.name}
+          <button type="button" onClick={() => onChange(attachments.filter((x) => x._id !== a._id))} title="Remove">
+            &times;
+          </button>
+        </span>
+      ))}
+      {error && <span className="attachment-error">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000";
+
+const COLUMNS = [
+  ["pendingReminderHours", "Remind after (h)", "Waiting on the customer: one reminder in the chat"],
+  ["pendingResolveHours", "Resolve after (h)", "Waiting on the customer: mark resolved"],
+  ["botIdleCloseHours", "Close bot chats after (h)", "Bot-only chats that were never escalated"],
+];
+
+// Admin-only: hours before the server reminds, resolves or closes quiet
+// cases. Domains inherit the default row; 0 turns a step off.
+export default function AutoCloseRules({ domains }) {
+  const [base, setBase] = useState({});
+  const [overrides, setOverrides] = useState({});
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  const apply = (data) => {
+    setBase(data.default || {});
+    setOverrides(data.domains || {});
+  };
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/admin/settings/auto-close`, authHeaders());
+      apply(data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load auto-close rules");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const setBaseValue = (key, value) => setBase((prev) => ({ ...prev, [key]: value }));
+  const setOverride = (domain, key, value) =>
+    setOverrides((prev) => ({ ...prev, [domain]: { ...prev[domain], [key]: value } }));
+
+  const save = async () => {
+    setError("");
+    setSaved(false);
+    try {
+      const { data } = await axios.put(
+        `${API_BASE}/api/admin/settings/auto-close`,
+        { default: base, domains: overrides },
+        authHeaders()
+      );
+      apply(data);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save auto-close rules");
+    }
+  };
+
+  const hoursInput = (value, onChange, placeholder) => (
+    <input
+      type="number"
+      min="0"
+      max="2160"
+      className="hours-input"
+      value={value ?? ""}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+
+  return (
+    <>
+      <h3 className="team-heading">Automatic Case Closing</h3>
+      {error && <p className="case-fields-error">{error}</p>}
+      <table className="team-table">
+        <thead>
+          <tr>
+            <th></th>
+            {COLUMNS.map(([key, label, hint]) => (
+              <th key={key} title={hint}>
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>
+              <strong>Default</strong>
+            </td>
+            {COLUMNS.map(([key]) => (
+              <td key={key}>{hoursInput(base[key], (v) => setBaseValue(key, v))}</td>
+            ))}
+          </tr>
+          {domains.map((d) => (
+            <tr key={d}>
+              <td>{d}</td>
+              {COLUMNS.map(([key]) => (
+                <td key={key}>
+                  {hoursInput(overrides[d]?.[key], (v) => setOverride(d, key, v), String(base[key] ?? ""))}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="team-email">Leave a domain's box empty to use the default; 0 turns a step off.</p>
+      <button className="response-button" onClick={save}>
+        Save
+      </button>
+      {saved && <span className="team-email"> Saved</span>}
+    </>
+  );
+}
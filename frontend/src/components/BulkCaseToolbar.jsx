@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import "../styles/BulkActions.css";
+
+const API_BASE = "http://localhost:5000";
+
+// Ask before touching more cases than this at once
+const CONFIRM_ABOVE = 10;
+// Statuses that need a reason; mirrors backend/caseLifecycle.js
+const REASON_REQUIRED = ["on-hold", "escalated", "reopened"];
+
+const ACTIONS = [
+  ["status", "Change status"],
+  ["assign", "Assign"],
+  ["tag", "Tags"],
+  ["priority", "Priority"],
+  ["reply", "Send reply"],
+];
+
+const splitTags = (text) => text.split(",").map((t) => t.trim()).filter(Boolean);
+
+// Toolbar for the selected cases in the inbox. Runs one action across all of
+// them and lists the ones that failed. `canAssignOthers`: supervisors and up.
+export default function BulkCaseToolbar({ selected, statusLabels, canAssignOthers, onClear, onDone }) {
+  const [action, setAction] = useState("status");
+  const [form, setForm] = useState({ status: "", reason: "", assigneeId: "me", tags: "", tagMode: "add", priority: "high", message: "" });
+  const [assignees, setAssignees] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState("");
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  // Staff covering the first selected case; the server re-checks every case
+  const firstId = selected[0]?._id;
+  useEffect(() => {
+    if (!canAssignOthers || !firstId) return;
+    axios
+      .get(`${API_BASE}/api/case/${firstId}/assignees`, authHeaders())
+      .then(({ data }) => setAssignees(data.users || []))
+      .catch((err) => console.warn("Failed to load assignees:", err.response?.data || err.message));
+  }, [canAssignOthers, firstId]);
+
+  const params = () => {
+    switch (action) {
+      case "status":
+        return { status: form.status, reason: form.reason.trim() };
+      case "assign":
+        return { assigneeId: form.assigneeId === "none" ? null : form.assigneeId };
+      case "tag":
+        return { [form.tagMode]: splitTags(form.tags) };
+      case "priority":
+        return { priority: form.priority };
+      default:
+        return { message: form.message };
+    }
+  };
+
+  const run = async (e) => {
+    e.preventDefault();
+    setError("");
+    setOutcome(null);
+    if (action === "status" && REASON_REQUIRED.includes(form.status) && !form.reason.trim()) {
+      return setError("A reason is required for this status");
+    }
+    if (
+      selected.length > CONFIRM_ABOVE &&
+      !window.confirm(`Apply "${ACTIONS.find(([a]) => a === action)[1]}" to ${selected.length} cases?`)
+    ) {
+      return;
+    }
+
+    setRunning(true);
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/api/cases/bulk`,
+        { caseIds: selected.map((c) => c._id), action, params: params() },
+        authHeaders()
+      );
+      setOutcome(data);
+      if (action === "reply" && data.failed === 0) setForm((f) => ({ ...f, message: "" }));
+      onDone(data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Bulk action failed");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value }),
+  });
+
+  return (
+    <div className="bulk-toolbar">
+      <form className="bulk-form" onSubmit={run}>
+        <strong>{selected.length} selected</strong>
+        <select value={action} onChange={(e) => setAction(e.target.value)}>
+          {ACTIONS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {action === "status" && (
+          <>
+            <select {...field("status")} required>
+              <option value="">Choose status</option>
+              {Object.entries(statusLabels)
+                .filter(([value]) => value !== "new")
+                .map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+            </select>
+            <input {...field("reason")} placeholder="Reason" />
+          </>
+        )}
+
+        {action === "assign" && (
+          <select {...field("assigneeId")}>
+            <option value="me">Assign to me</option>
+            <option value="none">Unassign</option>
+            {canAssignOthers &&
+              assignees.map((u) => (
+                <option key={u._id} value={u._id}>
+                  {u.name} ({u.role})
+                </option>
+              ))}
+          </select>
+        )}
+
+        {action === "tag" && (
+          <>
+            <select {...field("tagMode")}>
+              <option value="add">Add</option>
+              <option value="remove">Remove</option>
+            </select>
+            <input {...field("tags")} list="inbox-tag-suggestions" placeholder="Tags (a, b)" required />
+          </>
+        )}
+
+        {action === "priority" && (
+          <select {...field("priority")}>
+            <option value="high">High</option>
+            <option value="low">Low</option>
+          </select>
+        )}
+
+        {action === "reply" && (
+          <textarea
+            className="response-textarea bulk-reply"
+            {...field("message")}
+            placeholder="Reply sent to every selected customer"
+            required
+          />
+        )}
+
+        <button type="submit" className="response-button" disabled={running}>
+          {running ? "Applying…" : "Apply"}
+        </button>
+        <button type="button" className="link-button" onClick={onClear} disabled={running}>
+          Clear selection
+        </button>
+      </form>
+
+      {error && <p className="bulk-error">{error}</p>}
+      {outcome && (
+        <div className="bulk-outcome">
+          <p>
+            {outcome.succeeded} succeeded{outcome.failed > 0 && `, ${outcome.failed} failed`}
+          </p>
+          {outcome.failed > 0 && (
+            <ul>
+              {outcome.results
+                .filter((r) => !r.ok)
+                .map((r) => (
+                  <li key={r.caseId}>
+                    <strong>{r.ticketNumber || String(r.caseId).slice(-6)}</strong>: {r.error}
+                  </li>
+                ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import "../styles/CaseFields.css";
+
+// <input> value for a stored field value
+const toInput = (field, value) => {
+  if (value === null || value === undefined) return "";
+  return field.type === "date" ? String(value).slice(0, 10) : String(value);
+};
+
+// Edits the case's custom field values; only changed fields are sent
+export default function CaseFieldsForm({ fields, values = {}, onSave }) {
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(fields.map((f) => [f.key, toInput(f, values[f.key])]))
+  );
+
+  if (fields.length === 0) return null;
+
+  const changed = Object.fromEntries(
+    fields.filter((f) => (draft[f.key] ?? "") !== toInput(f, values[f.key])).map((f) => [f.key, draft[f.key] ?? ""])
+  );
+
+  const setValue = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <form
+      className="case-fields-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave(changed);
+      }}
+    >
+      {fields.map((f) => (
+        <label key={f.key}>
+          <span>{f.label}</span>
+          {f.type === "enum" ? (
+            <select value={draft[f.key] ?? ""} onChange={(e) => setValue(f.key, e.target.value)}>
+              <option value="">—</option>
+              {f.options.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type={f.type === "number" ? "number" : f.type === "date" ? "date" : "text"}
+              value={draft[f.key] ?? ""}
+              onChange={(e) => setValue(f.key, e.target.value)}
+            />
+          )}
+        </label>
+      ))}
+      <button type="submit" className="claim-button" disabled={Object.keys(changed).length === 0}>
+        Save fields
+      </button>
+    </form>
+  );
+}
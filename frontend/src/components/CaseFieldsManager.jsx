@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import "../styles/CaseFields.css";
+
+const API_BASE = "http://localhost:5000";
+
+const TYPE_LABELS = { text: "Text", number: "Number", enum: "List", date: "Date" };
+const EMPTY_FORM = { domain: "", key: "", label: "", type: "text", options: "" };
+
+// Admin-only: custom case fields per domain. Key and type can't change once
+// created, since cases may already hold values for them.
+export default function CaseFieldsManager({ domains, onChange }) {
+  const [fields, setFields] = useState([]);
+  const [form, setForm] = useState({ ...EMPTY_FORM, domain: domains[0] || "" });
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  const fetchFields = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/case-fields`, authHeaders());
+      setFields(data.fields || []);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load case fields");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
+
+  const resetForm = () => {
+    setForm({ ...EMPTY_FORM, domain: domains[0] || "" });
+    setEditingId(null);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError("");
+    const payload = {
+      ...form,
+      options: form.options.split(",").map((o) => o.trim()).filter(Boolean),
+    };
+    try {
+      if (editingId) await axios.put(`${API_BASE}/api/admin/case-fields/${editingId}`, payload, authHeaders());
+      else await axios.post(`${API_BASE}/api/admin/case-fields`, payload, authHeaders());
+      resetForm();
+      fetchFields();
+      onChange?.();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save case field");
+    }
+  };
+
+  const remove = async (f) => {
+    if (!window.confirm(`Delete "${f.label}" and its values on every ${f.domain} case?`)) return;
+    setError("");
+    try {
+      await axios.delete(`${API_BASE}/api/admin/case-fields/${f._id}`, authHeaders());
+      if (editingId === f._id) resetForm();
+      fetchFields();
+      onChange?.();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete case field");
+    }
+  };
+
+  return (
+    <>
+      <h3 className="team-heading">Case Fields</h3>
+      {error && <p className="case-fields-error">{error}</p>}
+      <table className="team-table">
+        <tbody>
+          {fields.map((f) => (
+            <tr key={f._id}>
+              <td>
+                {f.label}
+                <div className="team-email">{f.key}</div>
+              </td>
+              <td>{f.domain}</td>
+              <td>
+                {TYPE_LABELS[f.type]}
+                {f.type === "enum" && <div className="team-email">{f.options.join(", ")}</div>}
+              </td>
+              <td>
+                <button
+                  className="link-button"
+                  onClick={() => {
+                    setEditingId(f._id);
+                    setForm({ domain: f.domain, key: f.key, label: f.label, type: f.type, options: f.options.join(", ") });
+                  }}
+                >
+                  Edit
+                </button>
+                <button className="link-button" onClick={() => remove(f)}>
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <form className="invite-form" onSubmit={save}>
+        <select
+          value={form.domain}
+          onChange={(e) => setForm({ ...form, domain: e.target.value })}
+          disabled={Boolean(editingId)}
+        >
+          {domains.map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+        <input
+          value={form.key}
+          onChange={(e) => setForm({ ...form, key: e.target.value })}
+          placeholder="key (e.g. carrier)"
+          disabled={Boolean(editingId)}
+        />
+        <input
+          value={form.label}
+          onChange={(e) => setForm({ ...form, label: e.target.value })}
+          placeholder="Label"
+        />
+        <select
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+          disabled={Boolean(editingId)}
+        >
+          {Object.entries(TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {form.type === "enum" && (
+          <input
+            value={form.options}
+            onChange={(e) => setForm({ ...form, options: e.target.value })}
+            placeholder="Options, comma separated"
+          />
+        )}
+        <button type="submit" className="response-button">
+          {editingId ? "Save Field" : "Add Field"}
+        </button>
+        {editingId && (
+          <button type="button" className="link-button" onClick={resetForm}>
+            Cancel
+          </button>
+        )}
+      </form>
+    </>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import "../styles/CaseFields.css";
+
+const ref = (c) => c?.ticketNumber || String(c?._id || "").slice(-6);
+
+// Duplicate flags, merge pointer and linked cases for the open case, plus a
+// ticket-number box to link or merge with any other case of the customer
+export default function CaseRelations({ csCase, onMerge, onLink, onUnlink, onDismiss, onOpen, onLookup }) {
+  const [ticket, setTicket] = useState("");
+  const [found, setFound] = useState(null);
+
+  const duplicates = (csCase.possibleDuplicates || []).filter((d) => d.caseId);
+  const related = csCase.relatedCases || [];
+
+  const lookup = async (e) => {
+    e.preventDefault();
+    setFound(null);
+    if (ticket.trim()) setFound(await onLookup(ticket.trim()));
+  };
+
+  if (csCase.mergedInto) {
+    return (
+      <div className="case-relations merged">
+        Merged into{" "}
+        <button className="link-button" onClick={() => onOpen(csCase.mergedInto)}>
+          {ref(csCase.mergedInto)}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="case-relations">
+      {duplicates.map((d) => (
+        <div key={d.caseId._id} className="duplicate-flag">
+          Possible duplicate of{" "}
+          <button className="link-button" onClick={() => onOpen(d.caseId)}>
+            {ref(d.caseId)}
+          </button>{" "}
+          ({Math.round(d.score * 100)}% similar)
+          <button className="claim-button" onClick={() => onMerge(d.caseId._id)}>
+            Merge into it
+          </button>
+          <button className="claim-button secondary" onClick={() => onDismiss(d.caseId._id)}>
+            Not a duplicate
+          </button>
+        </div>
+      ))}
+      {related.length > 0 && (
+        <div>
+          <strong>Related:</strong>{" "}
+          {related.map((r) => (
+            <span key={r._id} className="case-tag">
+              <button className="link-button" onClick={() => onOpen(r)}>
+                {ref(r)}
+              </button>
+              <button type="button" onClick={() => onUnlink(r._id)} title="Unlink">
+                &times;
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <form className="case-lookup" onSubmit={lookup}>
+        <input value={ticket} onChange={(e) => setTicket(e.target.value)} placeholder="Ticket no. to link or merge" />
+        <button type="submit" className="claim-button secondary">
+          Find
+        </button>
+        {found && found._id !== csCase._id && (
+          <>
+            <span className="team-email">
+              {ref(found)} · {found.description?.slice(0, 60)}
+            </span>
+            <button type="button" className="claim-button" onClick={() => onLink(found._id)}>
+              Link
+            </button>
+            <button type="button" className="claim-button secondary" onClick={() => onMerge(found._id)}>
+              Merge this case into it
+            </button>
+          </>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+import "../styles/CaseFields.css";
+
+// Tag chips with remove buttons and an input that suggests existing tags
+export default function CaseTagsEditor({ tags = [], suggestions = [], onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const add = () => {
+    const tag = draft.trim().replace(/\s+/g, " ").toLowerCase();
+    setDraft("");
+    if (tag && !tags.includes(tag)) onChange({ add: [tag] });
+  };
+
+  return (
+    <div className="case-tags-editor">
+      {tags.map((t) => (
+        <span key={t} className="case-tag">
+          {t}
+          <button type="button" onClick={() => onChange({ remove: [t] })} title={`Remove ${t}`}>
+            &times;
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            add();
+          }
+        }}
+        list="case-tag-suggestions"
+        placeholder="Add tag…"
+        maxLength={40}
+      />
+      <datalist id="case-tag-suggestions">
+        {suggestions
+          .filter((s) => !tags.includes(s))
+          .map((s) => (
+            <option key={s} value={s} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
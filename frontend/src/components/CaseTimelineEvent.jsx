@@ -0,0 +1,85 @@
+import React from "react";
+import "../styles/CaseTimeline.css";
+
+const SOURCES = { faq: "FAQ", "case-memory": "suggested resolution", llm: "AI assistant", remedy: "refund/replacement offer" };
+const ORDER_CHANGE_VERBS = {
+  pending: "proposed",
+  approved: "approved",
+  declined: "declined",
+  cancelled: "withdrawn",
+  stale: "not applied (order had changed)",
+};
+
+// One line of plain text per case event type (see backend/caseEvents.js)
+function describe(event, labels) {
+  const d = event.data || {};
+  const label = (s) => labels[s] || s;
+  switch (event.type) {
+    case "case.created":
+      return d.via === "chat" ? "Case opened from chat" : "Case opened";
+    case "case.status":
+      return `Status: ${d.from ? `${label(d.from)} → ` : ""}${label(d.to)}${d.reason ? ` (${d.reason})` : ""}`;
+    case "case.assigned":
+      return d.to ? `Assigned to ${d.to.name}${d.reason === "auto" ? " automatically" : ""}` : "Unassigned";
+    case "case.priority":
+      return `Priority ${d.from} → ${d.to}${
+        d.reason === "sla_breach" ? " after SLA breach" : d.reason === "macro" ? " by macro" : ""
+      }`;
+    case "case.tags":
+      return [
+        d.added?.length ? `Tagged ${d.added.join(", ")}` : "",
+        d.removed?.length ? `Untagged ${d.removed.join(", ")}` : "",
+        d.via === "faq" ? "(from FAQ match)" : d.via === "macro" ? "(by macro)" : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    case "case.fields":
+      return `Updated ${Object.keys(d.changes || {}).join(", ")}`;
+    case "case.duplicate":
+      return `Looks like a duplicate of ${(d.of || []).map((c) => c.ticketNumber).join(", ")}`;
+    case "case.merged":
+      return d.into ? `Merged into ${d.into.ticketNumber}` : `${d.from?.ticketNumber} merged into this case`;
+    case "case.linked":
+      return `${d.removed ? "Unlinked from" : "Linked to"} ${d.case?.ticketNumber}`;
+    case "case.product": {
+      if (!d.changeId) return "Product details changed";
+      const verb = ORDER_CHANGE_VERBS[d.status] || d.status;
+      return `Order change ${verb}: ${d.before?.name} × ${d.before?.quantity} @ ${d.before?.price} → ${d.after?.name} × ${d.after?.quantity} @ ${d.after?.price}`;
+    }
+    case "case.remedy": {
+      const what = d.kind === "refund" ? `Refund of ${d.amount}` : `Replacement (worth ${d.amount})`;
+      if (d.status === "pending-approval") return `${what} requested · needs approval`;
+      if (d.approval === "auto") return `${what} auto-approved`;
+      return `${what} ${d.status}${d.reason ? ` (${d.reason})` : ""}`;
+    }
+    case "case.reminder":
+      return `Reminder sent to the customer after ${d.hours}h without a reply`;
+    case "sla.breach":
+      return `${d.kind === "first_response" ? "First response" : "Resolution"} SLA breached`;
+    case "sentiment.escalated":
+      return `Customer sentiment escalated (${d.reason === "angry" ? "angry message" : "several negative messages"})`;
+    case "handoff":
+      if (d.mode === "bot") return "Handed back to the bot";
+      if (d.reason === "takeover") return "An agent took over the chat";
+      return `Handed to a support specialist${d.position ? ` · #${d.position} in line` : ""}`;
+    case "csat":
+      return `Customer rated ${d.rating}/5${d.hasComment ? " with a comment" : ""}`;
+    case "bot.reply":
+      return `Bot answered from ${SOURCES[d.source] || d.source}`;
+    default:
+      return event.type;
+  }
+}
+
+export default function CaseTimelineEvent({ event, labels = {} }) {
+  return (
+    <div className="timeline-event">
+      <span className="timeline-dot" />
+      <span className="timeline-text">
+        {describe(event, labels)}
+        {event.actorId?.name && <span className="timeline-actor"> · {event.actorId.name}</span>}
+      </span>
+      <span className="timeline-time">{new Date(event.at).toLocaleString()}</span>
+    </div>
+  );
+}
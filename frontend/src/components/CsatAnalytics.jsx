@@ -0,0 +1,165 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { Bar, Line } from "react-chartjs-2";
+import "../styles/Csat.css";
+
+const API_BASE = "http://localhost:5000";
+const RANGES = [
+  [7, "Last 7 days"],
+  [30, "Last 30 days"],
+  [90, "Last 90 days"],
+];
+const SOURCE_LABELS = {
+  faq: "FAQ",
+  "case-memory": "Suggested resolution",
+  llm: "AI assistant",
+  remedy: "Refund/replacement offer",
+  none: "No bot answer",
+};
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: { legend: { position: "bottom", labels: { usePointStyle: true } } },
+};
+
+const fmt = (n, suffix = "") => (n === null || n === undefined ? "—" : `${n}${suffix}`);
+
+function BreakdownTable({ title, rows, label }) {
+  return (
+    <div>
+      <h4>{title}</h4>
+      {rows.length ? (
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              <th className="num">Ratings</th>
+              <th className="num">Avg</th>
+              <th className="num">Satisfied</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={String(r.agentId ?? r.domain ?? r.source)}>
+                <td>{label(r)}</td>
+                <td className="num">{r.count}</td>
+                <td className="num">{fmt(r.average)}</td>
+                <td className="num">{fmt(r.satisfaction, "%")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>No ratings yet.</p>
+      )}
+    </div>
+  );
+}
+
+// Customer satisfaction from post-resolution surveys, within the caller's domains
+export default function CsatAnalytics({ domains = [] }) {
+  const [days, setDays] = useState(30);
+  const [domain, setDomain] = useState("");
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  const fetchCsat = useCallback(async () => {
+    setError("");
+    try {
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const { data } = await axios.get(`${API_BASE}/api/admin/analytics/csat`, {
+        params: { from, ...(domain && { domain }) },
+        headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+      });
+      setData(data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load CSAT");
+    }
+  }, [days, domain]);
+
+  useEffect(() => {
+    fetchCsat();
+  }, [fetchCsat]);
+
+  const trend = data?.trend || [];
+  const trendChartData = {
+    labels: trend.map((t) => t.day),
+    datasets: [
+      {
+        label: "Average rating",
+        data: trend.map((t) => t.average),
+        borderColor: "rgba(245,158,11,1)",
+        backgroundColor: "rgba(245,158,11,0.1)",
+        tension: 0.3,
+      },
+    ],
+  };
+  const distributionChartData = {
+    labels: ["1", "2", "3", "4", "5"],
+    datasets: [{ label: "Ratings", data: data?.distribution || [], backgroundColor: "rgba(59,130,246,0.7)" }],
+  };
+
+  return (
+    <div className="csat-analytics">
+      <div className="csat-analytics-head">
+        <h3>Customer Satisfaction</h3>
+        <select value={domain} onChange={(e) => setDomain(e.target.value)}>
+          <option value="">All domains</option>
+          {domains.map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {RANGES.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Average Rating</h3>
+          <div className="stat-number">{fmt(data?.overall.average, " / 5")}</div>
+          <div className="stat-change neutral">{data?.overall.count ?? 0} ratings</div>
+        </div>
+        <div className="stat-card">
+          <h3>Satisfied</h3>
+          <div className="stat-number">{fmt(data?.overall.satisfaction, "%")}</div>
+          <div className="stat-change neutral">Rated 4 or 5</div>
+        </div>
+      </div>
+
+      <div className="charts-section">
+        <div className="chart-card">
+          <h3>Average Rating by Day</h3>
+          <div className="chart-container">
+            <Line data={trendChartData} options={{ ...chartOptions, scales: { y: { min: 1, max: 5 } } }} />
+          </div>
+        </div>
+        <div className="chart-card">
+          <h3>Rating Distribution</h3>
+          <div className="chart-container">
+            <Bar data={distributionChartData} options={chartOptions} />
+          </div>
+        </div>
+      </div>
+
+      {data && (
+        <div className="csat-tables">
+          <BreakdownTable title="By domain" rows={data.byDomain} label={(r) => r.domain} />
+          <BreakdownTable title="By agent" rows={data.byAgent} label={(r) => r.name} />
+          <BreakdownTable
+            title="By bot source"
+            rows={data.byBotSource}
+            label={(r) => SOURCE_LABELS[r.source] || r.source}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
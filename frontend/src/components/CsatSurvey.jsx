@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import "../styles/Csat.css";
+
+const LABELS = ["Very poor", "Poor", "Okay", "Good", "Excellent"];
+
+// 1-5 rating with an optional comment for a resolved case. Shown in the chat
+// and on the case card; `onSubmit(rating, comment)` resolves to an error
+// message or null.
+export default function CsatSurvey({ survey, onSubmit }) {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  if (survey.rating) {
+    return (
+      <div className="csat-survey answered">
+        Thanks for your feedback! You rated this {survey.rating}/5.
+      </div>
+    );
+  }
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!rating) return;
+    setBusy(true);
+    setError((await onSubmit(rating, comment)) || "");
+    setBusy(false);
+  };
+
+  return (
+    <form className="csat-survey" onSubmit={submit}>
+      <strong>How did we do?</strong>
+      <div className="csat-stars" role="radiogroup" aria-label="Rating">
+        {LABELS.map((label, i) => (
+          <button
+            key={label}
+            type="button"
+            role="radio"
+            aria-checked={rating === i + 1}
+            title={label}
+            className={i < rating ? "on" : ""}
+            onClick={() => setRating(i + 1)}
+            disabled={busy}
+          >
+            ★
+          </button>
+        ))}
+        {rating > 0 && <span className="csat-label">{LABELS[rating - 1]}</span>}
+      </div>
+      {rating > 0 && (
+        <>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Anything you'd like to add? (optional)"
+            maxLength={1000}
+            rows={2}
+          />
+          <button type="submit" disabled={busy}>
+            Send feedback
+          </button>
+        </>
+      )}
+      {error && <p className="csat-error">{error}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import "../styles/Macros.css";
+
+const API_BASE = "http://localhost:5000";
+
+const EMPTY_FORM = { name: "", domain: "", body: "", status: "", priority: "", tags: "" };
+
+// Plain-language summary of what sending the macro also does
+function describeMacroActions(actions = {}, statusLabels = {}) {
+  const parts = [];
+  if (actions.status) parts.push(`status → ${statusLabels[actions.status] || actions.status}`);
+  if (actions.priority) parts.push(`priority → ${actions.priority}`);
+  if (actions.addTags?.length) parts.push(`tags + ${actions.addTags.join(", ")}`);
+  return parts.join(" · ");
+}
+
+export function MacroActions({ actions, statusLabels = {} }) {
+  const summary = describeMacroActions(actions, statusLabels);
+  return summary ? <span className="macro-actions">{summary}</span> : null;
+}
+
+// Macro library for supervisors and admins: create, edit, delete and see how
+// often each one is used. `domains` are the ones the viewer may manage.
+export default function MacroManager({ domains, canShare, statusLabels }) {
+  const [macros, setMacros] = useState([]);
+  const [variables, setVariables] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  const fetchMacros = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/macros`, authHeaders());
+      setMacros(data.macros || []);
+      setVariables(data.variables || []);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load macros");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMacros();
+  }, [fetchMacros]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const edit = (m) => {
+    setEditingId(m._id);
+    setForm({
+      name: m.name,
+      domain: m.domain || "",
+      body: m.body,
+      status: m.actions?.status || "",
+      priority: m.actions?.priority || "",
+      tags: (m.actions?.addTags || []).join(", "),
+    });
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError("");
+    const payload = {
+      name: form.name,
+      domain: form.domain || null,
+      body: form.body,
+      actions: {
+        status: form.status || null,
+        priority: form.priority || null,
+        addTags: form.tags.split(",").map((t) => t.trim()).filter(Boolean),
+      },
+    };
+    try {
+      if (editingId) await axios.put(`${API_BASE}/api/macros/${editingId}`, payload, authHeaders());
+      else await axios.post(`${API_BASE}/api/macros`, payload, authHeaders());
+      resetForm();
+      fetchMacros();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save macro");
+    }
+  };
+
+  const remove = async (m) => {
+    if (!window.confirm(`Delete macro "${m.name}"?`)) return;
+    setError("");
+    try {
+      await axios.delete(`${API_BASE}/api/macros/${m._id}`, authHeaders());
+      if (editingId === m._id) resetForm();
+      fetchMacros();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete macro");
+    }
+  };
+
+  const canManage = (m) => (m.domain ? domains.includes(m.domain) : canShare);
+
+  return (
+    <div className="invite-section macro-manager">
+      <h3>Macros</h3>
+      {error && <p className="macro-error">{error}</p>}
+
+      <table className="team-table">
+        <tbody>
+          {macros.map((m) => (
+            <tr key={m._id}>
+              <td>
+                {m.name}
+                <div className="team-email">{m.domain || "All domains"}</div>
+              </td>
+              <td className="macro-preview">{m.body}</td>
+              <td>
+                <MacroActions actions={m.actions} statusLabels={statusLabels} />
+              </td>
+              <td className="team-email">
+                Used {m.usageCount} {m.usageCount === 1 ? "time" : "times"}
+                {m.lastUsedAt && <div>last {new Date(m.lastUsedAt).toLocaleDateString()}</div>}
+              </td>
+              <td>
+                {canManage(m) && (
+                  <>
+                    <button className="link-button" onClick={() => edit(m)}>
+                      Edit
+                    </button>
+                    <button className="link-button" onClick={() => remove(m)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="team-heading">{editingId ? "Edit Macro" : "New Macro"}</h3>
+      <form className="macro-form" onSubmit={save}>
+        <div className="invite-form">
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name"
+            maxLength={100}
+          />
+          <select value={form.domain} onChange={(e) => setForm({ ...form, domain: e.target.value })}>
+            {canShare ? <option value="">All domains</option> : <option value="">Choose a domain</option>}
+            {domains.map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          className="response-textarea"
+          value={form.body}
+          onChange={(e) => setForm({ ...form, body: e.target.value })}
+          placeholder="Hi {{user.name}}, your order {{order.orderId}}…"
+        />
+        <div className="macro-variables">
+          {variables.map((v) => (
+            <button
+              key={v}
+              type="button"
+              className="macro-variable"
+              onClick={() => setForm({ ...form, body: `${form.body}{{${v}}}` })}
+            >
+              {`{{${v}}}`}
+            </button>
+          ))}
+        </div>
+        <div className="invite-form">
+          <select value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
+            <option value="">Keep status</option>
+            {Object.entries(statusLabels)
+              .filter(([value]) => value !== "new")
+              .map(([value, label]) => (
+                <option key={value} value={value}>
+                  Set status: {label}
+                </option>
+              ))}
+          </select>
+          <select value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
+            <option value="">Keep priority</option>
+            <option value="high">Set priority: High</option>
+            <option value="low">Set priority: Low</option>
+          </select>
+          <input
+            value={form.tags}
+            onChange={(e) => setForm({ ...form, tags: e.target.value })}
+            placeholder="Add tags (comma separated)"
+          />
+        </div>
+        <div className="invite-form">
+          <button type="submit" className="response-button">
+            {editingId ? "Save Macro" : "Create Macro"}
+          </button>
+          {editingId && (
+            <button type="button" className="link-button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useEffect, useRef, useState } from "react";
+import "../styles/Macros.css";
+
+// Searchable macro list for the reply composer: type to filter, arrows to
+// move, Enter to insert, Escape to close
+export default function MacroPicker({ macros, onPick, onClose }) {
+  const [query, setQuery] = useState("");
+  const [highlight, setHighlight] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const q = query.trim().toLowerCase();
+  const matches = macros.filter((m) => !q || m.name.toLowerCase().includes(q) || m.body.toLowerCase().includes(q));
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlight((i) => Math.min(i + 1, matches.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlight((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (matches[highlight]) onPick(matches[highlight]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="macro-picker">
+      <input
+        ref={inputRef}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlight(0);
+        }}
+        onKeyDown={onKeyDown}
+        placeholder="Search macros…"
+      />
+      {matches.length === 0 ? (
+        <p className="macro-empty">No macros match.</p>
+      ) : (
+        <ul>
+          {matches.map((m, i) => (
+            <li
+              key={m._id}
+              className={i === highlight ? "highlighted" : ""}
+              onMouseEnter={() => setHighlight(i)}
+              onMouseDown={(e) => {
+                e.preventDefault(); // keep focus until the pick is handled
+                onPick(m);
+              }}
+            >
+              <strong>{m.name}</strong>
+              <span className="macro-preview">{m.body}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
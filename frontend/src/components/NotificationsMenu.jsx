@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+
+// Header bell with the staff member's in-app notifications (e.g. @mentions)
+export default function NotificationsMenu({ notifications, unread, onOpen, onReadAll }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="notifications-menu">
+      <button className="logout-btn" onClick={() => setOpen((v) => !v)}>
+        Notifications{unread > 0 && <span className="notification-count">{unread}</span>}
+      </button>
+      {open && (
+        <div className="notifications-dropdown">
+          <div className="notifications-header">
+            <strong>Notifications</strong>
+            {unread > 0 && (
+              <button className="link-button" onClick={onReadAll}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="notifications-empty">Nothing yet.</p>
+          ) : (
+            <ul>
+              {notifications.map((n) => (
+                <li
+                  key={n._id}
+                  className={n.readAt ? "" : "unread"}
+                  onClick={() => {
+                    setOpen(false);
+                    onOpen(n);
+                  }}
+                >
+                  <span>{n.message}</span>
+                  <small>{new Date(n.createdAt).toLocaleString()}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
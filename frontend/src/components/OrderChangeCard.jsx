@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { OrderChangeDiff } from "./OrderChangePanel";
+
+// How each outcome reads to the customer
+const OUTCOMES = {
+  approved: "You approved this change. Your order has been updated.",
+  declined: "You declined this change.",
+  cancelled: "The agent withdrew this proposal.",
+  stale: "Your order changed before this could be applied. The agent will follow up.",
+};
+
+// A proposed order change in the customer's chat, with approve/decline while
+// it's pending. `onAnswer(changeId, decision)` resolves to an error message
+// or null.
+export default function OrderChangeCard({ change, onAnswer }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const answer = async (decision) => {
+    if (decision === "approve" && !window.confirm("Update your order with this change?")) return;
+    setBusy(true);
+    setError((await onAnswer(change._id, decision)) || "");
+    setBusy(false);
+  };
+
+  return (
+    <div className="order-change-card">
+      <strong>Proposed change to your order</strong>
+      {change.note && <p>{change.note}</p>}
+      <OrderChangeDiff change={change} />
+      {change.status === "pending" ? (
+        <div className="order-change-actions">
+          <button type="button" className="approve" onClick={() => answer("approve")} disabled={busy}>
+            Approve
+          </button>
+          <button type="button" className="decline" onClick={() => answer("decline")} disabled={busy}>
+            Decline
+          </button>
+        </div>
+      ) : (
+        <p>
+          <em>{OUTCOMES[change.status] || change.status}</em>
+        </p>
+      )}
+      {error && <p className="order-change-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import "../styles/OrderChanges.css";
+
+const KIND_LABELS = { quantity: "Quantity correction", price: "Price adjustment", replacement: "Replacement item" };
+const STATUS_LABELS = {
+  pending: "Waiting for customer",
+  approved: "Approved",
+  declined: "Declined",
+  cancelled: "Withdrawn",
+  stale: "Order changed, not applied",
+};
+const EMPTY_FORM = { kind: "quantity", quantity: "", price: "", name: "", note: "" };
+
+// "Mug × 3 @ 5.5" for a before/after snapshot
+const describeLine = (s = {}) => `${s.name} × ${s.quantity} @ ${s.price}`;
+
+// Before → after for one proposal, shared with the customer's chat card
+export function OrderChangeDiff({ change }) {
+  const { before = {}, after = {} } = change;
+  const rows = [
+    ["Item", before.name, after.name],
+    ["Quantity", before.quantity, after.quantity],
+    ["Unit price", before.price, after.price],
+    ["Order total", before.totalAmount, after.totalAmount],
+  ];
+  return (
+    <table className="order-change-diff">
+      <tbody>
+        {rows.map(([label, from, to]) => (
+          <tr key={label} className={from !== to ? "changed" : ""}>
+            <th>{label}</th>
+            <td>{from ?? "—"}</td>
+            <td>{from !== to ? `→ ${to ?? "—"}` : ""}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Proposals on the open case and a form for a new one. Only one can wait on
+// the customer at a time; `onPropose` resolves true when it was sent.
+export default function OrderChangePanel({ changes = [], product, disabled, onPropose, onCancel }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [open, setOpen] = useState(false);
+  const pending = changes.some((c) => c.status === "pending");
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value }),
+  });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const { kind, quantity, price, name, note } = form;
+    const payload =
+      kind === "quantity" ? { kind, quantity } : kind === "price" ? { kind, price } : { kind, name, price, quantity };
+    if (await onPropose({ ...payload, note })) {
+      setForm(EMPTY_FORM);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="order-change-panel">
+      <strong>Order changes</strong>
+      {product && <span className="order-change-current"> · now {describeLine(product)}</span>}
+
+      {[...changes].reverse().map((c) => (
+        <div key={c._id} className={`order-change ${c.status}`}>
+          <div className="order-change-head">
+            <span>{KIND_LABELS[c.kind] || c.kind}</span>
+            <span className={`order-change-status ${c.status}`}>{STATUS_LABELS[c.status] || c.status}</span>
+            {c.status === "pending" && (
+              <button type="button" className="link-button" onClick={() => onCancel(c._id)}>
+                Withdraw
+              </button>
+            )}
+          </div>
+          <OrderChangeDiff change={c} />
+          <div className="order-change-meta">
+            {c.proposedBy?.name && `${c.proposedBy.name} · `}
+            {new Date(c.proposedAt).toLocaleString()}
+            {c.note && ` · “${c.note}”`}
+          </div>
+        </div>
+      ))}
+
+      {!pending && !disabled && product && !open && (
+        <button type="button" className="claim-button" onClick={() => setOpen(true)}>
+          Propose a change
+        </button>
+      )}
+      {open && (
+        <form className="order-change-form" onSubmit={submit}>
+          <select {...field("kind")}>
+            {Object.entries(KIND_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {form.kind === "replacement" && <input {...field("name")} placeholder="Replacement item" required />}
+          {form.kind !== "price" && (
+            <input
+              type="number"
+              min="1"
+              step="1"
+              {...field("quantity")}
+              placeholder={form.kind === "replacement" ? `Quantity (${product.quantity})` : "New quantity"}
+              required={form.kind === "quantity"}
+            />
+          )}
+          {form.kind !== "quantity" && (
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              {...field("price")}
+              placeholder={form.kind === "replacement" ? `Unit price (${product.price})` : "New unit price"}
+              required={form.kind === "price"}
+            />
+          )}
+          <input {...field("note")} placeholder="Note for the customer" maxLength={500} />
+          <button type="submit" className="response-button">
+            Send to customer
+          </button>
+          <button type="button" className="link-button" onClick={() => setOpen(false)}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
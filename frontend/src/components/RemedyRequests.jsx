@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import "../styles/Remedies.css";
+
+const KIND_LABELS = { refund: "Refund", replacement: "Replacement" };
+const STATUS_LABELS = { "pending-approval": "Needs approval", approved: "Approved", rejected: "Rejected" };
+
+// Refunds/replacements the customer accepted from the bot's offer. Requests
+// above the auto-approve limit get approve/reject; `onDecide` resolves true
+// once the decision went through.
+export default function RemedyRequests({ remedies = [], disabled, onDecide }) {
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState("");
+
+  if (!remedies.length) return null;
+
+  const reject = async (e, remedyId) => {
+    e.preventDefault();
+    if (await onDecide(remedyId, "reject", reason)) {
+      setRejecting(null);
+      setReason("");
+    }
+  };
+
+  return (
+    <div className="remedy-requests">
+      <strong>Refunds &amp; replacements</strong>
+      {remedies.map((r) => (
+        <div key={r._id} className={`remedy ${r.status}`}>
+          <div className="remedy-head">
+            <span>
+              {KIND_LABELS[r.kind] || r.kind} · {r.quantity} × {r.productName} · ₹{r.amount}
+            </span>
+            <span className={`remedy-status ${r.status}`}>{STATUS_LABELS[r.status] || r.status}</span>
+          </div>
+          <div className="remedy-meta">
+            {new Date(r.createdAt).toLocaleString()}
+            {r.approval === "auto" ? " · auto-approved" : r.decidedBy?.name ? ` · by ${r.decidedBy.name}` : ""}
+            {r.reason && ` · “${r.reason}”`}
+          </div>
+          {r.status === "pending-approval" && !disabled && rejecting !== r._id && (
+            <div className="remedy-actions">
+              <button type="button" className="response-button" onClick={() => onDecide(r._id, "approve")}>
+                Approve
+              </button>
+              <button type="button" className="link-button" onClick={() => setRejecting(r._id)}>
+                Reject…
+              </button>
+            </div>
+          )}
+          {rejecting === r._id && (
+            <form className="remedy-actions" onSubmit={(e) => reject(e, r._id)}>
+              <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (the customer sees this)"
+                maxLength={500}
+              />
+              <button type="submit" className="response-button">
+                Reject
+              </button>
+              <button type="button" className="link-button" onClick={() => setRejecting(null)}>
+                Cancel
+              </button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+
+// Line colour follows the latest message: angry, merely negative, calm, neutral
+const toneOf = ({ last, lastScore = 0 }) => {
+  if (last === "angry") return "#ef4444";
+  if (lastScore < 0) return "#f59e0b";
+  if (last === "cool") return "#10b981";
+  return "#6b7280";
+};
+
+// Tiny line of per-message sentiment scores (-1 .. 1), oldest on the left
+export default function SentimentSparkline({ sentiment, width = 90, height = 22 }) {
+  const points = sentiment?.trajectory || [];
+  if (points.length === 0) return null;
+
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const y = (score) => ((1 - Math.max(-1, Math.min(1, score ?? 0))) / 2) * height;
+  const coords = points.map((p, i) => `${(i * step).toFixed(1)},${y(p.score).toFixed(1)}`);
+  const color = toneOf(sentiment);
+  const frustration = Math.round((sentiment.frustration || 0) * 100);
+
+  return (
+    <span className="sentiment-sparkline" title={`Frustration ${frustration}% · last: ${sentiment.last || "neutral"}`}>
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+        <line x1="0" x2={width} y1={height / 2} y2={height / 2} className="sparkline-baseline" />
+        {points.length > 1 ? (
+          <polyline points={coords.join(" ")} fill="none" stroke={color} strokeWidth="1.5" />
+        ) : (
+          <circle cx={width / 2} cy={y(points[0].score)} r="2" fill={color} />
+        )}
+      </svg>
+      <span className="sentiment-label" style={{ color }}>{frustration}%</span>
+    </span>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import TwoFactorPanel from "./TwoFactorPanel";
+import "../styles/SessionsPanel.css";
+
+const API_BASE = "http://localhost:5000";
+
+// Rough "Chrome on Windows" label from the stored user-agent
+function describeDevice(ua = "") {
+  const browser = /Edg\//.test(ua)
+    ? "Edge"
+    : /Chrome\//.test(ua)
+    ? "Chrome"
+    : /Firefox\//.test(ua)
+    ? "Firefox"
+    : /Safari\//.test(ua)
+    ? "Safari"
+    : "Unknown browser";
+  const os = /Windows/.test(ua)
+    ? "Windows"
+    : /Android/.test(ua)
+    ? "Android"
+    : /iPhone|iPad/.test(ua)
+    ? "iOS"
+    : /Mac OS X/.test(ua)
+    ? "macOS"
+    : /Linux/.test(ua)
+    ? "Linux"
+    : "unknown OS";
+  return `${browser} on ${os}`;
+}
+
+export default function SessionsPanel({ onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/auth/sessions`, authHeaders());
+      setSessions(data.sessions || []);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load sessions");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (sessionId) => {
+    try {
+      await axios.delete(`${API_BASE}/api/auth/sessions/${sessionId}`, authHeaders());
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to revoke session");
+    }
+  };
+
+  const revokeOthers = async () => {
+    try {
+      await axios.delete(`${API_BASE}/api/auth/sessions`, authHeaders());
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to revoke sessions");
+    }
+  };
+
+  const others = sessions.filter((s) => !s.current);
+
+  return (
+    <div className="sessions-panel">
+      <div className="sessions-header">
+        <h3>Security</h3>
+        <button className="sessions-close" onClick={onClose}>
+          &times;
+        </button>
+      </div>
+
+      <TwoFactorPanel />
+
+      <h4 className="sessions-subheading">Logged-in Devices</h4>
+
+      {error && <p className="sessions-error">{error}</p>}
+      {loading && <p className="sessions-muted">Loading...</p>}
+
+      <ul className="sessions-list">
+        {sessions.map((s) => (
+          <li key={s._id} className={`session-item ${s.current ? "current" : ""}`}>
+            <div>
+              <strong>{describeDevice(s.userAgent)}</strong>
+              {s.current && <span className="session-badge">This device</span>}
+              <div className="sessions-muted">
+                {s.ip || "unknown IP"} · last active{" "}
+                {new Date(s.lastUsedAt).toLocaleString()}
+              </div>
+            </div>
+            {!s.current && (
+              <button className="session-revoke" onClick={() => revoke(s._id)}>
+                Revoke
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {others.length > 0 && (
+        <button className="session-revoke all" onClick={revokeOthers}>
+          Sign out all other devices
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { saveTokens } from "../auth";
+import "../styles/SessionsPanel.css";
+
+const API_BASE = "http://localhost:5000";
+
+export default function TwoFactorPanel() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [action, setAction] = useState(null); // "disable" | "regenerate"
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState("");
+
+  const authHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/api/auth/2fa`, authHeaders());
+      setStatus(data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load two-factor status");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const reset = () => {
+    setSetup(null);
+    setAction(null);
+    setCode("");
+    setError("");
+  };
+
+  const startSetup = async () => {
+    reset();
+    try {
+      const { data } = await axios.post(`${API_BASE}/api/auth/2fa/setup`, {}, authHeaders());
+      setSetup(data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to start setup");
+    }
+  };
+
+  const submitCode = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      if (setup) {
+        const { data } = await axios.post(`${API_BASE}/api/auth/2fa/enable`, { code }, authHeaders());
+        // The current device is upgraded to an MFA session
+        saveTokens(data);
+        setRecoveryCodes(data.recoveryCodes);
+      } else if (action === "regenerate") {
+        const { data } = await axios.post(
+          `${API_BASE}/api/auth/2fa/recovery-codes`,
+          { code },
+          authHeaders()
+        );
+        setRecoveryCodes(data.recoveryCodes);
+      } else if (action === "disable") {
+        // Accept either an authenticator code or a recovery code
+        const body = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+        await axios.post(`${API_BASE}/api/auth/2fa/disable`, body, authHeaders());
+      }
+      reset();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.error || "Verification failed");
+      setCode("");
+    }
+  };
+
+  if (!status) return error ? <p className="sessions-error">{error}</p> : null;
+
+  return (
+    <div className="two-factor">
+      <div className="session-item">
+        <div>
+          <strong>Two-factor authentication</strong>
+          {status.enabled ? (
+            <span className="session-badge">On</span>
+          ) : (
+            <span className="session-badge off">Off</span>
+          )}
+          <div className="sessions-muted">
+            {status.enabled
+              ? `${status.recoveryCodesLeft} recovery code(s) left`
+              : "Protect your account with an authenticator app"}
+            {status.required && " · required for your role"}
+          </div>
+        </div>
+        <div className="two-factor-actions">
+          {!status.enabled && !setup && (
+            <button className="session-action" onClick={startSetup}>
+              Enable
+            </button>
+          )}
+          {status.enabled && !action && (
+            <>
+              <button className="session-action" onClick={() => setAction("regenerate")}>
+                New codes
+              </button>
+              {!status.required && (
+                <button className="session-revoke" onClick={() => setAction("disable")}>
+                  Disable
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="sessions-error">{error}</p>}
+
+      {setup && (
+        <p className="sessions-muted two-factor-setup">
+          <a href={setup.otpauthUri}>Open in authenticator</a> or enter the key manually:{" "}
+          <code>{setup.secret}</code>
+        </p>
+      )}
+
+      {(setup || action) && (
+        <form className="two-factor-form" onSubmit={submitCode}>
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder={action === "disable" ? "Code or recovery code" : "6-digit code"}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <button type="submit" className="session-action">
+            Confirm
+          </button>
+          <button type="button" className="session-revoke" onClick={reset}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="two-factor-codes">
+          <p className="sessions-muted">
+            Save these recovery codes somewhere safe. Each works once and they won't be shown
+            again.
+          </p>
+          <ul>
+            {recoveryCodes.map((c) => (
+              <li key={c}>
+                <code>{c}</code>
+              </li>
+            ))}
+          </ul>
+          <button className="session-action" onClick={() => setRecoveryCodes(null)}>
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,7 +5,7 @@
 
 
 
-import React, { useEffect, useState, useCallback, useRef } from "react";
+import React, { useEffect, useState, useCallback, useMemo, useRef } from "react";
 import axios from "axios";
 import {
   Chart as ChartJS,
@@ -21,6 +21,23 @@ import {
 } from "chart.js";
 import { Bar, Doughnut, Line } from "react-chartjs-2";
 import { io } from "socket.io-client";
+import SessionsPanel from "../components/SessionsPanel";
+import SentimentSparkline from "../components/SentimentSparkline";
+import CaseTimelineEvent from "../components/CaseTimelineEvent";
+import NotificationsMenu from "../components/NotificationsMenu";
+import MacroPicker from "../components/MacroPicker";
+import MacroManager, { MacroActions } from "../components/MacroManager";
+import CaseTagsEditor from "../components/CaseTagsEditor";
+import CaseFieldsForm from "../components/CaseFieldsForm";
+import CaseFieldsManager from "../components/CaseFieldsManager";
+import AutoCloseRules from "../components/AutoCloseRules";
+import CaseRelations from "../components/CaseRelations";
+import BulkCaseToolbar from "../components/BulkCaseToolbar";
+import OrderChangePanel from "../components/OrderChangePanel";
+import RemedyRequests from "../components/RemedyRequests";
+import CsatAnalytics from "../components/CsatAnalytics";
+import AttachmentList, { AttachmentPicker } from "../components/Attachments";
+import { clearTokens, refreshAccessToken } from "../auth";
 import "../styles/AdminDashboard.css";
 
 // Register Chart.js components
@@ -36,41 +53,156 @@ ChartJS.register(
   LineElement
 );
 
+// Lifecycle states and allowed moves; mirrors backend/caseLifecycle.js
+const STATUS_LABELS = {
+  new: "New",
+  open: "Open",
+  "pending-customer": "Pending customer",
+  "on-hold": "On hold",
+  escalated: "Escalated",
+  resolved: "Resolved",
+  closed: "Closed",
+  reopened: "Reopened",
+};
+const WORKING = ["open", "pending-customer", "on-hold", "escalated", "resolved", "closed"];
+const CASE_TRANSITIONS = {
+  new: WORKING,
+  open: WORKING.filter((s) => s !== "open"),
+  "pending-customer": WORKING.filter((s) => s !== "pending-customer"),
+  "on-hold": WORKING.filter((s) => s !== "on-hold"),
+  escalated: WORKING.filter((s) => s !== "escalated"),
+  reopened: WORKING,
+  resolved: ["reopened", "closed"],
+  closed: [],
+};
+const REASON_REQUIRED = ["on-hold", "escalated", "reopened"];
+const isDone = (status) => status === "resolved" || status === "closed";
+
+// Inbox tabs: label and the statuses (or SLA filter) behind each
+const TABS = [
+  ["new", "New", ["new"]],
+  ["open", "Open", ["open", "reopened", "escalated"]],
+  ["pending", "Pending Customer", ["pending-customer"]],
+  ["onHold", "On Hold", ["on-hold"]],
+  ["closed", "Resolved", ["resolved", "closed"]],
+];
+const TAB_FILTERS = {
+  ...Object.fromEntries(TABS.map(([key, , statuses]) => [key, { status: statuses.join(",") }])),
+  atRisk: { sla: "at_risk" },
+};
+
+const SLA_AT_RISK_MS = 15 * 60 * 1000;
+
+const HANDOFF_REASONS = {
+  angry: "customer is angry",
+  negative_streak: "several negative messages in a row",
+  requested: "customer asked for a human",
+  takeover: "taken over by an agent",
+  approval: "refund/replacement needs approval",
+  remedy_exists: "item already refunded or replaced",
+};
+
+// Keeps agent-only mode alive while the case is open here (server TTL is 30 min)
+const AGENT_ACTIVE_PING_MS = 5 * 60 * 1000;
+
+const formatDuration = (ms) => {
+  const mins = Math.max(1, Math.round(ms / 60000));
+  if (mins < 60) return `${mins}m`;
+  if (mins < 24 * 60) return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+  return `${Math.floor(mins / 1440)}d ${Math.floor((mins % 1440) / 60)}h`;
+};
+
+// Countdown for whichever SLA clock is running: first reply, then resolution
+function slaBadge(c, now) {
+  const sla = c?.sla;
+  if (!sla?.level || isDone(c.status)) return null;
+  if (c.firstAgentReplyAt && sla.pausedAt) return { label: "SLA paused", tone: "paused" };
+
+  const kind = c.firstAgentReplyAt ? "Resolve" : "Reply";
+  const due = new Date(c.firstAgentReplyAt ? sla.resolutionDueAt : sla.firstResponseDueAt).getTime();
+  const left = due - now;
+  if (left <= 0) return { label: `${kind} overdue ${formatDuration(-left)}`, tone: "breached" };
+  return {
+    label: `${kind} in ${formatDuration(left)}`,
+    tone: left <= SLA_AT_RISK_MS ? "at-risk" : "ok",
+  };
+}
+
+// chart.js labels run Mon..Sun; the stats API returns Sunday-first arrays
+// Popup state updater: duplicates, merge pointer and links from a populated case
+const withRelations = (c) => (prev) =>
+  prev?._id === c._id
+    ? { ...prev, possibleDuplicates: c.possibleDuplicates, mergedInto: c.mergedInto, relatedCases: c.relatedCases }
+    : prev;
+
+const mondayFirst = (days = []) => (days.length ? [...days.slice(1), days[0]] : new Array(7).fill(0));
+
 export default function AdminDashboard() {
   const [token] = useState(localStorage.getItem("token") || "");
-  const [allCases, setAllCases] = useState([]);
+  const [cases, setCases] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [filters, setFilters] = useState({
+    q: "",
+    domain: "",
+    priority: "",
+    assignee: "",
+    from: "",
+    to: "",
+    tag: "",
+    sort: "priority",
+  });
+  // ?cf.<key>=value inbox filter, plus the drafts applied on Search
+  const [fieldFilter, setFieldFilter] = useState({ key: "", value: "" });
+  const [fieldDraft, setFieldDraft] = useState({ key: "", value: "" });
+  const [tagText, setTagText] = useState("");
+  const [fieldDefs, setFieldDefs] = useState([]);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
   const [orders, setOrders] = useState([]);
   const [selectedCase, setSelectedCase] = useState(null);
 
   // unified chat (user/bot/agent)
   const [threadMessages, setThreadMessages] = useState([]);
+  const [caseHistory, setCaseHistory] = useState(null);
+  const [remedies, setRemedies] = useState([]);
+  // bot vs. human mode of the open case
+  const [chatMode, setChatMode] = useState({ agentOnly: false, position: null });
+  const [statusForm, setStatusForm] = useState({ status: "", reason: "" });
+  // activity log of the open case, shown between chat messages
+  const [caseEvents, setCaseEvents] = useState([]);
+  const [showActivity, setShowActivity] = useState(true);
+  // internal notes: composer mode, notes of the open case and who can be @mentioned
+  const [composerMode, setComposerMode] = useState("reply");
+  const [notes, setNotes] = useState([]);
+  const [noteMentions, setNoteMentions] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  // macros usable on the open case, the picker, and the one the draft came from
+  const [macros, setMacros] = useState([]);
+  const [showMacroPicker, setShowMacroPicker] = useState(false);
+  const [activeMacro, setActiveMacro] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [now, setNow] = useState(Date.now());
   const chatBottomRef = useRef(null);
   const socketRef = useRef(null);
 
   const [responseMessage, setResponseMessage] = useState("");
+  const [replyAttachments, setReplyAttachments] = useState([]);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState("");
   const [activeTab, setActiveTab] = useState("new");
-  const [trendChartData, setTrendChartData] = useState({
-    labels: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
-    datasets: [
-      {
-        label: "New Cases",
-        data: [0, 0, 0, 0, 0, 0, 0],
-        borderColor: "rgba(59,130,246,1)",
-        backgroundColor: "rgba(59,130,246,0.1)",
-        tension: 0.4,
-      },
-      {
-        label: "Resolved Cases",
-        data: [0, 0, 0, 0, 0, 0, 0],
-        borderColor: "rgba(16,185,129,1)",
-        backgroundColor: "rgba(16,185,129,0.1)",
-        tension: 0.4,
-      },
-    ],
-  });
+  const [me, setMe] = useState(null);
+  const [inviteForm, setInviteForm] = useState({ email: "", role: "agent", domains: [] });
+  const [inviteLink, setInviteLink] = useState("");
+  const [staff, setStaff] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const [mfaRoles, setMfaRoles] = useState([]);
+  const [autoAssign, setAutoAssign] = useState(false);
+  const [reopenWindowHours, setReopenWindowHours] = useState("");
+  const [assignees, setAssignees] = useState([]);
+  const [bulkIds, setBulkIds] = useState([]);
 
   /* ---------- Case-memory text formatting helpers ---------- */
   const cleanTranscript = (text = "") =>
@@ -116,15 +248,28 @@ export default function AdminDashboard() {
   useEffect(() => {
     if (!token) return;
 
+    // auth as a callback so reconnects pick up the latest refreshed token
     const s = io("http://localhost:5000", {
       transports: ["websocket"],
-      auth: { token },
+      auth: (cb) => cb({ token: localStorage.getItem("token") }),
     });
 
-    s.on("connect_error", (e) =>
-      console.warn("socket connect_error:", e?.message || e)
-    );
-    s.on("disconnect", (r) => console.log("socket disconnected:", r));
+    s.on("connect_error", (e) => {
+      console.warn("socket connect_error:", e?.message || e);
+      if (e?.message === "Invalid token") {
+        refreshAccessToken()
+          .then(() => s.connect())
+          .catch(() => {
+            clearTokens();
+            window.location.href = "/";
+          });
+      }
+    });
+    s.on("disconnect", (r) => {
+      console.log("socket disconnected:", r);
+      // server drops sockets when the session or permissions change
+      if (r === "io server disconnect") s.connect();
+    });
 
     socketRef.current = s;
     return () => {
@@ -150,6 +295,35 @@ export default function AdminDashboard() {
     };
   }, [selectedCase?._id]);
 
+  // Inbox rows carry bare ids; the popup needs the referenced tickets
+  const fetchCaseRelations = useCallback(
+    async (caseId) => {
+      try {
+        const { data } = await axios.get(`http://localhost:5000/api/admin/case/${caseId}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setSelectedCase(withRelations(data.case));
+      } catch (e) {
+        console.warn("Failed to load related cases:", e?.response?.data || e?.message);
+      }
+    },
+    [token]
+  );
+
+  const fetchRemedies = useCallback(
+    async (caseId) => {
+      try {
+        const { data } = await axios.get(`http://localhost:5000/api/case/${caseId}/remedies`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setRemedies(data.remedies || []);
+      } catch (e) {
+        console.warn("Failed to load refund/replacement requests:", e?.response?.data || e?.message);
+      }
+    },
+    [token]
+  );
+
   /* ---------------- Live listeners with de-dupe ---------------- */
   const safeAppend = useCallback(
     (payload, senderFallback) => {
@@ -188,6 +362,7 @@ export default function AdminDashboard() {
             timestamp: payload.timestamp || Date.now(),
             caseId: payload.caseId || selectedCase?._id,
             prompt: payload.prompt,
+            attachments: payload.attachments,
           },
         ];
       });
@@ -215,7 +390,7 @@ export default function AdminDashboard() {
 
     const onCaseMessage = (payload = {}) => {
       if (!selectedCase) return;
-      if (payload.caseId === selectedCase._id && payload.message) {
+      if (payload.caseId === selectedCase._id && (payload.message || payload.attachments?.length)) {
         safeAppend({ ...payload, source: "agent" }, "agent");
       }
     };
@@ -229,47 +404,228 @@ export default function AdminDashboard() {
     };
   }, [selectedCase?._id, safeAppend]);
 
+  // Bot/human mode of the open case, plus a heartbeat while a human has it
+  useEffect(() => {
+    const caseId = selectedCase?._id;
+    if (!socketRef.current || !caseId) return;
+
+    const onHandoff = (payload = {}) => {
+      if (payload.caseId === caseId) setChatMode({ agentOnly: true, position: payload.position ?? null });
+    };
+    const onHandback = (payload = {}) => {
+      if (payload.caseId === caseId) setChatMode({ agentOnly: false, position: null });
+    };
+    const onCaseEvent = (event = {}) => {
+      if (event.caseId !== caseId) return;
+      setCaseEvents((prev) => (prev.some((e) => e._id === event._id) ? prev : [...prev, event]));
+      if (event.type === "case.duplicate" || event.type === "case.linked" || event.type === "case.merged") {
+        fetchCaseRelations(caseId);
+      }
+      if (event.type === "case.remedy") fetchRemedies(caseId);
+      // tags can change under us (FAQ auto-tagging, macros, other agents)
+      if (event.type === "case.tags") {
+        const { added = [], removed = [] } = event.data || {};
+        setSelectedCase((prev) => {
+          if (prev?._id !== caseId) return prev;
+          const kept = (prev.tags || []).filter((t) => !removed.includes(t));
+          return { ...prev, tags: [...kept, ...added.filter((t) => !kept.includes(t))] };
+        });
+      }
+    };
+    // proposals answered by the customer or handled by another agent
+    const onOrderChange = ({ caseId: changedId, change } = {}) => {
+      if (changedId !== caseId || !change) return;
+      setSelectedCase((prev) => {
+        if (prev?._id !== caseId) return prev;
+        const list = prev.orderChanges || [];
+        const merged = list.some((c) => c._id === change._id)
+          ? list.map((c) => (c._id === change._id ? { ...c, ...change } : c))
+          : [...list, change];
+        return { ...prev, orderChanges: merged };
+      });
+      if (change.status === "approved") {
+        const { name, price, quantity } = change.after;
+        setCaseHistory((prev) =>
+          prev?.product ? { ...prev, product: { ...prev.product, name, price, quantity } } : prev
+        );
+      }
+    };
+    const onNote = (note = {}) => {
+      if (note.caseId !== caseId) return;
+      setNotes((prev) => (prev.some((n) => n._id === note._id) ? prev : [...prev, note]));
+    };
+    socketRef.current.on("case:handoff", onHandoff);
+    socketRef.current.on("case:handback", onHandback);
+    socketRef.current.on("case:event", onCaseEvent);
+    socketRef.current.on("case:note", onNote);
+    socketRef.current.on("case:order-change", onOrderChange);
+    return () => {
+      socketRef.current?.off("case:handoff", onHandoff);
+      socketRef.current?.off("case:handback", onHandback);
+      socketRef.current?.off("case:event", onCaseEvent);
+      socketRef.current?.off("case:note", onNote);
+      socketRef.current?.off("case:order-change", onOrderChange);
+    };
+  }, [selectedCase?._id, fetchCaseRelations, fetchRemedies]);
+
+  useEffect(() => {
+    const caseId = selectedCase?._id;
+    if (!socketRef.current || !caseId || !chatMode.agentOnly) return;
+    const ping = () => socketRef.current?.emit("agent_active", { caseId });
+    ping();
+    const t = setInterval(ping, AGENT_ACTIVE_PING_MS);
+    return () => clearInterval(t);
+  }, [selectedCase?._id, chatMode.agentOnly]);
+
+  // Live assignment changes from other agents (and auto-assignment)
+  const viewRef = useRef("");
+  useEffect(() => {
+    viewRef.current = filters.assignee;
+  }, [filters.assignee]);
+
+  useEffect(() => {
+    if (!socketRef.current) return;
+
+    const onAssigned = (payload = {}) => {
+      const patch = (c) =>
+        c._id === payload.caseId
+          ? { ...c, assignee: payload.assignee, assignedAt: payload.assignee ? payload.timestamp : null }
+          : c;
+      // drop cases that no longer belong in "My cases" / "Unassigned"
+      const stillVisible = (c) => {
+        if (c._id !== payload.caseId) return true;
+        if (viewRef.current === "unassigned") return !payload.assignee;
+        if (viewRef.current === "me") return payload.assignee?._id === me?._id;
+        return true;
+      };
+      setCases((prev) => prev.map(patch).filter(stillVisible));
+      setSelectedCase((prev) => (prev ? patch(prev) : prev));
+    };
+
+    socketRef.current.on("case:assigned", onAssigned);
+    return () => socketRef.current?.off("case:assigned", onAssigned);
+  }, [me?._id]);
+
+  // tick SLA countdowns
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(t);
+  }, []);
+
   // scroll to bottom on new messages
   useEffect(() => {
     chatBottomRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [threadMessages]);
 
   /* ---------------- Data fetchers ---------------- */
+  // Only non-empty filters go on the query string; dates span whole local days
+  const inboxParams = useMemo(() => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+    if (params.from) params.from = new Date(`${params.from}T00:00:00`).toISOString();
+    if (params.to) params.to = new Date(`${params.to}T23:59:59.999`).toISOString();
+    if (fieldFilter.key && fieldFilter.value) params[`cf.${fieldFilter.key}`] = fieldFilter.value;
+    return params;
+  }, [filters, fieldFilter]);
+
   const fetchCases = useCallback(
-    async (retryCount = 0) => {
+    async ({ cursor = null, retryCount = 0 } = {}) => {
       setLoading(true);
       setError("");
       try {
-        const response = await axios.get(
-          `http://localhost:5000/api/admin/cases?_t=${Date.now()}`,
-          {
-            headers: { Authorization: `Bearer ${token}` },
-          }
-        );
+        const response = await axios.get("http://localhost:5000/api/admin/cases", {
+          params: { ...inboxParams, ...TAB_FILTERS[activeTab], ...(cursor ? { cursor } : {}) },
+          headers: { Authorization: `Bearer ${token}` },
+        });
 
-        const casesRaw = response.data.cases || [];
-        const cases = casesRaw.map((c) => ({
+        const page = (response.data.cases || []).map((c) => ({
           ...c,
           responses: Array.isArray(c.responses) ? c.responses : [],
         }));
-
-        const sorted = cases.sort((a, b) => {
-          if (a.priority === "high" && b.priority !== "high") return -1;
-          if (a.priority !== "high" && b.priority === "high") return 1;
-          return new Date(b.createdAt) - new Date(a.createdAt);
-        });
-        setAllCases(sorted);
+        setCases((prev) => (cursor ? [...prev, ...page] : page));
+        setNextCursor(response.data.nextCursor || null);
       } catch (err) {
         if (retryCount < 2)
-          setTimeout(() => fetchCases(retryCount + 1), 1000);
+          setTimeout(() => fetchCases({ cursor, retryCount: retryCount + 1 }), 1000);
         else setError(err.response?.data?.error || "Failed to fetch cases");
       } finally {
         setLoading(false);
       }
     },
-    [token]
+    [token, activeTab, inboxParams]
+  );
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/admin/cases/stats", {
+        params: inboxParams,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setStats(data);
+    } catch (err) {
+      console.warn("Failed to fetch case stats:", err.response?.data || err.message);
+    }
+  }, [token, inboxParams]);
+
+  const refreshInbox = useCallback(
+    () => Promise.all([fetchCases(), fetchStats()]),
+    [fetchCases, fetchStats]
   );
 
+  // SLA scheduler escalations: bump the case in place and refresh counters
+  useEffect(() => {
+    if (!socketRef.current) return;
+
+    const onBreach = (payload = {}) => {
+      const field =
+        payload.kind === "first_response" ? "firstResponseBreachedAt" : "resolutionBreachedAt";
+      const patch = (c) =>
+        c._id === payload.caseId
+          ? { ...c, priority: "high", sla: { ...c.sla, [field]: payload.timestamp } }
+          : c;
+      setCases((prev) => prev.map(patch));
+      setSelectedCase((prev) => (prev ? patch(prev) : prev));
+      fetchStats();
+    };
+
+    // Bot stepped aside for a frustrated customer
+    const onHandoff = (payload = {}) => {
+      const patch = (c) =>
+        c._id === payload.caseId
+          ? {
+              ...c,
+              sentiment: { ...c.sentiment, ...payload.sentiment },
+              handoff: { reason: payload.reason, at: payload.timestamp },
+            }
+          : c;
+      setCases((prev) => prev.map(patch));
+      setSelectedCase((prev) => (prev ? patch(prev) : prev));
+      if (payload.reason === "takeover") return;
+      setSuccessMessage(
+        `${payload.ticketNumber || "A case"} was handed to agents: ${HANDOFF_REASONS[payload.reason] || payload.reason}`
+      );
+      setTimeout(() => setSuccessMessage(""), 5000);
+    };
+
+    // Lifecycle moves made elsewhere (other agents, customer replies, reopening)
+    const onStatus = (payload = {}) => {
+      const patch = (c) => (c._id === payload.caseId ? { ...c, status: payload.status } : c);
+      setCases((prev) => prev.map(patch));
+      setSelectedCase((prev) => (prev ? patch(prev) : prev));
+      fetchStats();
+    };
+
+    socketRef.current.on("case:sla_breach", onBreach);
+    socketRef.current.on("case:sla_warning", fetchStats);
+    socketRef.current.on("case:status", onStatus);
+    socketRef.current.on("case:handoff", onHandoff);
+    return () => {
+      socketRef.current?.off("case:sla_breach", onBreach);
+      socketRef.current?.off("case:sla_warning", fetchStats);
+      socketRef.current?.off("case:status", onStatus);
+      socketRef.current?.off("case:handoff", onHandoff);
+    };
+  }, [fetchStats]);
+
   const fetchOrders = useCallback(
     async (retryCount = 0) => {
       try {
@@ -302,11 +658,30 @@ export default function AdminDashboard() {
           }
         );
         setThreadMessages(Array.isArray(data.thread) ? data.thread : []);
+        setChatMode({ agentOnly: Boolean(data.agentOnly), position: data.position ?? null });
         // room join handled by join/leave effect
       } catch (e) {
         console.warn("Failed to load thread:", e?.response?.data || e?.message);
         setThreadMessages([]);
       }
+      try {
+        const { data } = await axios.get(`http://localhost:5000/api/case/${caseId}/events`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setCaseEvents(data.events || []);
+      } catch (e) {
+        console.warn("Failed to load case activity:", e?.response?.data || e?.message);
+        setCaseEvents([]);
+      }
+      try {
+        const { data } = await axios.get(`http://localhost:5000/api/case/${caseId}/notes`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setNotes(data.notes || []);
+      } catch (e) {
+        console.warn("Failed to load notes:", e?.response?.data || e?.message);
+        setNotes([]);
+      }
     },
     [token]
   );
@@ -314,39 +689,138 @@ export default function AdminDashboard() {
   // mount
   useEffect(() => {
     if (token) {
-      fetchCases();
       fetchOrders();
     } else {
       setError("No authentication token found. Please log in.");
       window.location.href = "/";
     }
-  }, [token, fetchCases, fetchOrders]);
+  }, [token, fetchOrders]);
+
+  // first page + counters again whenever the tab or filters change; the bulk
+  // selection only ever covers what's on screen
+  useEffect(() => {
+    setBulkIds([]);
+    if (token) refreshInbox();
+  }, [token, refreshInbox]);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  /* --------- Bulk selection --------- */
+  const bulkSelected = cases.filter((c) => bulkIds.includes(c._id));
+  const allOnPageSelected = cases.length > 0 && bulkSelected.length === cases.length;
+
+  const toggleBulk = (caseId) =>
+    setBulkIds((prev) => (prev.includes(caseId) ? prev.filter((id) => id !== caseId) : [...prev, caseId]));
+
+  const onBulkDone = ({ succeeded, failed }) => {
+    refreshInbox();
+    if (failed === 0) setBulkIds([]);
+    setSuccessMessage(`Bulk action applied to ${succeeded} case${succeeded === 1 ? "" : "s"}`);
+    setTimeout(() => setSuccessMessage(""), 3000);
+  };
+
+  // parent order + earlier cases for the same product
+  const fetchCaseHistory = async (caseId) => {
+    setCaseHistory(null);
+    try {
+      const { data } = await axios.get(`http://localhost:5000/api/admin/case/${caseId}/history`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setCaseHistory(data);
+    } catch (e) {
+      console.warn("Failed to load case history:", e?.response?.data || e?.message);
+    }
+  };
 
   // when user clicks a case, load its conversation
   const handleSelectCase = (c) => {
     setSelectedCase(c);
     setThreadMessages([]);
+    setCaseEvents([]);
+    setNotes([]);
+    setNoteMentions([]);
+    setComposerMode("reply");
+    setShowMacroPicker(false);
+    setActiveMacro(null);
+    setReplyAttachments([]);
+    fetchMentionable(c._id);
+    fetchMacros(c._id);
+    fetchCaseRelations(c._id);
+    setRemedies([]);
+    fetchRemedies(c._id);
+    setChatMode({ agentOnly: false, position: null });
+    setStatusForm({ status: "", reason: "" });
     fetchUnifiedThread(c._id);
+    fetchCaseHistory(c._id);
+    if (canAssign) fetchAssignees(c._id);
+  };
+
+  /* --------- Assignment --------- */
+  const canAssign = ["supervisor", "admin"].includes(me?.role);
+
+  const fetchAssignees = async (caseId) => {
+    try {
+      const { data } = await axios.get(`http://localhost:5000/api/case/${caseId}/assignees`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setAssignees(data.users || []);
+    } catch (e) {
+      console.warn("Failed to load assignees:", e?.response?.data || e?.message);
+    }
+  };
+
+  // "claim" | "unassign" | { assigneeId }
+  const changeAssignee = async (caseId, action) => {
+    setError("");
+    try {
+      const url = `http://localhost:5000/api/case/${caseId}`;
+      const headers = { headers: { Authorization: `Bearer ${token}` } };
+      const { data } =
+        action === "claim"
+          ? await axios.post(`${url}/claim`, {}, headers)
+          : action === "unassign"
+          ? await axios.delete(`${url}/assignee`, headers)
+          : await axios.put(`${url}/assignee`, action, headers);
+      if (selectedCase?._id === caseId) setSelectedCase(data.case);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update assignment");
+    }
+  };
+
+  // Take the chat from the bot, or give it back
+  const changeChatMode = async (caseId, action) => {
+    setError("");
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/case/${caseId}/${action}`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setChatMode({ agentOnly: data.agentOnly, position: null });
+      if (selectedCase?._id === caseId) setSelectedCase(data.case);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to change chat mode");
+    }
   };
 
   /* --------- Case status & responses --------- */
-  const updateCaseStatus = async (caseId, newStatus) => {
+  const updateCaseStatus = async (caseId, newStatus, reason = "") => {
     setLoading(true);
     setError("");
     setSuccessMessage("");
     try {
       const response = await axios.put(
         `http://localhost:5000/api/case/${caseId}`,
-        { status: newStatus },
+        { status: newStatus, reason },
         { headers: { Authorization: `Bearer ${token}` } }
       );
-      await fetchCases();
+      await refreshInbox();
       if (selectedCase?._id === caseId) {
         setSelectedCase(response.data.case);
+        setStatusForm({ status: "", reason: "" });
+        fetchCaseHistory(caseId);
       }
-      setSuccessMessage(
-        `Case ${newStatus === "resolved" ? "closed" : "reopened"} successfully`
-      );
+      setSuccessMessage(`Case moved to ${STATUS_LABELS[newStatus] || newStatus}`);
       setTimeout(() => setSuccessMessage(""), 3000);
     } catch (err) {
       setError(err.response?.data?.error || "Failed to update case status");
@@ -356,7 +830,7 @@ export default function AdminDashboard() {
   };
 
   const addResponse = async (caseId) => {
-    if (!responseMessage.trim()) {
+    if (!responseMessage.trim() && replyAttachments.length === 0) {
       setError("Response message cannot be empty");
       return;
     }
@@ -366,15 +840,22 @@ export default function AdminDashboard() {
     try {
       const response = await axios.post(
         `http://localhost:5000/api/case/${caseId}/response`,
-        { message: responseMessage },
+        {
+          message: responseMessage,
+          attachmentIds: replyAttachments.map((a) => a._id),
+          ...(activeMacro ? { macroId: activeMacro._id } : {}),
+        },
         { headers: { Authorization: `Bearer ${token}` } }
       );
-      await fetchCases();
+      await refreshInbox();
       if (selectedCase?._id === caseId) {
         setSelectedCase(response.data.case);
       }
       // No optimistic append; we rely on the single echo from socket
       setResponseMessage("");
+      setReplyAttachments([]);
+      setActiveMacro(null);
+      setChatMode((prev) => ({ ...prev, position: null })); // replying takes them out of the queue
       setSuccessMessage("Response sent successfully");
       setTimeout(() => setSuccessMessage(""), 3000);
     } catch (err) {
@@ -384,6 +865,426 @@ export default function AdminDashboard() {
     }
   };
 
+  /* --------- Duplicates, merging & linked cases --------- */
+  const openCaseById = async (caseId) => {
+    try {
+      const { data } = await axios.get(`http://localhost:5000/api/admin/case/${caseId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      handleSelectCase(data.case);
+    } catch (err) {
+      setError(err.response?.data?.error || "Couldn't open that case");
+    }
+  };
+
+
+  const lookupCase = async (ticket) => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/admin/cases", {
+        params: { q: ticket, limit: 1 },
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!data.cases?.length) setError(`No case ${ticket} in your domains`);
+      return data.cases?.[0] || null;
+    } catch (err) {
+      setError(err.response?.data?.error || "Case lookup failed");
+      return null;
+    }
+  };
+
+  const mergeCase = async (caseId, targetId) => {
+    if (!window.confirm("Merge this case into the other one? Replies and chat history move over and this case is closed.")) {
+      return;
+    }
+    setError("");
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/case/${caseId}/merge`,
+        { caseId: targetId },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      await refreshInbox();
+      handleSelectCase(data.case);
+      setSuccessMessage(data.message);
+      setTimeout(() => setSuccessMessage(""), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to merge cases");
+    }
+  };
+
+  // action: "link" | "unlink" | "dismiss" (not a duplicate)
+  const changeCaseRelation = async (caseId, otherId, action) => {
+    setError("");
+    const url = `http://localhost:5000/api/case/${caseId}`;
+    const headers = { Authorization: `Bearer ${token}` };
+    try {
+      const { data } =
+        action === "link"
+          ? await axios.post(`${url}/links`, { caseId: otherId }, { headers })
+          : await axios.delete(`${url}/${action === "unlink" ? "links" : "duplicates"}/${otherId}`, { headers });
+      setSelectedCase(withRelations(data.case));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update related cases");
+    }
+  };
+
+  /* --------- Tags & custom fields --------- */
+  const fetchCaseFieldOptions = useCallback(async () => {
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      const [fields, tags] = await Promise.all([
+        axios.get("http://localhost:5000/api/case-fields", { headers }),
+        axios.get("http://localhost:5000/api/case-tags", { headers }),
+      ]);
+      setFieldDefs(fields.data.fields || []);
+      setTagSuggestions(tags.data.tags || []);
+    } catch (e) {
+      console.warn("Failed to load tags and case fields:", e?.response?.data || e?.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) fetchCaseFieldOptions();
+  }, [token, fetchCaseFieldOptions]);
+
+  const patchCase = (caseId, changes) => {
+    setSelectedCase((prev) => (prev?._id === caseId ? { ...prev, ...changes } : prev));
+    setCases((prev) => prev.map((c) => (c._id === caseId ? { ...c, ...changes } : c)));
+  };
+
+  const updateCaseTags = async (caseId, change) => {
+    setError("");
+    try {
+      const { data } = await axios.put(`http://localhost:5000/api/case/${caseId}/tags`, change, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      patchCase(caseId, { tags: data.tags });
+      if (change.add?.some((t) => !tagSuggestions.includes(t))) fetchCaseFieldOptions();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update tags");
+    }
+  };
+
+  const saveCaseFields = async (caseId, values) => {
+    setError("");
+    try {
+      const { data } = await axios.put(
+        `http://localhost:5000/api/case/${caseId}/fields`,
+        { values },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      patchCase(caseId, { customFields: data.customFields });
+      setSuccessMessage("Case fields saved");
+      setTimeout(() => setSuccessMessage(""), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save case fields");
+    }
+  };
+
+  /* --------- Order changes --------- */
+  // resolves true once the proposal is with the customer
+  const proposeOrderChange = async (caseId, proposal) => {
+    setError("");
+    try {
+      const { data } = await axios.post(`http://localhost:5000/api/case/${caseId}/order-changes`, proposal, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setSelectedCase((prev) => (prev?._id === caseId ? data.case : prev));
+      setSuccessMessage("Order change sent to the customer");
+      setTimeout(() => setSuccessMessage(""), 3000);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to propose order change");
+      return false;
+    }
+  };
+
+  const cancelOrderChange = async (caseId, changeId) => {
+    if (!window.confirm("Withdraw this proposal?")) return;
+    setError("");
+    try {
+      const { data } = await axios.delete(`http://localhost:5000/api/case/${caseId}/order-changes/${changeId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setSelectedCase((prev) => (prev?._id === caseId ? data.case : prev));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to withdraw order change");
+    }
+  };
+
+  /* --------- Refunds / replacements --------- */
+  // resolves true once the decision went through
+  const decideRemedy = async (caseId, remedyId, decision, reason = "") => {
+    setError("");
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/case/${caseId}/remedies/${remedyId}`,
+        { decision, reason },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setRemedies((prev) => prev.map((r) => (r._id === remedyId ? data.remedy : r)));
+      setSuccessMessage(decision === "approve" ? "Request approved" : "Request rejected");
+      setTimeout(() => setSuccessMessage(""), 3000);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update the request");
+      return false;
+    }
+  };
+
+  // Field definitions across domains share keys; offer each key once
+  const filterableFields = useMemo(
+    () => [...new Map(fieldDefs.map((f) => [f.key, f])).values()],
+    [fieldDefs]
+  );
+
+  /* --------- Macros --------- */
+  const fetchMacros = async (caseId) => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/macros", {
+        params: { caseId },
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setMacros(data.macros || []);
+    } catch (e) {
+      console.warn("Failed to load macros:", e?.response?.data || e?.message);
+      setMacros([]);
+    }
+  };
+
+  // Fills the macro for this case into the composer; its actions run on send
+  const applyMacro = async (caseId, macro) => {
+    setShowMacroPicker(false);
+    setError("");
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/case/${caseId}/macros/${macro._id}/render`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setComposerMode("reply");
+      setResponseMessage(data.text);
+      setActiveMacro({ ...macro, missing: data.missing || [] });
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to insert macro");
+    }
+  };
+
+  /* --------- Internal notes & notifications --------- */
+  const fetchMentionable = async (caseId) => {
+    try {
+      const { data } = await axios.get(`http://localhost:5000/api/case/${caseId}/mentionable`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setMentionable(data.users || []);
+    } catch (e) {
+      console.warn("Failed to load mentionable staff:", e?.response?.data || e?.message);
+    }
+  };
+
+  const addMention = (user) => {
+    setResponseMessage((text) => `${text}${text && !text.endsWith(" ") ? " " : ""}@${user.name} `);
+    setNoteMentions((prev) => (prev.includes(user._id) ? prev : [...prev, user._id]));
+  };
+
+  const addNote = async (caseId) => {
+    if (!responseMessage.trim()) {
+      setError("Note cannot be empty");
+      return;
+    }
+    setLoading(true);
+    setError("");
+    try {
+      // only mentions still present in the text count
+      const mentions = noteMentions.filter((id) => {
+        const user = mentionable.find((u) => u._id === id);
+        return user && responseMessage.includes(`@${user.name}`);
+      });
+      const { data } = await axios.post(
+        `http://localhost:5000/api/case/${caseId}/notes`,
+        { body: responseMessage, mentions },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setNotes((prev) => (prev.some((n) => n._id === data.note._id) ? prev : [...prev, data.note]));
+      setResponseMessage("");
+      setNoteMentions([]);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to add note");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/notifications", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unread || 0);
+    } catch (e) {
+      console.warn("Failed to load notifications:", e?.response?.data || e?.message);
+    }
+  }, [token]);
+
+  const markNotificationsRead = async (ids = []) => {
+    try {
+      await axios.post(
+        "http://localhost:5000/api/notifications/read",
+        { ids },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      fetchNotifications();
+    } catch (e) {
+      console.warn("Failed to mark notifications read:", e?.response?.data || e?.message);
+    }
+  };
+
+  // jump straight to the case a notification is about
+  const openNotification = async (n) => {
+    if (!n.readAt) markNotificationsRead([n._id]);
+    if (n.caseId) openCaseById(n.caseId);
+  };
+
+  useEffect(() => {
+    if (token) fetchNotifications();
+  }, [token, fetchNotifications]);
+
+  useEffect(() => {
+    if (!socketRef.current) return;
+    const onNotification = (n) => {
+      setNotifications((prev) => [n, ...prev].slice(0, 50));
+      setUnreadCount((c) => c + 1);
+    };
+    socketRef.current.on("notification", onNotification);
+    return () => socketRef.current?.off("notification", onNotification);
+  }, []);
+
+  /* --------- Team: invites, roles & domain scopes (admin only) --------- */
+  const fetchStaff = useCallback(async () => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/admin/users", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setStaff(data.users || []);
+    } catch (err) {
+      console.warn("Failed to fetch staff:", err.response?.data || err.message);
+    }
+  }, [token]);
+
+  const fetchSecuritySettings = useCallback(async () => {
+    try {
+      const { data } = await axios.get("http://localhost:5000/api/admin/settings/security", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setMfaRoles(data.mfaRequiredRoles || []);
+      const assignment = await axios.get("http://localhost:5000/api/admin/settings/assignment", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setAutoAssign(Boolean(assignment.data.autoAssign));
+      const lifecycle = await axios.get("http://localhost:5000/api/admin/settings/lifecycle", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setReopenWindowHours(String(lifecycle.data.reopenWindowHours));
+    } catch (err) {
+      console.warn("Failed to fetch security settings:", err.response?.data || err.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) return;
+    axios
+      .get("http://localhost:5000/api/auth/me", {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      .then(({ data }) => {
+        setMe(data);
+        if (data.role === "admin") {
+          fetchStaff();
+          fetchSecuritySettings();
+        }
+      })
+      .catch((err) => console.warn("Failed to load profile:", err.message));
+  }, [token, fetchStaff, fetchSecuritySettings]);
+
+  const toggleDomain = (list, domain) =>
+    list.includes(domain) ? list.filter((d) => d !== domain) : [...list, domain];
+
+  const createInvite = async () => {
+    setError("");
+    setInviteLink("");
+    try {
+      const { email, role, domains } = inviteForm;
+      const { data } = await axios.post(
+        "http://localhost:5000/api/admin/invites",
+        { role, domains, ...(email.trim() ? { email: email.trim() } : {}) },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setInviteLink(data.inviteUrl);
+      setInviteForm({ email: "", role: "agent", domains: [] });
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to create invite");
+    }
+  };
+
+  const updateStaffMember = async (member, changes) => {
+    setError("");
+    try {
+      await axios.put(
+        `http://localhost:5000/api/admin/users/${member._id}/role`,
+        { role: member.role, domains: member.domains, ...changes },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      fetchStaff();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update team member");
+    }
+  };
+
+  const toggleMfaRole = async (role) => {
+    setError("");
+    try {
+      const { data } = await axios.put(
+        "http://localhost:5000/api/admin/settings/security",
+        { mfaRequiredRoles: toggleDomain(mfaRoles, role) },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setMfaRoles(data.mfaRequiredRoles);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update security settings");
+    }
+  };
+
+  const toggleAutoAssign = async () => {
+    setError("");
+    try {
+      const { data } = await axios.put(
+        "http://localhost:5000/api/admin/settings/assignment",
+        { autoAssign: !autoAssign },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setAutoAssign(data.autoAssign);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update assignment settings");
+    }
+  };
+
+  const saveReopenWindow = async () => {
+    setError("");
+    try {
+      const { data } = await axios.put(
+        "http://localhost:5000/api/admin/settings/lifecycle",
+        { reopenWindowHours: Number(reopenWindowHours) },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setReopenWindowHours(String(data.reopenWindowHours));
+      setSuccessMessage("Reopen window saved");
+      setTimeout(() => setSuccessMessage(""), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update lifecycle settings");
+    }
+  };
+
   const handleLogout = async () => {
     setLoading(true);
     setError("");
@@ -396,110 +1297,88 @@ export default function AdminDashboard() {
     } catch (err) {
       setError(err.response?.data?.error || "Logout failed");
     } finally {
-      localStorage.removeItem("token");
+      clearTokens();
       window.location.href = "/";
     }
   };
 
   /* ---------------- Derived data & charts ---------------- */
-  useEffect(() => {
-    if (allCases.length > 0) {
-      const newByDay = new Array(7).fill(0);
-      const resolvedByDay = new Array(7).fill(0);
-
-      allCases.forEach((c) => {
-        const createdDay = new Date(c.createdAt || Date.now()).getDay();
-        newByDay[createdDay]++;
-        if (c.status === "resolved") {
-          const updatedDay = new Date(c.updatedAt || c.createdAt || Date.now()).getDay();
-          resolvedByDay[updatedDay]++;
-        }
-      });
-
-      const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-      const newData = [
-        newByDay[1],
-        newByDay[2],
-        newByDay[3],
-        newByDay[4],
-        newByDay[5],
-        newByDay[6],
-        newByDay[0],
-      ];
-      const resolvedData = [
-        resolvedByDay[1],
-        resolvedByDay[2],
-        resolvedByDay[3],
-        resolvedByDay[4],
-        resolvedByDay[5],
-        resolvedByDay[6],
-        resolvedByDay[0],
-      ];
-
-      setTrendChartData({
-        labels: days,
-        datasets: [
-          {
-            label: "New Cases",
-            data: newData,
-            borderColor: "rgba(59,130,246,1)",
-            backgroundColor: "rgba(59,130,246,0.1)",
-            tension: 0.4,
-          },
-          {
-            label: "Resolved Cases",
-            data: resolvedData,
-            borderColor: "rgba(16,185,129,1)",
-            backgroundColor: "rgba(16,185,129,0.1)",
-            tension: 0.4,
-          },
-        ],
-      });
-    } else {
-      setTrendChartData((prev) => ({
-        ...prev,
-        datasets: prev.datasets.map((d) => ({ ...d, data: [0, 0, 0, 0, 0, 0, 0] })),
-      }));
+  // chat messages and case activity in one time-ordered list
+  const timeline = useMemo(() => {
+    const toTime = (t) => new Date(t || 0).getTime();
+    const items = threadMessages.map((m) => ({ kind: "message", time: toTime(m.timestamp), item: m }));
+    notes.forEach((n) => items.push({ kind: "note", time: toTime(n.createdAt), item: n }));
+    if (showActivity) {
+      caseEvents.forEach((e) => items.push({ kind: "event", time: toTime(e.at), item: e }));
     }
-  }, [allCases]);
+    return items.sort((a, b) => a.time - b.time);
+  }, [threadMessages, notes, caseEvents, showActivity]);
 
-  const hasAgentReply = (c) =>
-    Array.isArray(c?.responses) && c.responses.some((r) => r && r.adminId != null);
+  const trendChartData = {
+    labels: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    datasets: [
+      {
+        label: "New Cases",
+        data: mondayFirst(stats?.createdByDay),
+        borderColor: "rgba(59,130,246,1)",
+        backgroundColor: "rgba(59,130,246,0.1)",
+        tension: 0.4,
+      },
+      {
+        label: "Resolved Cases",
+        data: mondayFirst(stats?.resolvedByDay),
+        borderColor: "rgba(16,185,129,1)",
+        backgroundColor: "rgba(16,185,129,0.1)",
+        tension: 0.4,
+      },
+    ],
+  };
 
-  const newCases = allCases.filter((c) => !hasAgentReply(c));
-  const pendingCases = allCases.filter(
-    (c) => hasAgentReply(c) && c.status !== "resolved"
-  );
-  const closedCases = allCases.filter((c) => c.status === "resolved");
+  const countOf = (statuses) => statuses.reduce((n, s) => n + (stats?.byStatus?.[s] ?? 0), 0);
+  const tabCounts = {
+    ...Object.fromEntries(TABS.map(([key, , statuses]) => [key, countOf(statuses)])),
+    atRisk: stats?.atRisk ?? 0,
+  };
 
-  const displayedCases =
-    activeTab === "new" ? newCases : activeTab === "pending" ? pendingCases : closedCases;
+  const activeTabLabel = activeTab === "atRisk" ? "At Risk" : TABS.find(([key]) => key === activeTab)?.[1];
+
+  const submitComposer = (caseId) => (composerMode === "note" ? addNote(caseId) : addResponse(caseId));
 
   const handleKeyPress = (e, caseId) => {
+    // Ctrl+/ (Cmd+/ on Mac) opens the macro picker
+    if (e.key === "/" && (e.ctrlKey || e.metaKey) && composerMode === "reply") {
+      e.preventDefault();
+      setShowMacroPicker(true);
+      return;
+    }
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
-      addResponse(caseId);
+      submitComposer(caseId);
     }
   };
 
-  const totalCases = allCases.length;
-  const highPriorityCases = allCases.filter((c) => c.priority === "high").length;
+  const totalCases = stats?.total ?? 0;
+  const highPriorityCases = stats?.highPriority ?? 0;
   const resolutionRate =
-    totalCases > 0 ? Math.round((closedCases.length / totalCases) * 100) : 0;
+    totalCases > 0 ? Math.round((tabCounts.closed / totalCases) * 100) : 0;
 
   const statusChartData = {
-    labels: ["New Cases", "Pending Cases", "Closed Cases"],
+    labels: TABS.map(([, label]) => label),
     datasets: [
       {
-        data: [newCases.length, pendingCases.length, closedCases.length],
+        data: TABS.map(([key]) => tabCounts[key]),
         backgroundColor: [
           "rgba(59,130,246,0.8)",
+          "rgba(139,92,246,0.8)",
           "rgba(245,158,11,0.8)",
+          "rgba(100,116,139,0.8)",
           "rgba(16,185,129,0.8)",
         ],
         borderColor: [
           "rgba(59,130,246,1)",
+          "rgba(139,92,246,1)",
           "rgba(245,158,11,1)",
+          "rgba(100,116,139,1)",
           "rgba(16,185,129,1)",
         ],
         borderWidth: 2,
@@ -508,9 +1387,7 @@ export default function AdminDashboard() {
   };
 
   const possibleDomains = ["E-commerce", "Travel", "Telecommunications", "Banking Services"];
-  const domainCounts = possibleDomains.map(
-    (d) => allCases.filter((c) => c.domain === d).length
-  );
+  const domainCounts = possibleDomains.map((d) => stats?.byDomain?.[d] || 0);
   const domainChartData = {
     labels: possibleDomains,
     datasets: [
@@ -557,12 +1434,33 @@ export default function AdminDashboard() {
   return (
     <div className="admin-dashboard">
       <div className="dashboard-header">
-        <h1>Admin Dashboard</h1>
-        <button onClick={handleLogout} className="logout-btn">
-          Logout
-        </button>
+        <div>
+          <h1>Admin Dashboard</h1>
+          {me && (
+            <p className="scope-label">
+              {me.name} · {me.role}
+              {me.role !== "admin" && ` · ${(me.domains || []).join(", ") || "no domains"}`}
+            </p>
+          )}
+        </div>
+        <div className="dashboard-header-actions">
+          <NotificationsMenu
+            notifications={notifications}
+            unread={unreadCount}
+            onOpen={openNotification}
+            onReadAll={() => markNotificationsRead()}
+          />
+          <button onClick={() => setShowSessions((v) => !v)} className="logout-btn">
+            Security
+          </button>
+          <button onClick={handleLogout} className="logout-btn">
+            Logout
+          </button>
+        </div>
       </div>
 
+      {showSessions && <SessionsPanel onClose={() => setShowSessions(false)} />}
+
       {loading && <div className="loading">Loading...</div>}
       {error && <div className="error-message">{error}</div>}
       {successMessage && <div className="success-message">{successMessage}</div>}
@@ -619,43 +1517,334 @@ export default function AdminDashboard() {
         </div>
       </div>
 
+      <CsatAnalytics domains={me?.role === "admin" ? possibleDomains : me?.domains || []} />
+
+      {/* Team management (admins only) */}
+      {me?.role === "admin" && (
+        <div className="invite-section">
+          <h3>Invite a Team Member</h3>
+          <div className="invite-form">
+            <input
+              type="email"
+              value={inviteForm.email}
+              onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+              placeholder="Email (optional, locks the invite)"
+            />
+            <select
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+            >
+              <option value="agent">Agent</option>
+              <option value="supervisor">Supervisor</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button onClick={createInvite} className="response-button">
+              Generate Invite Link
+            </button>
+          </div>
+          {inviteForm.role !== "admin" && (
+            <div className="domain-checkboxes">
+              {possibleDomains.map((d) => (
+                <label key={d}>
+                  <input
+                    type="checkbox"
+                    checked={inviteForm.domains.includes(d)}
+                    onChange={() =>
+                      setInviteForm({
+                        ...inviteForm,
+                        domains: toggleDomain(inviteForm.domains, d),
+                      })
+                    }
+                  />
+                  {d}
+                </label>
+              ))}
+            </div>
+          )}
+          {inviteLink && (
+            <p className="invite-link">
+              One-time link: <code>{inviteLink}</code>
+            </p>
+          )}
+
+          <h3 className="team-heading">Require Two-Factor</h3>
+          <div className="domain-checkboxes">
+            {["agent", "supervisor", "admin"].map((r) => (
+              <label key={r}>
+                <input
+                  type="checkbox"
+                  checked={mfaRoles.includes(r)}
+                  onChange={() => toggleMfaRole(r)}
+                  disabled={r === "admin"}
+                />
+                {r}
+              </label>
+            ))}
+          </div>
+
+          <h3 className="team-heading">Case Assignment</h3>
+          <div className="domain-checkboxes">
+            <label>
+              <input type="checkbox" checked={autoAssign} onChange={toggleAutoAssign} />
+              Auto-assign new cases round-robin to online agents in their domain
+            </label>
+          </div>
+
+          <h3 className="team-heading">Case Lifecycle</h3>
+          <div className="domain-checkboxes">
+            <label>
+              Reopen resolved cases when the customer writes within
+              <input
+                type="number"
+                min="0"
+                max="2160"
+                className="hours-input"
+                value={reopenWindowHours}
+                onChange={(e) => setReopenWindowHours(e.target.value)}
+              />
+              hours (0 = always start a new case)
+            </label>
+            <button className="response-button" onClick={saveReopenWindow}>
+              Save
+            </button>
+          </div>
+
+          <AutoCloseRules domains={possibleDomains} />
+
+          <CaseFieldsManager domains={possibleDomains} onChange={fetchCaseFieldOptions} />
+
+          <h3 className="team-heading">Team</h3>
+          <table className="team-table">
+            <tbody>
+              {staff.map((m) => (
+                <tr key={m._id}>
+                  <td>
+                    {m.name}
+                    <div className="team-email">{m.email}</div>
+                  </td>
+                  <td>
+                    <select
+                      value={m.role}
+                      onChange={(e) => updateStaffMember(m, { role: e.target.value })}
+                      disabled={m._id === me._id}
+                    >
+                      <option value="agent">Agent</option>
+                      <option value="supervisor">Supervisor</option>
+                      <option value="admin">Admin</option>
+                      <option value="user">Remove from team</option>
+                    </select>
+                  </td>
+                  <td>
+                    {m.role === "admin" ? (
+                      <span className="team-email">All domains</span>
+                    ) : (
+                      <div className="domain-checkboxes">
+                        {possibleDomains.map((d) => (
+                          <label key={d}>
+                            <input
+                              type="checkbox"
+                              checked={(m.domains || []).includes(d)}
+                              onChange={() =>
+                                updateStaffMember(m, {
+                                  domains: toggleDomain(m.domains || [], d),
+                                })
+                              }
+                            />
+                            {d}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {(me?.role === "admin" || me?.role === "supervisor") && (
+        <MacroManager
+          domains={me.role === "admin" ? possibleDomains : me.domains || []}
+          canShare={me.role === "admin"}
+          statusLabels={STATUS_LABELS}
+        />
+      )}
+
       {/* Case list */}
-      <div className="cases-nav">
-        <button
-          className={`nav-tab ${activeTab === "new" ? "active" : ""}`}
-          onClick={() => setActiveTab("new")}
-        >
-          New ({newCases.length})
-        </button>
-        <button
-          className={`nav-tab ${activeTab === "pending" ? "active" : ""}`}
-          onClick={() => setActiveTab("pending")}
-        >
-          Pending ({pendingCases.length})
+      <form
+        className="inbox-filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters((prev) => ({ ...prev, q: searchText.trim(), tag: tagText.trim() }));
+          setFieldFilter({ key: fieldDraft.key, value: fieldDraft.value.trim() });
+        }}
+      >
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search descriptions and replies"
+        />
+        <select value={filters.domain} onChange={(e) => updateFilter("domain", e.target.value)}>
+          <option value="">All domains</option>
+          {(me?.role === "admin" ? possibleDomains : me?.domains || []).map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+        <select value={filters.priority} onChange={(e) => updateFilter("priority", e.target.value)}>
+          <option value="">Any priority</option>
+          <option value="high">High</option>
+          <option value="low">Low</option>
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter("from", e.target.value)}
+          title="Created from"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter("to", e.target.value)}
+          title="Created to"
+        />
+        <input
+          value={tagText}
+          onChange={(e) => setTagText(e.target.value)}
+          list="inbox-tag-suggestions"
+          placeholder="Tags (a, b)"
+        />
+        <datalist id="inbox-tag-suggestions">
+          {tagSuggestions.map((t) => (
+            <option key={t} value={t} />
+          ))}
+        </datalist>
+        {filterableFields.length > 0 && (
+          <>
+            <select
+              value={fieldDraft.key}
+              onChange={(e) => setFieldDraft({ key: e.target.value, value: "" })}
+            >
+              <option value="">Any field</option>
+              {filterableFields.map((f) => (
+                <option key={f.key} value={f.key}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            {fieldDraft.key && (
+              <input
+                type={
+                  { number: "number", date: "date" }[filterableFields.find((f) => f.key === fieldDraft.key)?.type] ||
+                  "text"
+                }
+                value={fieldDraft.value}
+                onChange={(e) => setFieldDraft({ ...fieldDraft, value: e.target.value })}
+                placeholder="Field value"
+              />
+            )}
+          </>
+        )}
+        <select value={filters.sort} onChange={(e) => updateFilter("sort", e.target.value)}>
+          <option value="priority">Priority</option>
+          <option value="newest">Newest</option>
+          <option value="oldest">Oldest</option>
+          <option value="updated">Recently updated</option>
+          <option value="frustration">Most frustrated</option>
+        </select>
+        <button type="submit" className="response-button">
+          Search
         </button>
+      </form>
+
+      <div className="view-switch">
+        {[
+          ["", "All cases"],
+          ["me", "My cases"],
+          ["unassigned", "Unassigned"],
+        ].map(([value, label]) => (
+          <button
+            key={label}
+            className={`nav-tab ${filters.assignee === value ? "active" : ""}`}
+            onClick={() => updateFilter("assignee", value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="cases-nav">
+        {TABS.map(([key, label]) => (
+          <button
+            key={key}
+            className={`nav-tab ${activeTab === key ? "active" : ""}`}
+            onClick={() => setActiveTab(key)}
+          >
+            {label} ({tabCounts[key]})
+          </button>
+        ))}
         <button
-          className={`nav-tab ${activeTab === "closed" ? "active" : ""}`}
-          onClick={() => setActiveTab("closed")}
+          className={`nav-tab ${activeTab === "atRisk" ? "active" : ""}`}
+          onClick={() => setActiveTab("atRisk")}
         >
-          Closed ({closedCases.length})
+          At Risk ({tabCounts.atRisk})
         </button>
       </div>
 
       <div className="cases-section">
-        <h2>{activeTab.charAt(0).toUpperCase() + activeTab.slice(1)} Cases</h2>
+        <h2>
+          {activeTabLabel} Cases
+          {cases.length > 0 && (
+            <label className="bulk-select-all">
+              <input
+                type="checkbox"
+                checked={allOnPageSelected}
+                onChange={() => setBulkIds(allOnPageSelected ? [] : cases.map((c) => c._id))}
+              />
+              Select all
+            </label>
+          )}
+        </h2>
+        {bulkSelected.length > 0 && (
+          <BulkCaseToolbar
+            selected={bulkSelected}
+            statusLabels={STATUS_LABELS}
+            canAssignOthers={canAssign}
+            onClear={() => setBulkIds([])}
+            onDone={onBulkDone}
+          />
+        )}
         <div className="cases-list">
-          {displayedCases.length === 0 ? (
-            <p className="no-cases">No {activeTab} cases found.</p>
+          {cases.length === 0 ? (
+            <p className="no-cases">No {activeTabLabel.toLowerCase()} cases found.</p>
           ) : (
-            displayedCases.map((c) => (
+            cases.map((c) => (
               <div
                 key={c._id}
-                className={`case-card ${c.priority === "high" ? "high-priority" : ""}`}
+                className={`case-card ${c.priority === "high" ? "high-priority" : ""} ${
+                  bulkIds.includes(c._id) ? "selected" : ""
+                }`}
                 onClick={() => handleSelectCase(c)}
               >
+                <input
+                  type="checkbox"
+                  className="case-select"
+                  checked={bulkIds.includes(c._id)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => toggleBulk(c._id)}
+                  title="Select for bulk actions"
+                />
+                {slaBadge(c, now) && (
+                  <span className={`sla-badge ${slaBadge(c, now).tone}`}>
+                    {slaBadge(c, now).label}
+                  </span>
+                )}
                 <p>
-                  <strong>Case ID:</strong>{" "}
-                  {c?._id ? String(c._id).slice(-6) : "N/A"}
+                  <strong>Ticket:</strong>{" "}
+                  {c?.ticketNumber || (c?._id ? String(c._id).slice(-6) : "N/A")}
                 </p>
                 <p>
                   <strong>User:</strong> {c?.userId?.name || "Unknown"}
@@ -669,10 +1858,47 @@ export default function AdminDashboard() {
                 <p>
                   <strong>Domain:</strong> {c?.domain || "N/A"}
                 </p>
+                <p>
+                  <strong>Assignee:</strong> {c?.assignee?.name || "Unassigned"}
+                </p>
+                {c?.sentiment?.trajectory?.length > 0 && (
+                  <p>
+                    <strong>Sentiment:</strong> <SentimentSparkline sentiment={c.sentiment} />
+                  </p>
+                )}
+                {c?.tags?.length > 0 && (
+                  <div className="case-tags">
+                    {c.tags.map((t) => (
+                      <span key={t} className="case-tag">
+                        {t}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {!c?.assignee && !isDone(c.status) && (
+                  <button
+                    className="claim-button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      changeAssignee(c._id, "claim");
+                    }}
+                  >
+                    Claim
+                  </button>
+                )}
               </div>
             ))
           )}
         </div>
+        {nextCursor && (
+          <button
+            className="response-button load-more"
+            onClick={() => fetchCases({ cursor: nextCursor })}
+            disabled={loading}
+          >
+            Load more
+          </button>
+        )}
       </div>
 
       {/* Case popup with REAL chat */}
@@ -680,12 +1906,13 @@ export default function AdminDashboard() {
         <div className="case-popup">
           <div className="case-popup-content">
             <div className="case-popup-header">
-              <h3>Case #{String(selectedCase._id).slice(-6)}</h3>
+              <h3>{selectedCase.ticketNumber || `Case #${String(selectedCase._id).slice(-6)}`}</h3>
               <button
                 className="close-popup"
                 onClick={() => {
                   setSelectedCase(null);
                   setThreadMessages([]);
+                  setCaseHistory(null);
                 }}
               >
                 &times;
@@ -699,10 +1926,16 @@ export default function AdminDashboard() {
               </p>
               <p>
                 <strong>Order ID:</strong> {selectedCase?.orderId || "N/A"}
+                {caseHistory?.order &&
+                  ` · ${caseHistory.order.status} · ordered ${new Date(
+                    caseHistory.order.orderDate
+                  ).toLocaleDateString()}`}
               </p>
               <p>
-                <strong>Product Index:</strong>{" "}
-                {selectedCase?.productIndex ?? "N/A"}
+                <strong>Product:</strong>{" "}
+                {caseHistory?.product
+                  ? `${caseHistory.product.name} × ${caseHistory.product.quantity}`
+                  : `#${selectedCase?.productIndex ?? "N/A"}`}
               </p>
               <p>
                 <strong>Description:</strong>{" "}
@@ -710,13 +1943,119 @@ export default function AdminDashboard() {
               </p>
               <p>
                 <strong>Priority:</strong> {selectedCase?.priority || "low"}
+                {slaBadge(selectedCase, now) && (
+                  <span className={`sla-badge inline ${slaBadge(selectedCase, now).tone}`}>
+                    {selectedCase.sla.level} · {slaBadge(selectedCase, now).label}
+                  </span>
+                )}
               </p>
               <p>
-                <strong>Status:</strong> {selectedCase?.status || "open"}
+                <strong>Status:</strong> {STATUS_LABELS[selectedCase?.status] || selectedCase?.status}
               </p>
               <p>
                 <strong>Domain:</strong> {selectedCase?.domain || "N/A"}
               </p>
+              {selectedCase?.sentiment?.trajectory?.length > 0 && (
+                <p>
+                  <strong>Sentiment:</strong>{" "}
+                  <SentimentSparkline sentiment={selectedCase.sentiment} width={160} height={28} />
+                  {selectedCase.handoff?.reason && (
+                    <span className="handoff-note">
+                      Handed off: {HANDOFF_REASONS[selectedCase.handoff.reason] || selectedCase.handoff.reason}
+                    </span>
+                  )}
+                </p>
+              )}
+              <div className="assignment-row">
+                <strong>Assignee:</strong> {selectedCase?.assignee?.name || "Unassigned"}
+                {!selectedCase.assignee && (
+                  <button className="claim-button" onClick={() => changeAssignee(selectedCase._id, "claim")}>
+                    Claim
+                  </button>
+                )}
+                {selectedCase.assignee && (canAssign || selectedCase.assignee._id === me?._id) && (
+                  <button
+                    className="claim-button secondary"
+                    onClick={() => changeAssignee(selectedCase._id, "unassign")}
+                  >
+                    Unassign
+                  </button>
+                )}
+                {canAssign && (
+                  <select
+                    value=""
+                    onChange={(e) =>
+                      e.target.value &&
+                      changeAssignee(selectedCase._id, { assigneeId: e.target.value })
+                    }
+                  >
+                    <option value="">{selectedCase.assignee ? "Reassign to…" : "Assign to…"}</option>
+                    {assignees
+                      .filter((u) => u._id !== selectedCase.assignee?._id)
+                      .map((u) => (
+                        <option key={u._id} value={u._id}>
+                          {u.name} ({u.role})
+                        </option>
+                      ))}
+                  </select>
+                )}
+              </div>
+              {!isDone(selectedCase.status) && (
+                <div className="assignment-row">
+                  <strong>Chat:</strong>{" "}
+                  {chatMode.agentOnly
+                    ? `Agent only${chatMode.position ? ` · #${chatMode.position} waiting` : ""}`
+                    : "Bot answering"}
+                  {chatMode.agentOnly ? (
+                    <button
+                      className="claim-button secondary"
+                      onClick={() => changeChatMode(selectedCase._id, "handback")}
+                    >
+                      Hand back to bot
+                    </button>
+                  ) : (
+                    <button className="claim-button" onClick={() => changeChatMode(selectedCase._id, "takeover")}>
+                      Take over
+                    </button>
+                  )}
+                </div>
+              )}
+              <CaseRelations
+                key={`relations-${selectedCase._id}`}
+                csCase={selectedCase}
+                onMerge={(targetId) => mergeCase(selectedCase._id, targetId)}
+                onLink={(otherId) => changeCaseRelation(selectedCase._id, otherId, "link")}
+                onUnlink={(otherId) => changeCaseRelation(selectedCase._id, otherId, "unlink")}
+                onDismiss={(otherId) => changeCaseRelation(selectedCase._id, otherId, "dismiss")}
+                onOpen={(c) => openCaseById(c._id)}
+                onLookup={lookupCase}
+              />
+              <div className="assignment-row">
+                <strong>Tags:</strong>
+                <CaseTagsEditor
+                  tags={selectedCase.tags || []}
+                  suggestions={tagSuggestions}
+                  onChange={(change) => updateCaseTags(selectedCase._id, change)}
+                />
+              </div>
+              <CaseFieldsForm
+                key={selectedCase._id}
+                fields={fieldDefs.filter((f) => f.domain === selectedCase.domain)}
+                values={selectedCase.customFields || {}}
+                onSave={(values) => saveCaseFields(selectedCase._id, values)}
+              />
+              <OrderChangePanel
+                changes={selectedCase.orderChanges || []}
+                product={caseHistory?.product}
+                disabled={isDone(selectedCase.status)}
+                onPropose={(proposal) => proposeOrderChange(selectedCase._id, proposal)}
+                onCancel={(changeId) => cancelOrderChange(selectedCase._id, changeId)}
+              />
+              <RemedyRequests
+                remedies={remedies}
+                disabled={isDone(selectedCase.status)}
+                onDecide={(remedyId, decision, reason) => decideRemedy(selectedCase._id, remedyId, decision, reason)}
+              />
               <p>
                 <strong>Created:</strong>{" "}
                 {new Date(selectedCase?.createdAt || Date.now()).toLocaleString()}
@@ -725,80 +2064,223 @@ export default function AdminDashboard() {
                 <strong>Updated:</strong>{" "}
                 {new Date(selectedCase?.updatedAt || Date.now()).toLocaleString()}
               </p>
+              {caseHistory?.cases?.length > 1 && (
+                <div className="product-history">
+                  <strong>Earlier cases for this product:</strong>
+                  <ul>
+                    {caseHistory.cases
+                      .filter((h) => h._id !== selectedCase._id)
+                      .map((h) => (
+                        <li key={h._id}>
+                          {h.ticketNumber} · {STATUS_LABELS[h.status] || h.status} ·{" "}
+                          {new Date(h.createdAt).toLocaleDateString()} — {h.description}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
-            {/* Chat history viewer */}
+            {/* Chat history viewer, with case activity interleaved */}
+            <label className="timeline-toggle">
+              <input
+                type="checkbox"
+                checked={showActivity}
+                onChange={(e) => setShowActivity(e.target.checked)}
+              />
+              Show case activity
+            </label>
             <div className="chat-history">
-              {threadMessages.length === 0 ? (
+              {timeline.length === 0 ? (
                 <p>No chat history available.</p>
               ) : (
-                threadMessages.map((m, i) => (
-                  <div
-                    key={m._id || m.id || m.key || `${m.timestamp || i}-${i}`}
-                    className={m.sender === "agent" ? "admin-message" : "user-message"}
-                  >
-                    <p>
-                      <strong>
-                        {m.sender === "agent"
-                          ? "Agent"
-                          : m.source === "faq"
-                          ? "FAQ"
-                          : m.source === "case-memory"
-                          ? "Suggested Resolution"
-                          : m.source === "refund"
-                          ? "System"
-                          : "User/Bot"}
-                      </strong>{" "}
-                      ({new Date(m.timestamp || Date.now()).toLocaleString()}):
-                      <br />
-                      {m.message}
-                      {m.prompt ? (
-                        <>
-                          <br />
-                          <em style={{ opacity: 0.7 }}>User: {m.prompt}</em>
-                        </>
-                      ) : null}
-                    </p>
-                  </div>
-                ))
+                timeline.map(({ kind, item: m }, i) =>
+                  kind === "event" ? (
+                    <CaseTimelineEvent key={`event-${m._id}`} event={m} labels={STATUS_LABELS} />
+                  ) : kind === "note" ? (
+                    <div key={`note-${m._id}`} className="internal-note">
+                      <p>
+                        <strong>Internal note · {m.authorId?.name || "Staff"}</strong> (
+                        {new Date(m.createdAt).toLocaleString()}):
+                        <br />
+                        {m.body}
+                      </p>
+                    </div>
+                  ) : (
+                    <div
+                      key={m._id || m.id || m.key || `${m.timestamp || i}-${i}`}
+                      className={m.sender === "agent" ? "admin-message" : "user-message"}
+                    >
+                      <p>
+                        <strong>
+                          {m.sender === "agent"
+                            ? "Agent"
+                            : m.source === "faq"
+                            ? "FAQ"
+                            : m.source === "case-memory"
+                            ? "Suggested Resolution"
+                            : m.source === "refund" || m.source === "remedy" || m.source === "system"
+                            ? "System"
+                            : "User/Bot"}
+                        </strong>{" "}
+                        ({new Date(m.timestamp || Date.now()).toLocaleString()}):
+                        <br />
+                        {m.message}
+                        {m.prompt ? (
+                          <>
+                            <br />
+                            <em style={{ opacity: 0.7 }}>User: {m.prompt}</em>
+                          </>
+                        ) : null}
+                      </p>
+                      <AttachmentList attachments={m.attachments} />
+                    </div>
+                  )
+                )
               )}
               <div ref={chatBottomRef} />
             </div>
 
+            <div className="composer-mode">
+              <button
+                type="button"
+                className={composerMode === "reply" ? "active" : ""}
+                onClick={() => setComposerMode("reply")}
+              >
+                Reply to customer
+              </button>
+              {composerMode === "reply" && (
+                <button
+                  type="button"
+                  onClick={() => setShowMacroPicker((v) => !v)}
+                  title="Insert a macro (Ctrl+/)"
+                  disabled={macros.length === 0}
+                >
+                  Macros
+                </button>
+              )}
+              <button
+                type="button"
+                className={composerMode === "note" ? "active note" : ""}
+                onClick={() => setComposerMode("note")}
+              >
+                Internal note
+              </button>
+              {composerMode === "note" && mentionable.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => {
+                    const user = mentionable.find((u) => u._id === e.target.value);
+                    if (user) addMention(user);
+                  }}
+                  className="mention-select"
+                >
+                  <option value="">Mention…</option>
+                  {mentionable.map((u) => (
+                    <option key={u._id} value={u._id}>
+                      {u.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {showMacroPicker && composerMode === "reply" && (
+              <MacroPicker
+                macros={macros}
+                onPick={(m) => applyMacro(selectedCase._id, m)}
+                onClose={() => setShowMacroPicker(false)}
+              />
+            )}
+            {activeMacro && composerMode === "reply" && (
+              <div className="active-macro">
+                <span>Macro: {activeMacro.name}</span>
+                <MacroActions actions={activeMacro.actions} statusLabels={STATUS_LABELS} />
+                {activeMacro.missing.length > 0 && (
+                  <span className="macro-missing">Fill in: {activeMacro.missing.join(", ")}</span>
+                )}
+                <button type="button" className="link-button" onClick={() => setActiveMacro(null)}>
+                  Detach macro
+                </button>
+              </div>
+            )}
+            {composerMode === "reply" && (
+              <AttachmentPicker attachments={replyAttachments} onChange={setReplyAttachments} disabled={loading} />
+            )}
             <div className="response-section">
               <textarea
                 value={responseMessage}
                 onChange={(e) => setResponseMessage(e.target.value)}
                 onKeyDown={(e) => handleKeyPress(e, selectedCase._id)}
-                placeholder="Type your response..."
-                className="response-textarea"
+                placeholder={
+                  composerMode === "note" ? "Internal note — only staff can see this" : "Type your response..."
+                }
+                className={`response-textarea${composerMode === "note" ? " note-mode" : ""}`}
               />
               <button
-                onClick={() => addResponse(selectedCase._id)}
+                onClick={() => submitComposer(selectedCase._id)}
                 className="response-button"
                 disabled={loading}
               >
-                Send Response
+                {composerMode === "note" ? "Add Note" : "Send Response"}
               </button>
             </div>
 
-            <div className="status-toggle">
-              <label>
-                Case Status:
+            {CASE_TRANSITIONS[selectedCase.status]?.length > 0 && (
+              <form
+                className="status-toggle"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  updateCaseStatus(selectedCase._id, statusForm.status, statusForm.reason);
+                }}
+              >
+                <label>
+                  Move to:
+                  <select
+                    value={statusForm.status}
+                    onChange={(e) => setStatusForm((f) => ({ ...f, status: e.target.value }))}
+                  >
+                    <option value="">Choose…</option>
+                    {CASE_TRANSITIONS[selectedCase.status].map((s) => (
+                      <option key={s} value={s}>
+                        {STATUS_LABELS[s]}
+                      </option>
+                    ))}
+                  </select>
+                </label>
                 <input
-                  type="checkbox"
-                  checked={selectedCase.status === "resolved"}
-                  onChange={() =>
-                    updateCaseStatus(
-                      selectedCase._id,
-                      selectedCase.status === "resolved" ? "open" : "resolved"
-                    )
-                  }
-                  disabled={loading}
+                  type="text"
+                  value={statusForm.reason}
+                  onChange={(e) => setStatusForm((f) => ({ ...f, reason: e.target.value }))}
+                  placeholder={REASON_REQUIRED.includes(statusForm.status) ? "Reason (required)" : "Reason (optional)"}
+                  maxLength={500}
                 />
-                <span className="toggle-switch"></span>
-              </label>
-            </div>
+                <button
+                  type="submit"
+                  className="response-button"
+                  disabled={
+                    loading ||
+                    !statusForm.status ||
+                    (REASON_REQUIRED.includes(statusForm.status) && !statusForm.reason.trim())
+                  }
+                >
+                  Update
+                </button>
+              </form>
+            )}
+            {caseHistory?.statusHistory?.length > 0 && (
+              <div className="status-history">
+                <strong>Status history</strong>
+                <ul>
+                  {[...caseHistory.statusHistory].reverse().map((h, i) => (
+                    <li key={h._id || i}>
+                      {new Date(h.at).toLocaleString()} · {h.from ? `${STATUS_LABELS[h.from] || h.from} → ` : ""}
+                      {STATUS_LABELS[h.to] || h.to} · {h.by?.name || "System"}
+                      {h.reason ? ` — ${h.reason}` : ""}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       )}
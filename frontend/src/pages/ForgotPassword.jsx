@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import "../styles/form.css";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      alert("Invalid email format");
+      return;
+    }
+
+    try {
+      await axios.post("http://localhost:5000/api/auth/forgot-password", { email });
+      setSent(true);
+    } catch (err) {
+      alert(err.response?.data?.error || "Request failed");
+    }
+  };
+
+  return (
+    <div className="form-container">
+      <h2>Forgot Password</h2>
+      {sent ? (
+        <p className="invite-notice">
+          If that email is registered, a reset link is on its way.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="form-box">
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+          <button type="submit">Send Reset Link</button>
+        </form>
+      )}
+      <p style={{ marginTop: "15px" }}>
+        Remembered it?{" "}
+        <Link to="/" className="signup-link">
+          Login
+        </Link>
+      </p>
+    </div>
+  );
+}
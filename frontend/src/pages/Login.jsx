@@ -1,11 +1,30 @@
 import React, { useState } from "react";
 import axios from "axios";
 import { Link } from "react-router-dom";
-import { jwtDecode } from "jwt-decode"; // ✅ Corrected import
+import { saveTokens } from "../auth";
 import "../styles/form.css";
 
+const API_BASE = "http://localhost:5000";
+
 export default function Login() {
   const [form, setForm] = useState({ email: "", password: "" });
+  // second step: { mode: "verify" | "setup", mfaToken, setup?, recoveryCodes?, login? }
+  const [mfa, setMfa] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  const finishLogin = (data) => {
+    // Short-lived access token + rotating refresh token for this device
+    saveTokens(data);
+    const userId = data.userId;
+
+    // Redirect based on role: agents, supervisors and admins share the console
+    if (["agent", "supervisor", "admin"].includes(data.role)) {
+      window.location.href = `/admin/${userId}`;
+    } else {
+      window.location.href = `/user/${userId}`;
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -22,27 +41,127 @@ export default function Login() {
     }
 
     try {
-      const res = await axios.post("http://localhost:5000/api/login", form);
+      const res = await axios.post(`${API_BASE}/api/login`, form);
+
+      if (res.data.mfaRequired) {
+        setMfa({ mode: "verify", mfaToken: res.data.mfaToken });
+        return;
+      }
+      if (res.data.mfaSetupRequired) {
+        const setup = await axios.post(`${API_BASE}/api/auth/2fa/setup`, {
+          mfaToken: res.data.mfaToken,
+        });
+        setMfa({ mode: "setup", mfaToken: res.data.mfaToken, setup: setup.data });
+        return;
+      }
 
-      const token = res.data.token;
-      localStorage.setItem("token", token);
+      finishLogin(res.data);
+    } catch (err) {
+      console.error(err);
+      alert(err.response?.data?.error || "Login failed");
+    }
+  };
 
-      // Decode JWT to get MongoDB user _id
-      const decoded = jwtDecode(token); // ✅ Updated to jwtDecode
-      const userId = decoded.id;
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      alert("Please enter a code");
+      return;
+    }
 
-      // Redirect based on role
-      if (res.data.role === "admin") {
-        window.location.href = `/admin/${userId}`;
+    try {
+      if (mfa.mode === "verify") {
+        const res = await axios.post(`${API_BASE}/api/auth/2fa/verify`, {
+          mfaToken: mfa.mfaToken,
+          ...(useRecovery ? { recoveryCode: code.trim() } : { code: code.trim() }),
+        });
+        if (useRecovery && res.data.recoveryCodesLeft <= 2) {
+          alert(`Only ${res.data.recoveryCodesLeft} recovery code(s) left. Generate new ones after signing in.`);
+        }
+        finishLogin(res.data);
       } else {
-        window.location.href = `/user/${userId}`;
+        const res = await axios.post(`${API_BASE}/api/auth/2fa/enable`, {
+          mfaToken: mfa.mfaToken,
+          code: code.trim(),
+        });
+        // Show recovery codes once before continuing
+        const { recoveryCodes, ...login } = res.data;
+        setMfa({ ...mfa, recoveryCodes, login });
       }
     } catch (err) {
-      console.error(err);
-      alert(err.response?.data?.error || "Login failed");
+      alert(err.response?.data?.error || "Verification failed");
+      setCode("");
     }
   };
 
+  if (mfa?.recoveryCodes) {
+    return (
+      <div className="form-container">
+        <h2>Save Your Recovery Codes</h2>
+        <p className="invite-notice">
+          Each code signs you in once if you lose your authenticator. They won't be shown again.
+        </p>
+        <ul className="recovery-codes">
+          {mfa.recoveryCodes.map((c) => (
+            <li key={c}>
+              <code>{c}</code>
+            </li>
+          ))}
+        </ul>
+        <div className="form-box">
+          <button type="button" onClick={() => finishLogin(mfa.login)}>
+            I've saved them — continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (mfa) {
+    return (
+      <div className="form-container">
+        <h2>{mfa.mode === "setup" ? "Set Up Two-Factor" : "Two-Factor Verification"}</h2>
+        {mfa.mode === "setup" && (
+          <div className="invite-notice">
+            <p>Your role requires an authenticator app. Add this account, then enter the 6-digit code.</p>
+            <p>
+              <a href={mfa.setup.otpauthUri} className="signup-link">
+                Open in authenticator
+              </a>{" "}
+              or enter the key manually: <code>{mfa.setup.secret}</code>
+            </p>
+          </div>
+        )}
+        <form onSubmit={handleMfaSubmit} className="form-box">
+          <input
+            type="text"
+            inputMode={useRecovery ? "text" : "numeric"}
+            autoComplete="one-time-code"
+            placeholder={useRecovery ? "Recovery code" : "6-digit code"}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <button type="submit">Verify</button>
+        </form>
+        {mfa.mode === "verify" && (
+          <p style={{ marginTop: "15px" }}>
+            <button
+              type="button"
+              className="link-button signup-link"
+              onClick={() => {
+                setUseRecovery(!useRecovery);
+                setCode("");
+              }}
+            >
+              {useRecovery ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+          </p>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="form-container">
       <h2>Login</h2>
@@ -63,6 +182,11 @@ export default function Login() {
         />
         <button type="submit">Login</button>
       </form>
+      <p style={{ marginTop: "15px" }}>
+        <Link to="/forgot-password" className="signup-link">
+          Forgot password?
+        </Link>
+      </p>
       <p style={{ marginTop: "15px" }}>
         Don't have an account?{" "}
         <Link to="/signup" className="signup-link">
@@ -71,4 +195,4 @@ export default function Login() {
       </p>
     </div>
   );
-}
\ No newline at end of file
+}
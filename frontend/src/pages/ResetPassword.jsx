@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { Link, useSearchParams } from "react-router-dom";
+import "../styles/form.css";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [form, setForm] = useState({ password: "", confirmPassword: "" });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.password || !form.confirmPassword) {
+      alert("Please fill all fields");
+      return;
+    }
+
+    if (form.password !== form.confirmPassword) {
+      alert("Passwords do not match");
+      return;
+    }
+
+    try {
+      await axios.post("http://localhost:5000/api/auth/reset-password", {
+        token,
+        password: form.password,
+      });
+      alert("Password updated! Please login.");
+      window.location.href = "/";
+    } catch (err) {
+      alert(err.response?.data?.error || "Password reset failed");
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="form-container">
+        <h2>Reset Password</h2>
+        <p className="invite-notice">This reset link is missing its token.</p>
+        <Link to="/forgot-password" className="signup-link">
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-container">
+      <h2>Reset Password</h2>
+      <form onSubmit={handleSubmit} className="form-box">
+        <input
+          type="password"
+          placeholder="New Password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Confirm New Password"
+          value={form.confirmPassword}
+          onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })}
+          required
+        />
+        <button type="submit">Update Password</button>
+      </form>
+    </div>
+  );
+}
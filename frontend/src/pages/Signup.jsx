@@ -1,17 +1,33 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import axios from "axios";
-import { Link } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
 import "../styles/form.css";
 
 export default function Signup() {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get("invite");
+  const [invite, setInvite] = useState(null);
   const [form, setForm] = useState({
     name: "",
     email: "",
     password: "",
     confirmPassword: "",
-    role: "user",
   });
 
+  // Admin accounts can only be created from an invite link
+  useEffect(() => {
+    if (!inviteToken) return;
+    axios
+      .get(`http://localhost:5000/api/invites/${inviteToken}`)
+      .then((res) => {
+        setInvite(res.data);
+        if (res.data.email) setForm((f) => ({ ...f, email: res.data.email }));
+      })
+      .catch((err) => {
+        alert(err.response?.data?.error || "Invite is invalid or has expired");
+      });
+  }, [inviteToken]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -34,8 +50,14 @@ export default function Signup() {
     }
 
     try {
-      await axios.post("http://localhost:5000/api/signup", form);
-      alert("Signup successful! Please login.");
+      const { name, email, password } = form;
+      await axios.post("http://localhost:5000/api/signup", {
+        name,
+        email,
+        password,
+        ...(invite ? { inviteToken } : {}),
+      });
+      alert("Signup successful! Check your email for a verification link, then login.");
       window.location.href = "/"; // Redirect to login
     } catch (err) {
       alert(err.response?.data?.error || "Signup failed");
@@ -45,6 +67,11 @@ export default function Signup() {
   return (
     <div className="form-container">
       <h2>Signup</h2>
+      {invite && (
+        <p className="invite-notice">
+          You've been invited to join as <strong>{invite.role}</strong>.
+        </p>
+      )}
       <form onSubmit={handleSubmit} className="form-box">
         <input
           type="text"
@@ -58,6 +85,7 @@ export default function Signup() {
           placeholder="Email"
           value={form.email}
           onChange={(e) => setForm({ ...form, email: e.target.value })}
+          readOnly={Boolean(invite?.email)}
           required
         />
         <input
@@ -74,13 +102,6 @@ export default function Signup() {
           onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })}
           required
         />
-        <select
-          value={form.role}
-          onChange={(e) => setForm({ ...form, role: e.target.value })}
-        >
-          <option value="user">User</option>
-          <option value="admin">Admin</option>
-        </select>
         <button type="submit">Signup</button>
       </form>
       <p style={{ marginTop: "15px" }}>
@@ -3,16 +3,42 @@ import { useParams, useNavigate } from "react-router-dom";
 import axios from "axios";
 import ReactMarkdown from "react-markdown";
 import { io } from "socket.io-client";
+import SessionsPanel from "../components/SessionsPanel";
+import CaseTimelineEvent from "../components/CaseTimelineEvent";
+import AttachmentList, { AttachmentPicker } from "../components/Attachments";
+import OrderChangeCard from "../components/OrderChangeCard";
+import CsatSurvey from "../components/CsatSurvey";
+import { clearTokens, refreshAccessToken } from "../auth";
 import "../styles/UserDashboard.css";
 
 const API_BASE = "http://localhost:5000";
 
+// How each lifecycle state reads to the customer
+const STATUS_LABELS = {
+  new: "Received",
+  open: "In progress",
+  "pending-customer": "Waiting for your reply",
+  "on-hold": "On hold",
+  escalated: "Escalated",
+  resolved: "Resolved",
+  closed: "Closed",
+  reopened: "Reopened",
+};
+const isDone = (status) => status === "resolved" || status === "closed";
+
+// case activity shown inline in the chat, in time order with the messages
+const eventToMessage = (event) => ({ sender: "event", event, timestamp: event.at });
+// agent-proposed order changes sit in the chat where they were proposed
+const orderChangeToMessage = (change) => ({ sender: "order-change", change, timestamp: change.proposedAt });
+const byTime = (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+
 export default function UserDashboard() {
   const { id } = useParams();
   const navigate = useNavigate();
 
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
+  const [pendingAttachments, setPendingAttachments] = useState([]);
   const [user, setUser] = useState(null);
   const [userCases, setUserCases] = useState([]);
   const [error, setError] = useState(null);
@@ -22,6 +48,11 @@ export default function UserDashboard() {
   const [loading, setLoading] = useState(false);
   const [isBotTyping, setIsBotTyping] = useState(false);
   const [isEndingChat, setIsEndingChat] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  // who answers this product's chat: the bot, or a human (with place in line)
+  const [chatMode, setChatMode] = useState({ agentOnly: false, position: null });
+  const [verificationSent, setVerificationSent] = useState(false);
 
   const chatBoxRef = useRef(null);
   const inactivityTimeoutRef = useRef(null);
@@ -29,6 +60,7 @@ export default function UserDashboard() {
 
   // keep current selection inside listeners without re-subscribing
   const selectedRef = useRef(null);
+  const caseIdRef = useRef(null); // case behind the open chat, for live activity
   const seenEventsRef = useRef(new Set());
 
   const domains = [
@@ -103,7 +135,7 @@ export default function UserDashboard() {
         } else {
           setError(err.response?.data?.error || "Failed to load user data.");
           if (err.response?.status === 401) {
-            localStorage.removeItem("token");
+            clearTokens();
             navigate("/");
           }
         }
@@ -136,21 +168,27 @@ export default function UserDashboard() {
   const normalizeThreadToMessages = (thread = []) => {
     const out = [];
     thread.forEach((t) => {
-      if (t.prompt) {
+      // a turn's files belong to the customer's prompt, or else to the reply;
+      // customer turns can be files only
+      const fromCustomer = Boolean(t.prompt) || t.source === "user";
+      if (fromCustomer) {
         out.push({
-          text: t.prompt,
+          text: t.prompt || "",
           sender: "user",
           senderName: user?.name || "User",
+          attachments: t.attachments,
           timestamp: t.timestamp || new Date().toISOString(),
         });
       }
-      if (t.message) {
-        const sender = t.source === "agent" ? "agent" : "bot";
-        const senderName = sender === "agent" ? "Support Agent" : "Support Bot";
+      if (t.message || (!fromCustomer && t.attachments?.length)) {
+        const sender = t.source === "agent" ? "agent" : t.source === "system" ? "system" : "bot";
+        const senderName =
+          sender === "agent" ? "Support Agent" : sender === "system" ? "System" : "Support Bot";
         out.push({
-          text: t.message,
+          text: t.message || "",
           sender,
           senderName,
+          attachments: fromCustomer ? [] : t.attachments,
           timestamp: t.timestamp || new Date().toISOString(),
         });
       }
@@ -192,7 +230,25 @@ export default function UserDashboard() {
         params: { orderId, productIndex },
       });
       const normalized = normalizeThreadToMessages(res.data.thread || []);
-      setMessages(normalized);
+      const caseId = res.data.case?._id || null;
+      caseIdRef.current = caseId;
+      let events = [];
+      if (caseId) {
+        try {
+          const { data } = await axios.get(`${API_BASE}/api/case/${caseId}/events`, {
+            headers: { Authorization: `Bearer ${token}` },
+          });
+          events = (data.events || []).map(eventToMessage);
+        } catch (e) {
+          console.warn("Failed to load case activity:", e?.response?.data || e?.message);
+        }
+      }
+      const proposals = (res.data.case?.orderChanges || []).map(orderChangeToMessage);
+      setMessages([...normalized, ...events, ...proposals].sort(byTime));
+      setChatMode({
+        agentOnly: Boolean(res.data.case?.agentOnly),
+        position: res.data.case?.position ?? null,
+      });
     } catch (err) {
       // graceful fallback to old history API
       try {
@@ -229,9 +285,27 @@ export default function UserDashboard() {
 
     if (socketRef.current?.connected) return; // already connected
 
-    const socket = io(API_BASE, { auth: { token } });
+    // auth as a callback so reconnects pick up the latest refreshed token
+    const socket = io(API_BASE, {
+      auth: (cb) => cb({ token: localStorage.getItem("token") }),
+    });
     socketRef.current = socket;
 
+    // server drops sockets when the session or permissions change
+    socket.on("disconnect", (reason) => {
+      if (reason === "io server disconnect") socket.connect();
+    });
+
+    socket.on("connect_error", (e) => {
+      if (e?.message !== "Invalid token") return;
+      refreshAccessToken()
+        .then(() => socket.connect())
+        .catch(() => {
+          clearTokens();
+          navigate("/");
+        });
+    });
+
     // bot or agent mirrored as chat
     socket.on("chat:reply", (payload) => {
       if (payload.source === "agent") return; 
@@ -245,8 +319,8 @@ export default function UserDashboard() {
 
        const key = payload.eventId || `reply|${payload.orderId}|${payload.productIndex}|${payload.source}|${payload.message}|${Math.floor((payload.timestamp || Date.now())/1000)}`;
   if (!shouldAcceptEvent(key)) return;
-      const sender = payload.source === "agent" ? "agent" : "bot";
-      const senderName = sender === "agent" ? "Support Agent" : "Support Bot";
+      const sender = payload.source === "system" ? "system" : "bot";
+      const senderName = sender === "system" ? "System" : "Support Bot";
 
       setMessages((prev) => [
         ...prev,
@@ -283,6 +357,7 @@ export default function UserDashboard() {
           text: payload.message,
           sender,
           senderName,
+          attachments: payload.attachments,
           timestamp: payload.timestamp || new Date().toISOString(),
         },
       ]);
@@ -298,11 +373,73 @@ export default function UserDashboard() {
       fetchUserCases();
     });
 
+    // status changes and handoffs on the open case
+    socket.on("case:event", (event) => {
+      if (!event?.caseId || event.caseId !== caseIdRef.current) return;
+      if (!shouldAcceptEvent(`event|${event._id}`)) return;
+      setMessages((prev) => [...prev, eventToMessage(event)]);
+    });
+
+    // proposals for the open product: new ones, and answers/withdrawals
+    socket.on("case:order-change", (payload) => {
+      const sel = selectedRef.current;
+      if (
+        !sel ||
+        String(payload.orderId) !== String(sel.orderId) ||
+        Number(payload.productIndex) !== Number(sel.productIndex)
+      ) return;
+      upsertOrderChange(payload.change);
+    });
+
+    // rating survey right after an agent resolves a case
+    socket.on("case:csat", (payload) => {
+      const { caseId, survey } = payload || {};
+      if (!survey) return;
+      setUserCases((prev) => prev.map((c) => (c._id === caseId ? { ...c, csat: survey } : c)));
+      const sel = selectedRef.current;
+      if (
+        !sel ||
+        String(payload.orderId) !== String(sel.orderId) ||
+        Number(payload.productIndex) !== Number(sel.productIndex)
+      ) return;
+      setMessages((prev) => [
+        ...prev.filter((m) => !(m.sender === "csat" && m.survey.caseId === caseId)),
+        { sender: "csat", survey, timestamp: survey.requestedAt },
+      ]);
+    });
+
+    // approved refunds/replacements change the order's status
+    socket.on("order:status", ({ orderId, status } = {}) => {
+      setUser((prev) =>
+        prev
+          ? { ...prev, orders: prev.orders.map((o) => (o.orderId === orderId ? { ...o, status } : o)) }
+          : prev
+      );
+    });
+
+    // bot <-> human handoffs for the open product
+    socket.on("chat:mode", (payload) => {
+      const sel = selectedRef.current;
+      if (
+        !sel ||
+        String(payload.orderId) !== String(sel.orderId) ||
+        Number(payload.productIndex) !== Number(sel.productIndex)
+      ) return;
+      setChatMode({ agentOnly: payload.agentOnly, position: payload.position ?? null });
+    });
+
     return () => {
       try {
         socket.off("chat:reply");
         socket.off("case:message");
         socket.off("case:status");
+        socket.off("chat:mode");
+        socket.off("case:event");
+        socket.off("case:order-change");
+        socket.off("order:status");
+        socket.off("case:csat");
+        socket.off("connect_error");
+        socket.off("disconnect");
         socket.disconnect();
       } catch {}
       socketRef.current = null;
@@ -311,6 +448,53 @@ export default function UserDashboard() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // mount once
 
+  /* ---------------------------- order change cards ---------------------------- */
+  const upsertOrderChange = (change) =>
+    setMessages((prev) =>
+      prev.some((m) => m.change?._id === change._id)
+        ? prev.map((m) => (m.change?._id === change._id ? { ...m, change } : m))
+        : [...prev, orderChangeToMessage(change)]
+    );
+
+  // returns an error message for the card, or null
+  const answerOrderChange = async (changeId, decision) => {
+    const headers = { Authorization: `Bearer ${localStorage.getItem("token")}` };
+    try {
+      const { data } = await axios.post(`${API_BASE}/api/chat/order-changes/${changeId}`, { decision }, { headers });
+      upsertOrderChange(data.change);
+      if (data.change.status === "approved") {
+        const { name, price, quantity } = data.change.after;
+        setSelectedProduct((prev) => (prev ? { ...prev, name, price, quantity } : prev));
+        // order list and totals come from the profile
+        const res = await axios.get(`${API_BASE}/api/user/${id}`, { headers });
+        if (res.data) setUser(res.data);
+      }
+      return null;
+    } catch (err) {
+      if (err.response?.data?.change) upsertOrderChange(err.response.data.change);
+      return err.response?.data?.error || "Couldn't send your answer. Please try again.";
+    }
+  };
+
+  /* ------------------------------- CSAT survey ------------------------------- */
+  // returns an error message for the survey, or null
+  const submitCsat = async (caseId, rating, comment) => {
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/api/chat/csat/${caseId}`,
+        { rating, comment },
+        { headers: { Authorization: `Bearer ${localStorage.getItem("token")}` } }
+      );
+      setUserCases((prev) => prev.map((c) => (c._id === caseId ? { ...c, csat: data.survey } : c)));
+      setMessages((prev) =>
+        prev.map((m) => (m.sender === "csat" && m.survey.caseId === caseId ? { ...m, survey: data.survey } : m))
+      );
+      return null;
+    } catch (err) {
+      return err.response?.data?.error || "Couldn't send your feedback. Please try again.";
+    }
+  };
+
   /* ------------------------------- UI handlers ------------------------------ */
   const handleDomainClick = (domain) => {
     clearInactivityTimeout();
@@ -318,6 +502,7 @@ export default function UserDashboard() {
     setSelectedProduct(null);
     setIsChatOpen(false);
     setMessages([]);
+    setPendingAttachments([]);
     setIsEndingChat(false);
   };
 
@@ -333,6 +518,7 @@ export default function UserDashboard() {
         { headers: { Authorization: `Bearer ${token}` } }
       );
       setSelectedProduct(product);
+      setPendingAttachments([]);
 
       // load unified thread (bot + agent)
       await fetchUnifiedThread(product.orderId, product.productIndex);
@@ -358,13 +544,15 @@ export default function UserDashboard() {
 
   const handleSend = async () => {
     const messageToSend = input.trim();
-    if (!messageToSend || !selectedProduct || isEndingChat) return;
+    if ((!messageToSend && !pendingAttachments.length) || !selectedProduct || isEndingChat) return;
 
     // show the user's message immediately
+    const attachments = pendingAttachments;
     const userMsg = {
       text: messageToSend,
       sender: "user",
       senderName: user?.name || "User",
+      attachments,
       timestamp: new Date().toISOString(),
     };
     setMessages((prev) => [...prev, userMsg]);
@@ -385,21 +573,54 @@ export default function UserDashboard() {
       // send to backend; DO NOT append bot reply here (socket will push it)
       await axios.post(
         `${API_BASE}/api/chat`,
-        { message: messageToSend },
+        { message: messageToSend, attachmentIds: attachments.map((a) => a._id) },
         { headers: { Authorization: `Bearer ${token}` } }
       );
+      setPendingAttachments([]);
 
       // refresh cases shortly after
       setTimeout(fetchUserCases, 800);
     } catch (err) {
       console.error("Chat error:", err);
-      setError(err.response?.data?.error || "Failed to send message.");
+      if (err.response?.data?.code === "EMAIL_NOT_VERIFIED") {
+        setNeedsVerification(true);
+      } else if (err.response?.status === 429) {
+        const wait = err.response.headers?.["retry-after"];
+        setMessages((prev) => [
+          ...prev,
+          {
+            text: `You're sending messages too quickly. Please wait${wait ? ` ${wait}s` : ""} and try again.`,
+            sender: "system",
+            senderName: "System",
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      } else {
+        setError(err.response?.data?.error || "Failed to send message.");
+      }
     } finally {
       setIsBotTyping(false);
       setInput("");
     }
   };
 
+  const handleTalkToHuman = async () => {
+    if (!selectedProduct) return;
+    setError(null);
+    try {
+      const token = localStorage.getItem("token");
+      const { data } = await axios.post(
+        `${API_BASE}/api/chat/handoff`,
+        { orderId: selectedProduct.orderId, productIndex: selectedProduct.productIndex },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      // the confirmation itself arrives as a system message over the socket
+      setChatMode({ agentOnly: data.agentOnly, position: data.position ?? null });
+    } catch (err) {
+      setError(err.response?.data?.error || "Couldn't reach a support specialist.");
+    }
+  };
+
   const handleCloseChat = async () => {
     if (isEndingChat) return;
     clearInactivityTimeout();
@@ -454,7 +675,7 @@ export default function UserDashboard() {
           { headers: { Authorization: `Bearer ${token}` } }
         );
       }
-      localStorage.removeItem("token");
+      clearTokens();
       navigate("/");
     } catch (err) {
       console.error("Logout error:", err);
@@ -464,6 +685,20 @@ export default function UserDashboard() {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const token = localStorage.getItem("token");
+      await axios.post(
+        `${API_BASE}/api/auth/verify-email/request`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setVerificationSent(true);
+    } catch (err) {
+      console.error("Resend verification error:", err);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === "Enter" && !e.shiftKey && !isEndingChat) {
       e.preventDefault();
@@ -504,13 +739,39 @@ export default function UserDashboard() {
     )
     .filter((product) => !selectedDomain || product.domain === selectedDomain);
 
+  // With a product open, the case list narrows to that product's history
+  const visibleCases = selectedProduct
+    ? userCases.filter(
+        (c) =>
+          c.orderId === selectedProduct.orderId &&
+          c.productIndex === selectedProduct.productIndex
+      )
+    : userCases;
+  const activeTicket = visibleCases.find((c) => selectedProduct && !isDone(c.status));
+
   return (
     <div className="user-dashboard">
       <button onClick={handleLogout} className="logout-btn">
         Logout
       </button>
+      <button onClick={() => setShowSessions((v) => !v)} className="logout-btn devices-btn">
+        Security
+      </button>
       <h2>Welcome, {user.name}</h2>
 
+      {showSessions && <SessionsPanel onClose={() => setShowSessions(false)} />}
+
+      {(needsVerification || user.emailVerified === false) && (
+        <div className="verify-banner">
+          Please verify your email address to chat with support.{" "}
+          {verificationSent ? (
+            <span>Verification email sent — check your inbox.</span>
+          ) : (
+            <button onClick={handleResendVerification}>Resend verification email</button>
+          )}
+        </div>
+      )}
+
       <div className="domain-section">
         <h3>Your Domains</h3>
         <div className="domain-grid">
@@ -536,8 +797,11 @@ export default function UserDashboard() {
             {allProducts.length > 0 ? (
               <div className="product-grid">
                 {allProducts.map((product, index) => {
-                  const hasCase = userCases.some(
-                    (c) => c.orderId === product.orderId && c.productIndex === product.productIndex
+                  const openCase = userCases.find(
+                    (c) =>
+                      c.orderId === product.orderId &&
+                      c.productIndex === product.productIndex &&
+                      !isDone(c.status)
                   );
                   const isSelected =
                     selectedProduct &&
@@ -555,7 +819,9 @@ export default function UserDashboard() {
                       <p>Order ID: {product.orderId}</p>
                       <p>Order Date: {new Date(product.orderDate).toLocaleDateString()}</p>
                       <p>Status: {product.status}</p>
-                      {hasCase && <span className="ticket-badge">Ticket Created</span>}
+                      {openCase && (
+                        <span className="ticket-badge">{openCase.ticketNumber || "Ticket"} open</span>
+                      )}
                     </div>
                   );
                 })}
@@ -566,25 +832,37 @@ export default function UserDashboard() {
           </div>
 
           <div className="cases-section">
-            <h3>Your {selectedDomain} Cases</h3>
+            <h3>
+              {selectedProduct
+                ? `Case History for ${selectedProduct.name}`
+                : `Your ${selectedDomain} Cases`}
+            </h3>
             {loading && <div className="loading">Loading...</div>}
-            {userCases.length > 0 ? (
+            {visibleCases.length > 0 ? (
               <div className="cases-list">
-                {userCases.map((caseItem) => (
+                {visibleCases.map((caseItem) => (
                   <div key={caseItem._id} className="case-card">
-                    <h4>Case ID: {caseItem._id}</h4>
+                    <h4>Ticket {caseItem.ticketNumber || caseItem._id}</h4>
                     <p><strong>Order ID:</strong> {caseItem.orderId}</p>
                     <p><strong>Product Index:</strong> {caseItem.productIndex}</p>
                     <p><strong>Description:</strong> {caseItem.description}</p>
                     <p><strong>Priority:</strong> {caseItem.priority}</p>
-                    <p><strong>Status:</strong> {caseItem.status}</p>
+                    <p><strong>Status:</strong> {STATUS_LABELS[caseItem.status] || caseItem.status}</p>
                     <p><strong>Created:</strong> {new Date(caseItem.createdAt).toLocaleString()}</p>
                     <p><strong>Updated:</strong> {new Date(caseItem.updatedAt).toLocaleString()}</p>
+                    {caseItem.csat && (
+                      <CsatSurvey
+                        survey={caseItem.csat}
+                        onSubmit={(rating, comment) => submitCsat(caseItem._id, rating, comment)}
+                      />
+                    )}
                   </div>
                 ))}
               </div>
             ) : (
-              <p>No cases found for {selectedDomain}.</p>
+              <p>
+                No cases found for {selectedProduct ? selectedProduct.name : selectedDomain}.
+              </p>
             )}
           </div>
         </>
@@ -593,8 +871,22 @@ export default function UserDashboard() {
       {isChatOpen && (
         <div className="chat-container">
           <div className="chat-header">
-            <h3>{selectedProduct ? `Chat for ${selectedProduct.name}` : "Support Chat"}</h3>
+            <h3>
+              {selectedProduct ? `Chat for ${selectedProduct.name}` : "Support Chat"}
+              {activeTicket?.ticketNumber && ` · ${activeTicket.ticketNumber}`}
+            </h3>
             <div className="header-actions">
+              {chatMode.agentOnly ? (
+                <span className="chat-mode-note">
+                  {chatMode.position ? `Waiting for a specialist · #${chatMode.position} in line` : "Chatting with a specialist"}
+                </span>
+              ) : (
+                activeTicket && (
+                  <button className="human-btn" onClick={handleTalkToHuman} disabled={isEndingChat}>
+                    Talk to a human
+                  </button>
+                )
+              )}
               <button className="end-chat-btn" onClick={handleCloseChat} disabled={isEndingChat}>
                 {isEndingChat ? "Ended" : "End Chat"}
               </button>
@@ -608,24 +900,37 @@ export default function UserDashboard() {
             {messages.length === 0 ? (
               <h3><b>💬 Start a conversation with our AI Assistant 🤖 for instant support.</b></h3>
             ) : (
-              messages.map((msg, index) => (
-                <div
-                  key={index}
-                  className={
-                    msg.sender === "user" ? "user-msg" :
-                    msg.sender === "system" ? "system-msg" :
-                    msg.sender === "agent" ? "agent-msg" : "bot-msg"
-                  }
-                >
-                  <div className="sender-info">{msg.senderName}</div>
-                  <div className="message-text">
-                    <ReactMarkdown>{msg.text}</ReactMarkdown>
-                  </div>
-                  <div className="timestamp">
-                    {new Date(msg.timestamp).toLocaleString()}
+              messages.map((msg, index) =>
+                msg.sender === "event" ? (
+                  <CaseTimelineEvent key={index} event={msg.event} labels={STATUS_LABELS} />
+                ) : msg.sender === "order-change" ? (
+                  <OrderChangeCard key={msg.change._id} change={msg.change} onAnswer={answerOrderChange} />
+                ) : msg.sender === "csat" ? (
+                  <CsatSurvey
+                    key={`csat-${msg.survey.caseId}`}
+                    survey={msg.survey}
+                    onSubmit={(rating, comment) => submitCsat(msg.survey.caseId, rating, comment)}
+                  />
+                ) : (
+                  <div
+                    key={index}
+                    className={
+                      msg.sender === "user" ? "user-msg" :
+                      msg.sender === "system" ? "system-msg" :
+                      msg.sender === "agent" ? "agent-msg" : "bot-msg"
+                    }
+                  >
+                    <div className="sender-info">{msg.senderName}</div>
+                    <div className="message-text">
+                      <ReactMarkdown>{msg.text}</ReactMarkdown>
+                      <AttachmentList attachments={msg.attachments} />
+                    </div>
+                    <div className="timestamp">
+                      {new Date(msg.timestamp).toLocaleString()}
+                    </div>
                   </div>
-                </div>
-              ))
+                )
+              )
             )}
 
             {isBotTyping && !isEndingChat && (
@@ -643,6 +948,11 @@ export default function UserDashboard() {
           </div>
 
           <div className="chat-input">
+            <AttachmentPicker
+              attachments={pendingAttachments}
+              onChange={setPendingAttachments}
+              disabled={loading || isBotTyping || isEndingChat}
+            />
             <input
               type="text"
               value={input}
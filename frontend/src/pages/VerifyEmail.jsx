@@ -0,0 +1,38 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { Link, useSearchParams } from "react-router-dom";
+import "../styles/form.css";
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(token ? "" : "This verification link is missing its token.");
+  const sentRef = useRef(false); // tokens are single-use; strict mode mounts twice
+
+  useEffect(() => {
+    if (!token || sentRef.current) return;
+    sentRef.current = true;
+    axios
+      .post("http://localhost:5000/api/auth/verify-email", { token })
+      .then(() => setStatus("done"))
+      .catch((err) => {
+        setStatus("error");
+        setMessage(err.response?.data?.error || "Verification failed");
+      });
+  }, [token]);
+
+  return (
+    <div className="form-container">
+      <h2>Verify Email</h2>
+      <p className="invite-notice">
+        {status === "verifying" && "Verifying your email..."}
+        {status === "done" && "Your email is verified. You can now use the support chat."}
+        {status === "error" && message}
+      </p>
+      <Link to="/" className="signup-link">
+        Back to Login
+      </Link>
+    </div>
+  );
+}